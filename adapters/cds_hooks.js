@@ -0,0 +1,366 @@
+/**
+ * CDS HOOKS SERVICE
+ * Exposes MED_SAFETY_ENGINE as CDS Hooks services (https://cds-hooks.hl7.org/2.0/)
+ *
+ *   GET  /cds-services                          → discovery
+ *   POST /cds-services/med-safety-patient-view  → all current alerts
+ *   POST /cds-services/med-safety-order-select  → alerts the selected draft orders add or escalate
+ *   POST /cds-services/med-safety-order-sign    → alerts all draft orders add or escalate
+ *
+ * Patient data comes from prefetch only (adapters/fhir_patient_data.js); the service
+ * never calls back to the EHR FHIR server, so a request without the required
+ * prefetch is answered 412. Authorization (JWT) and the feedback endpoint are
+ * expected to be handled by the hosting gateway.
+ *
+ * handleHookRequest() is transport-free so recorded hook requests can be replayed
+ * offline; createCdsHooksServer() wraps it in a node:http server.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+const { MED_SAFETY_ENGINE, resolveSiteProfile } = require("../orchestrator.js");
+const { MED_SAFETY_ENGINE_WHAT_IF } = require("../workflows/what_if.js");
+const { alertDrugs, alertKey } = require("../utils/alert_identity.js");
+const { OVERRIDE_REASON_CODES } = require("../utils/override_store.js");
+const { resolveEvaluationDate } = require("../utils/clock.js");
+const { fhirResourcesToPatientData, flattenResources, OBSERVATION_CODES } = require("./fhir_patient_data.js");
+const { ALERT_CODE_SYSTEM } = require("./fhir_detected_issue.js");
+
+const SOURCE_LABEL = "Med Safety Engine";
+const OVERRIDE_REASON_SYSTEM = "urn:med-safety-engine:override-reason";
+const SUMMARY_MAX_LENGTH = 140; // CDS Hooks card.summary limit
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// Engine severity → card indicator
+const SEVERITY_INDICATOR = {
+  CRITICAL: "critical",
+  HIGH: "warning",
+  MODERATE: "warning",
+  LOW: "info",
+  INFO: "info"
+};
+
+// Alert actions that mean "do not give this drug" (offered as a delete of the draft order)
+const STOP_ACTION_PATTERN = /\b(STOP|AVOID|DISCONTINUE|CONTRAINDICATED|DO NOT)\b/i;
+
+// ═══════════════════════════════════════════════════════════════
+// DISCOVERY
+// ═══════════════════════════════════════════════════════════════
+
+const OBSERVATION_QUERY = `Observation?patient={{context.patientId}}&code=${
+  Object.values(OBSERVATION_CODES).flat().map(c => `http://loinc.org|${c}`).join(",")
+}&_sort=-date`;
+
+const PREFETCH = {
+  patient: "Patient/{{context.patientId}}",
+  medications: "MedicationRequest?patient={{context.patientId}}&status=active",
+  conditions: "Condition?patient={{context.patientId}}&clinical-status=active",
+  observations: OBSERVATION_QUERY
+};
+
+// Prefetch keys without which the engine cannot run meaningfully
+const REQUIRED_PREFETCH = ["patient", "medications"];
+
+const CDS_SERVICES = [
+  {
+    hook: "patient-view",
+    id: "med-safety-patient-view",
+    title: "Medication safety review",
+    description: "Renal dosing, interaction, opioid, antithrombotic, Beers and anticholinergic alerts for the active medication list",
+    prefetch: PREFETCH
+  },
+  {
+    hook: "order-select",
+    id: "med-safety-order-select",
+    title: "Medication safety: order selection",
+    description: "Alerts that the selected medication orders would add or escalate",
+    prefetch: PREFETCH
+  },
+  {
+    hook: "order-sign",
+    id: "med-safety-order-sign",
+    title: "Medication safety: order signing",
+    description: "Alerts that the draft medication orders would add or escalate",
+    prefetch: PREFETCH
+  }
+];
+
+/**
+ * @returns {{ services: Array }} discovery response
+ */
+function discoveryResponse() {
+  return { services: CDS_SERVICES };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CARDS
+// ═══════════════════════════════════════════════════════════════
+
+// Deterministic UUID (RFC 4122 layout) so a replayed hook yields identical cards
+function stableUuid(...parts) {
+  const hex = crypto.createHash("sha256").update(parts.join("|")).digest("hex");
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    `5${hex.slice(13, 16)}`,
+    ((parseInt(hex.slice(16, 18), 16) & 0x3f) | 0x80).toString(16) + hex.slice(18, 20),
+    hex.slice(20, 32)
+  ].join("-");
+}
+
+function truncate(text, max) {
+  return text.length <= max ? text : `${text.slice(0, max - 1)}…`;
+}
+
+function humanize(code) {
+  return code.charAt(0) + code.slice(1).toLowerCase().replace(/_/g, " ");
+}
+
+function cardDetail(alert) {
+  const lines = [];
+  if (alert.reason) lines.push(`**Reason:** ${alert.reason}`);
+  if (alert.action) lines.push(`**Action:** ${alert.action}`);
+  if (alert.monitoring) lines.push(`**Monitoring:** ${alert.monitoring}`);
+  if (alert.previous_severity) lines.push(`**Escalated:** ${alert.previous_severity} → ${alert.severity}`);
+  return lines.join("\n\n");
+}
+
+/**
+ * Suggestions from alert.action; a stop-type action on a drug that is a draft
+ * order becomes a delete of that draft
+ * @param {Object} alert
+ * @param {string} card_uuid
+ * @param {Map} draft_ids - lowercased draft medication name → "MedicationRequest/<id>"
+ */
+function cardSuggestions(alert, card_uuid, draft_ids) {
+  if (!alert.action) return [];
+
+  const actions = [];
+  if (STOP_ACTION_PATTERN.test(alert.action)) {
+    for (const drug of alertDrugs(alert)) {
+      const resourceId = draft_ids.get(drug);
+      if (resourceId) actions.push({ type: "delete", description: `Remove draft order: ${drug}`, resourceId });
+    }
+  }
+
+  const suggestion = { label: truncate(alert.action, SUMMARY_MAX_LENGTH), uuid: stableUuid(card_uuid, "suggestion") };
+  if (actions.length > 0) {
+    suggestion.isRecommended = true;
+    suggestion.actions = actions;
+  }
+  return [suggestion];
+}
+
+const OVERRIDE_REASONS = Object.keys(OVERRIDE_REASON_CODES).map(code => ({
+  code,
+  system: OVERRIDE_REASON_SYSTEM,
+  display: humanize(code)
+}));
+
+/**
+ * Engine alert → CDS Hooks card
+ * @param {Object} alert
+ * @param {string} hook_instance
+ * @param {Map} [draft_ids]
+ * @returns {Object} card
+ */
+function alertToCard(alert, hook_instance, draft_ids = new Map()) {
+  const uuid = stableUuid(hook_instance, alertKey(alert));
+  const card = {
+    uuid,
+    summary: truncate(alert.message || alert.alert_code, SUMMARY_MAX_LENGTH),
+    indicator: SEVERITY_INDICATOR[alert.severity] || "info",
+    detail: cardDetail(alert),
+    source: {
+      label: SOURCE_LABEL,
+      topic: { system: ALERT_CODE_SYSTEM, code: alert.alert_code, display: humanize(alert.alert_code) }
+    },
+    overrideReasons: OVERRIDE_REASONS
+  };
+
+  const suggestions = cardSuggestions(alert, uuid, draft_ids);
+  if (suggestions.length > 0) {
+    card.suggestions = suggestions;
+    card.selectionBehavior = "at-most-one";
+  }
+  return card;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HOOK HANDLING
+// ═══════════════════════════════════════════════════════════════
+
+function errorResponse(status, message) {
+  return { status, body: { error: message } };
+}
+
+function validateRequest(service, body) {
+  const issues = [];
+  if (!body || typeof body !== "object" || Array.isArray(body)) return ["request body must be a JSON object"];
+  if (body.hook !== service.hook) issues.push(`hook: expected "${service.hook}"`);
+  if (typeof body.hookInstance !== "string" || !body.hookInstance) issues.push("hookInstance: required string");
+
+  const context = body.context;
+  if (!context || typeof context !== "object") {
+    issues.push("context: required object");
+    return issues;
+  }
+  if (typeof context.patientId !== "string" || !context.patientId) issues.push("context.patientId: required string");
+  if (service.hook !== "patient-view" && (!context.draftOrders || context.draftOrders.resourceType !== "Bundle")) {
+    issues.push("context.draftOrders: required Bundle");
+  }
+  if (service.hook === "order-select" && !Array.isArray(context.selections)) {
+    issues.push("context.selections: required array");
+  }
+  return issues;
+}
+
+/**
+ * Draft MedicationRequests split into proposed orders and drafts already on the
+ * order list (order-select: only the selected drafts are proposed)
+ */
+function splitDraftOrders(service, context, as_of) {
+  const drafts = flattenResources(context.draftOrders).filter(r => r.resourceType === "MedicationRequest");
+  const selected = service.hook === "order-select"
+    ? r => context.selections.includes(`MedicationRequest/${r.id}`)
+    : () => true;
+
+  const toMeds = resources => fhirResourcesToPatientData(resources, {
+    as_of,
+    medication_statuses: ["draft", "active"]
+  }).current_medications;
+
+  return {
+    proposed: toMeds(drafts.filter(selected)),
+    pending: toMeds(drafts.filter(r => !selected(r)))
+  };
+}
+
+/**
+ * Handle one hook call
+ * @param {string} service_id
+ * @param {Object} body - Parsed hook request
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - Site profile (see utils/site_profile.js)
+ * @param {Function} [options.clock] - () => Date; evaluation date for age and time windows
+ * @returns {{ status: number, body: Object }}
+ */
+function handleHookRequest(service_id, body, options = {}) {
+  const service = CDS_SERVICES.find(s => s.id === service_id);
+  if (!service) return errorResponse(404, `Unknown CDS service "${service_id}"`);
+
+  const issues = validateRequest(service, body);
+  if (issues.length > 0) return errorResponse(400, `Invalid hook request: ${issues.join("; ")}`);
+
+  const prefetch = body.prefetch || {};
+  const missing = REQUIRED_PREFETCH.filter(key => !prefetch[key]);
+  if (missing.length > 0) return errorResponse(412, `Required prefetch missing: ${missing.join(", ")}`);
+
+  const as_of = resolveEvaluationDate(null, options.clock).date;
+  const patient_data = fhirResourcesToPatientData(Object.values(prefetch), { as_of });
+  const engine_options = { profile: options.profile };
+
+  if (service.hook === "patient-view") {
+    const result = MED_SAFETY_ENGINE(patient_data, engine_options);
+    return { status: 200, body: { cards: result.alerts.map(a => alertToCard(a, body.hookInstance)) } };
+  }
+
+  const { proposed, pending } = splitDraftOrders(service, body.context, as_of);
+  if (proposed.length === 0) return { status: 200, body: { cards: [] } };
+
+  const baseline = { ...patient_data, current_medications: [...patient_data.current_medications, ...pending] };
+  const result = MED_SAFETY_ENGINE_WHAT_IF(baseline, proposed, engine_options);
+
+  const draft_ids = new Map(proposed.map(m => [m.name.toLowerCase().trim(), m.fhir_id]));
+  const cards = [...result.escalated_alerts, ...result.new_alerts]
+    .map(a => alertToCard(a, body.hookInstance, draft_ids));
+  return { status: 200, body: { cards } };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HTTP SERVER
+// ═══════════════════════════════════════════════════════════════
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization"
+};
+
+function send(res, status, body) {
+  const payload = body === undefined ? "" : JSON.stringify(body);
+  res.writeHead(status, { ...CORS_HEADERS, "Content-Type": "application/json" });
+  res.end(payload);
+}
+
+/**
+ * @param {Object} [options] - As for handleHookRequest; the profile is resolved
+ *                             up front so a bad profile fails at startup
+ * @returns {http.Server} (not yet listening)
+ */
+function createCdsHooksServer(options = {}) {
+  const handler_options = { ...options, profile: resolveSiteProfile(options.profile) };
+
+  return http.createServer((req, res) => {
+    const path = req.url.split("?")[0].replace(/\/+$/, "");
+
+    if (req.method === "OPTIONS") return send(res, 204);
+    if (req.method === "GET" && path === "/cds-services") return send(res, 200, discoveryResponse());
+
+    const match = path.match(/^\/cds-services\/([^/]+)$/);
+    if (!match) return send(res, 404, { error: "Not found" });
+    if (req.method !== "POST") return send(res, 405, { error: "Method not allowed" });
+    let service_id;
+    try {
+      service_id = decodeURIComponent(match[1]);
+    } catch (err) {
+      if (!(err instanceof URIError)) throw err;
+      return send(res, 400, { error: "Malformed service id in path" });
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        send(res, 413, { error: "Request body too large" });
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+      } catch (err) {
+        return send(res, 400, { error: "Request body is not valid JSON" });
+      }
+      try {
+        const { status, body: response } = handleHookRequest(service_id, body, handler_options);
+        send(res, status, response);
+      } catch (err) {
+        // Never echo patient data back in an error
+        console.error(`CDS Hooks ${service_id} failed: ${err.name}`);
+        send(res, 500, { error: "Internal error evaluating hook" });
+      }
+    });
+  });
+}
+
+module.exports = {
+  CDS_SERVICES,
+  SEVERITY_INDICATOR,
+  discoveryResponse,
+  alertToCard,
+  handleHookRequest,
+  createCdsHooksServer
+};
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 3000;
+  const host = process.env.HOST || "127.0.0.1";
+  createCdsHooksServer().listen(port, host, () => {
+    console.log(`CDS Hooks service listening on http://${host}:${port}/cds-services`);
+  });
+}
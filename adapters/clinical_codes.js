@@ -0,0 +1,110 @@
+/**
+ * CLINICAL CODE MAPPINGS
+ * Code → patient_data rules shared by the FHIR and HL7 v2 adapters
+ *
+ * - LOINC observation codes → egfr / weight_kg / hemoglobin (→ hb_low)
+ * - ICD-10 prefixes → engine boolean flags
+ * - Unit normalization for the values the engine reads
+ */
+
+// LOINC codes read from observations (latest value per field wins)
+const OBSERVATION_CODES = {
+  egfr: ["33914-3", "48642-3", "48643-4", "50044-7", "62238-1", "69405-9", "98979-8"],
+  weight_kg: ["29463-7", "3141-9"],
+  hemoglobin: ["718-7", "20509-6", "30313-1", "59260-0"]
+};
+
+// Hemoglobin below which hb_low is set when the lab gives no interpretation (WHO anemia, g/dL)
+const HB_LOW_G_DL = { M: 13, F: 12 };
+
+// Abnormal-flag codes meaning "low" (FHIR ObservationInterpretation / HL7 table 0078)
+const INTERPRETATION_LOW = ["L", "LL", "LU"];
+
+// ICD-10 prefixes that set engine boolean flags
+const CONDITION_FLAGS = {
+  atrial_fibrillation: ["I48"],
+  heart_failure: ["I50"],
+  liver_disease: ["K70", "K71", "K72", "K73", "K74", "K75", "K76", "K77"],
+  alcohol_use: ["F10", "Z72.1"],
+  prior_gi_bleed: ["K92.0", "K92.1", "K92.2"],
+  respiratory_disease: ["J44", "J45", "G47.3"]
+};
+
+/**
+ * @param {string[]} loinc_codes
+ * @returns {string|null} patient_data field the observation feeds
+ */
+function observationField(loinc_codes) {
+  return Object.keys(OBSERVATION_CODES).find(f => OBSERVATION_CODES[f].some(code => loinc_codes.includes(code))) || null;
+}
+
+/**
+ * Observation value in the units patient_data expects
+ * Weights in pounds are passed as "<n> lb" for input validation to convert
+ * @param {string} field - From observationField()
+ * @param {number} value
+ * @param {string} [unit] - UCUM code or unit text
+ * @returns {*} value, or undefined when the unit is not supported
+ */
+function observationValue(field, value, unit) {
+  const u = String(unit || "").trim();
+
+  if (field === "weight_kg") {
+    if (u === "[lb_av]" || /^lbs?$/i.test(u)) return `${value} lb`;
+    if (u === "g") return value / 1000;
+    return u === "" || u === "kg" ? value : undefined;
+  }
+  if (field === "hemoglobin") {
+    if (u === "g/dL") return value;
+    if (u === "g/L") return value / 10;
+    if (u === "mmol/L") return value * 1.611;
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * @param {number} hb_g_dl
+ * @param {string|null} sex - "M" | "F"
+ * @param {string[]} [flags] - Lab abnormal/interpretation codes; when present they decide
+ * @returns {boolean}
+ */
+function isHemoglobinLow(hb_g_dl, sex, flags = []) {
+  if (flags.length > 0) return flags.some(c => INTERPRETATION_LOW.includes(c));
+  return hb_g_dl < (HB_LOW_G_DL[sex] || HB_LOW_G_DL.F);
+}
+
+/**
+ * @param {string} icd_code
+ * @returns {string[]} engine flags the code sets
+ */
+function conditionFlags(icd_code) {
+  return Object.keys(CONDITION_FLAGS).filter(flag => CONDITION_FLAGS[flag].some(p => icd_code.startsWith(p)));
+}
+
+/**
+ * Whole years from birth date to as_of
+ * @param {string|Date} birth_date
+ * @param {string|Date} as_of
+ * @returns {number|null}
+ */
+function ageAt(birth_date, as_of) {
+  const birth = new Date(birth_date);
+  if (Number.isNaN(birth.getTime())) return null;
+  const at = new Date(as_of);
+  let age = at.getUTCFullYear() - birth.getUTCFullYear();
+  const before_birthday = at.getUTCMonth() < birth.getUTCMonth() ||
+    (at.getUTCMonth() === birth.getUTCMonth() && at.getUTCDate() < birth.getUTCDate());
+  if (before_birthday) age--;
+  return age;
+}
+
+module.exports = {
+  OBSERVATION_CODES,
+  CONDITION_FLAGS,
+  observationField,
+  observationValue,
+  isHemoglobinLow,
+  conditionFlags,
+  ageAt
+};
@@ -0,0 +1,157 @@
+/**
+ * ENGINE ALERTS → FHIR R4 DetectedIssue
+ *
+ * - alert_code      → code.coding (system derived from alert_codes.json namespace,
+ *                     version = registry_version); message → code.text
+ * - severity        → severity (CRITICAL/HIGH → high, MODERATE → moderate, LOW/INFO → low);
+ *                     the engine grade is kept in an extension so CRITICAL survives
+ * - drug / drugs_involved → implicated (Reference to the MedicationRequest/Statement
+ *                     when the medication carries fhir_id, display name otherwise)
+ * - reason          → detail
+ * - action, monitoring → mitigation[].action
+ *
+ * detectedIssueToAlert() reverses the mapping; validateDetectedIssue() checks a
+ * resource against the bundled R4 schema excerpt (schemas/fhir_r4_detected_issue.schema.json).
+ */
+
+const crypto = require("crypto");
+const registry = require("../constants/alert_codes.json");
+const { alertKey } = require("../utils/alert_identity.js");
+const { validateAgainstSchema } = require("../utils/json_schema.js");
+const DETECTED_ISSUE_SCHEMA = require("./schemas/fhir_r4_detected_issue.schema.json");
+
+// "MED_SAFETY" → urn:med-safety:alert-code
+const NAMESPACE = registry.namespace.toLowerCase().replace(/_/g, "-");
+const ALERT_CODE_SYSTEM = `urn:${NAMESPACE}:alert-code`;
+const MITIGATION_SYSTEM = `urn:${NAMESPACE}:mitigation-type`;
+const ENGINE_SEVERITY_EXTENSION = `urn:${NAMESPACE}:fhir:extension:engine-severity`;
+const AUTHOR_DISPLAY = "Med Safety Engine";
+
+// Engine severity → DetectedIssue.severity
+const SEVERITY_MAP = {
+  CRITICAL: "high",
+  HIGH: "high",
+  MODERATE: "moderate",
+  LOW: "low",
+  INFO: "low"
+};
+
+// DetectedIssue.severity → engine severity when the extension is absent
+const FHIR_SEVERITY_MAP = { high: "HIGH", moderate: "MODERATE", low: "LOW" };
+
+function humanize(code) {
+  return code.charAt(0) + code.slice(1).toLowerCase().replace(/_/g, " ");
+}
+
+function mitigation(type, text) {
+  return { action: { coding: [{ system: MITIGATION_SYSTEM, code: type }], text } };
+}
+
+/**
+ * @param {Object} alert - Engine alert
+ * @param {Object} [options]
+ * @param {string} [options.patient_reference] - e.g. "Patient/123"
+ * @param {Array} [options.medications] - patient_data.current_medications (fhir_id resolves implicated references)
+ * @param {string|Date} [options.identified] - identifiedDateTime (e.g. result.evaluation_date)
+ * @returns {Object} DetectedIssue
+ */
+function alertToDetectedIssue(alert, options = {}) {
+  const fhir_ids = new Map((options.medications || [])
+    .filter(m => m && m.name && m.fhir_id)
+    .map(m => [m.name.toLowerCase().trim(), m.fhir_id]));
+
+  const issue = {
+    resourceType: "DetectedIssue",
+    id: `mse-${crypto.createHash("sha256").update(`${options.patient_reference || ""}|${alertKey(alert)}`).digest("hex").slice(0, 32)}`,
+    extension: [{ url: ENGINE_SEVERITY_EXTENSION, valueCode: alert.severity }],
+    status: "final",
+    code: {
+      coding: [{
+        system: ALERT_CODE_SYSTEM,
+        version: registry.registry_version,
+        code: alert.alert_code,
+        display: humanize(alert.alert_code)
+      }]
+    },
+    severity: SEVERITY_MAP[alert.severity] || "low"
+  };
+
+  if (alert.message) issue.code.text = alert.message;
+  if (options.patient_reference) issue.patient = { reference: options.patient_reference };
+  if (options.identified) issue.identifiedDateTime = new Date(options.identified).toISOString();
+  issue.author = { display: AUTHOR_DISPLAY };
+
+  const raw_drugs = alert.drug ? [alert.drug] : (alert.drugs_involved || []);
+  const implicated = raw_drugs.filter(Boolean).map(name => {
+    const reference = fhir_ids.get(String(name).toLowerCase().trim());
+    return reference ? { reference, display: String(name) } : { display: String(name) };
+  });
+  if (implicated.length > 0) issue.implicated = implicated;
+
+  if (alert.reason) issue.detail = alert.reason;
+
+  const mitigations = [];
+  if (alert.action) mitigations.push(mitigation("action", alert.action));
+  if (alert.monitoring) mitigations.push(mitigation("monitoring", alert.monitoring));
+  if (mitigations.length > 0) issue.mitigation = mitigations;
+
+  return issue;
+}
+
+/**
+ * Serialize an engine result
+ * @param {Object} result - MED_SAFETY_ENGINE result
+ * @param {Object} [options] - As for alertToDetectedIssue; identified defaults to result.evaluation_date
+ * @returns {Array} DetectedIssue resources, in alert order
+ */
+function resultToDetectedIssues(result, options = {}) {
+  const opts = { identified: result.evaluation_date, ...options };
+  return (result.alerts || []).map(alert => alertToDetectedIssue(alert, opts));
+}
+
+/**
+ * DetectedIssue (as produced above) → engine alert fields
+ * @param {Object} issue
+ * @returns {Object} { alert_code, severity, message, reason, action, monitoring, drug | drugs_involved }
+ */
+function detectedIssueToAlert(issue) {
+  const coding = ((issue.code && issue.code.coding) || []).find(c => c.system === ALERT_CODE_SYSTEM) || {};
+  const engine_severity = (issue.extension || []).find(e => e.url === ENGINE_SEVERITY_EXTENSION);
+  const mitigationText = type => {
+    const m = (issue.mitigation || []).find(x => ((x.action && x.action.coding) || []).some(c => c.code === type));
+    return m ? m.action.text : undefined;
+  };
+
+  const alert = {
+    alert_code: coding.code,
+    severity: engine_severity ? engine_severity.valueCode : FHIR_SEVERITY_MAP[issue.severity]
+  };
+  if (issue.code && issue.code.text) alert.message = issue.code.text;
+  if (issue.detail) alert.reason = issue.detail;
+  const action = mitigationText("action");
+  const monitoring = mitigationText("monitoring");
+  if (action) alert.action = action;
+  if (monitoring) alert.monitoring = monitoring;
+
+  const drugs = (issue.implicated || []).map(r => r.display).filter(Boolean);
+  if (drugs.length === 1) alert.drug = drugs[0];
+  if (drugs.length > 1) alert.drugs_involved = drugs;
+  return alert;
+}
+
+/**
+ * @param {Object} issue
+ * @returns {string[]} schema issues, empty when valid
+ */
+function validateDetectedIssue(issue) {
+  return validateAgainstSchema(DETECTED_ISSUE_SCHEMA, issue);
+}
+
+module.exports = {
+  ALERT_CODE_SYSTEM,
+  SEVERITY_MAP,
+  alertToDetectedIssue,
+  resultToDetectedIssues,
+  detectedIssueToAlert,
+  validateDetectedIssue
+};
@@ -0,0 +1,313 @@
+/**
+ * FHIR R4 → patient_data
+ * Maps FHIR resources (Bundles, CDS Hooks prefetch, search results) to MED_SAFETY_ENGINE input
+ *
+ * - Patient:                                 birthDate → patient_age (at as_of; birthDate itself is discarded), gender → patient_sex
+ * - MedicationRequest / MedicationStatement: → current_medications [{name, dose, rxcui, fhir_id}]
+ * - Observation:                             latest eGFR / body weight / hemoglobin by LOINC code
+ * - Condition:                               ICD-10 codes → icd_codes, plus engine flags (atrial_fibrillation, ...)
+ *
+ * Every resource that does not contribute to patient_data is reported in `unmapped`
+ * with a reason, so a FHIR export can be fed to the engine without silent data loss.
+ */
+
+const {
+  OBSERVATION_CODES,
+  CONDITION_FLAGS,
+  observationField,
+  observationValue,
+  isHemoglobinLow,
+  conditionFlags,
+  ageAt
+} = require("./clinical_codes.js");
+
+const LOINC = "http://loinc.org";
+const RXNORM = "http://www.nlm.nih.gov/research/umls/rxnorm";
+const ICD10_SYSTEMS = ["http://hl7.org/fhir/sid/icd-10-cm", "http://hl7.org/fhir/sid/icd-10"];
+
+const INACTIVE_STATUSES = ["entered-in-error", "cancelled", "stopped", "completed", "revoked", "not-taken"];
+
+// timing.repeat frequency per day → engine frequency token
+const FREQUENCY_TOKENS = { 1: "daily", 2: "BID", 3: "TID", 4: "QID" };
+
+// Reasons reported in `unmapped`
+const UNMAPPED_REASONS = Object.freeze({
+  UNSUPPORTED_RESOURCE_TYPE: "unsupported_resource_type",
+  INACTIVE_STATUS: "inactive_status",
+  UNRECOGNIZED_CODE: "unrecognized_code",
+  MISSING_VALUE: "missing_value",
+  UNSUPPORTED_UNIT: "unsupported_unit",
+  SUPERSEDED: "superseded",                 // older Observation of the same kind
+  OTHER_PATIENT: "other_patient",           // subject is not the Bundle's Patient
+  UNREFERENCED: "unreferenced"              // Medication not used by any order/statement
+});
+
+class FhirBundleError extends Error {
+  constructor(issues) {
+    super(`Cannot map FHIR Bundle: ${issues.join("; ")}`);
+    this.name = "FhirBundleError";
+    this.issues = issues;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Flatten prefetch values (resources, Bundles, arrays) into a resource list
+ * @param {Array|Object} input
+ * @returns {Array}
+ */
+function flattenResources(input) {
+  return flattenEntries(input).map(e => e.resource);
+}
+
+// [{ resource, fullUrl }] - fullUrl is kept so urn:uuid references resolve
+function flattenEntries(input) {
+  if (!input) return [];
+  if (Array.isArray(input)) return input.flatMap(flattenEntries);
+  if (input.resourceType === "Bundle") {
+    return (input.entry || []).filter(e => e && e.resource).map(e => ({ resource: e.resource, fullUrl: e.fullUrl }));
+  }
+  return input.resourceType ? [{ resource: input }] : [];
+}
+
+function codings(concept) {
+  return (concept && concept.coding) || [];
+}
+
+function conceptText(concept) {
+  if (!concept) return null;
+  return concept.text || (codings(concept).find(c => c.display) || {}).display || null;
+}
+
+/**
+ * Human-readable dose: Dosage.text, else "<dose> <unit> <frequency>"
+ */
+function dosageText(dosage) {
+  if (!dosage) return null;
+  if (dosage.text) return dosage.text;
+
+  const parts = [];
+  const quantity = (dosage.doseAndRate || []).map(d => d.doseQuantity).find(Boolean);
+  if (quantity && quantity.value !== undefined) parts.push(`${quantity.value}${quantity.unit || quantity.code || ""}`);
+
+  const repeat = dosage.timing && dosage.timing.repeat;
+  if (repeat && repeat.frequency && (repeat.periodUnit || "d") === "d" && (repeat.period || 1) === 1) {
+    parts.push(FREQUENCY_TOKENS[repeat.frequency] || `${repeat.frequency}x daily`);
+  } else if (dosage.timing && dosage.timing.code) {
+    parts.push(conceptText(dosage.timing.code));
+  }
+  if (dosage.asNeededBoolean) parts.push("PRN");
+  return parts.filter(Boolean).join(" ") || null;
+}
+
+function observationTime(resource) {
+  return new Date(resource.effectiveDateTime || (resource.effectivePeriod || {}).end || resource.issued || 0).getTime();
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MEDICATIONS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * MedicationRequest (dosageInstruction) or MedicationStatement (dosage) → engine medication entry
+ * @param {Object} resource
+ * @param {Map} medications_by_ref - "Medication/<id>" / fullUrl → Medication
+ * @returns {{ med: Object|null, medication_ref: string|null }}
+ */
+function medicationEntry(resource, medications_by_ref) {
+  let concept = resource.medicationCodeableConcept;
+  const ref = resource.medicationReference;
+  const medication_ref = ref && ref.reference;
+  if (!concept && ref) {
+    const med = medication_ref && (medications_by_ref.get(medication_ref) ||
+      (resource.contained || []).find(c => `#${c.id}` === medication_ref));
+    concept = med ? med.code : { text: ref.display };
+  }
+
+  const name = conceptText(concept);
+  if (!name) return { med: null, medication_ref };
+  const rxnorm = codings(concept).find(c => c.system === RXNORM);
+
+  const med = { name, fhir_id: resource.id ? `${resource.resourceType}/${resource.id}` : null };
+  const dosage = (resource.dosageInstruction || resource.dosage || [])[0];
+  const dose = dosageText(dosage);
+  if (dose) med.dose = dose;
+  if (rxnorm) med.rxcui = rxnorm.code;
+  return { med, medication_ref };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MAPPING
+// ═══════════════════════════════════════════════════════════════
+
+function mapEntries(entries, options = {}) {
+  const as_of = options.as_of ? new Date(options.as_of) : new Date();
+  const patient_data = { as_of: as_of.toISOString(), current_medications: [], icd_codes: [] };
+  const unmapped = [];
+  const skip = (resource, reason) => unmapped.push({ resourceType: resource.resourceType, id: resource.id || null, reason });
+
+  const patients = entries.filter(e => e.resource.resourceType === "Patient");
+  const patient_refs = new Set(patients.flatMap(e => [`Patient/${e.resource.id}`, e.fullUrl].filter(Boolean)));
+  const medications_by_ref = new Map();
+  for (const { resource, fullUrl } of entries) {
+    if (resource.resourceType !== "Medication") continue;
+    if (resource.id) medications_by_ref.set(`Medication/${resource.id}`, resource);
+    if (fullUrl) medications_by_ref.set(fullUrl, resource);
+  }
+
+  const used_medications = new Set();
+  const latest = {}; // field → { resource, value, time }
+
+  for (const { resource } of entries) {
+    const subject = (resource.subject || resource.patient || {}).reference;
+    if (subject && patient_refs.size > 0 && !patient_refs.has(subject)) {
+      skip(resource, UNMAPPED_REASONS.OTHER_PATIENT);
+      continue;
+    }
+
+    switch (resource.resourceType) {
+      case "Patient": {
+        if (resource.birthDate) patient_data.patient_age = ageAt(resource.birthDate, as_of);
+        if (resource.gender === "male") patient_data.patient_sex = "M";
+        if (resource.gender === "female") patient_data.patient_sex = "F";
+        break;
+      }
+
+      case "Medication":
+        break; // resolved through references; unreferenced ones reported below
+
+      case "MedicationRequest":
+      case "MedicationStatement": {
+        const allowed = options.medication_statuses;
+        if (allowed ? !allowed.includes(resource.status) : INACTIVE_STATUSES.includes(resource.status)) {
+          skip(resource, UNMAPPED_REASONS.INACTIVE_STATUS);
+          break;
+        }
+        const { med, medication_ref } = medicationEntry(resource, medications_by_ref);
+        if (medication_ref) used_medications.add(medications_by_ref.get(medication_ref));
+        if (med) patient_data.current_medications.push(med);
+        else skip(resource, UNMAPPED_REASONS.MISSING_VALUE);
+        break;
+      }
+
+      case "Observation": {
+        if (INACTIVE_STATUSES.includes(resource.status)) {
+          skip(resource, UNMAPPED_REASONS.INACTIVE_STATUS);
+          break;
+        }
+        const loinc = codings(resource.code).filter(c => c.system === LOINC).map(c => c.code);
+        const field = observationField(loinc);
+        if (!field) {
+          skip(resource, UNMAPPED_REASONS.UNRECOGNIZED_CODE);
+          break;
+        }
+        if (!resource.valueQuantity || typeof resource.valueQuantity.value !== "number") {
+          skip(resource, UNMAPPED_REASONS.MISSING_VALUE);
+          break;
+        }
+        const { value: raw, unit, code } = resource.valueQuantity;
+        const value = observationValue(field, raw, code || unit);
+        if (value === undefined) {
+          skip(resource, UNMAPPED_REASONS.UNSUPPORTED_UNIT);
+          break;
+        }
+
+        const time = observationTime(resource);
+        const current = latest[field];
+        if (current && current.time >= time) {
+          skip(resource, UNMAPPED_REASONS.SUPERSEDED);
+          break;
+        }
+        if (current) skip(current.resource, UNMAPPED_REASONS.SUPERSEDED);
+        latest[field] = { resource, value, time };
+        break;
+      }
+
+      case "Condition": {
+        const status = codings(resource.clinicalStatus).map(c => c.code)[0];
+        if (status && status !== "active" && status !== "recurrence" && status !== "relapse") {
+          skip(resource, UNMAPPED_REASONS.INACTIVE_STATUS);
+          break;
+        }
+        const icd = codings(resource.code).filter(c => ICD10_SYSTEMS.includes(c.system)).map(c => c.code);
+        if (icd.length === 0) {
+          skip(resource, UNMAPPED_REASONS.UNRECOGNIZED_CODE);
+          break;
+        }
+        for (const code of icd) {
+          if (!patient_data.icd_codes.includes(code)) patient_data.icd_codes.push(code);
+          for (const flag of conditionFlags(code)) patient_data[flag] = true;
+        }
+        break;
+      }
+
+      default:
+        skip(resource, UNMAPPED_REASONS.UNSUPPORTED_RESOURCE_TYPE);
+        break;
+    }
+  }
+
+  for (const medication of new Set(medications_by_ref.values())) {
+    if (!used_medications.has(medication)) skip(medication, UNMAPPED_REASONS.UNREFERENCED);
+  }
+
+  if (latest.egfr) patient_data.egfr = latest.egfr.value;
+  if (latest.weight_kg) patient_data.weight_kg = latest.weight_kg.value;
+  if (latest.hemoglobin) {
+    const flags = (latest.hemoglobin.resource.interpretation || []).flatMap(codings).map(c => c.code);
+    patient_data.hb_low = isHemoglobinLow(latest.hemoglobin.value, patient_data.patient_sex, flags);
+  }
+
+  return { patient_data, unmapped };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Map loose FHIR resources to patient_data (CDS Hooks prefetch)
+ * @param {Array|Object} input - Resources, Bundles, or arrays of either
+ * @param {Object} [options]
+ * @param {Date|string} [options.as_of] - Evaluation date (patient_age is computed at this date)
+ * @param {string[]} [options.medication_statuses] - MedicationRequest/MedicationStatement statuses to include
+ *                                                   (default: all but stopped/completed/cancelled/...)
+ * @returns {Object} patient_data
+ */
+function fhirResourcesToPatientData(input, options = {}) {
+  return mapEntries(flattenEntries(input), options).patient_data;
+}
+
+/**
+ * Map a FHIR R4 Bundle (one patient) to patient_data
+ * @param {Object} bundle - Bundle of any type (collection, searchset, transaction, document)
+ * @param {Object} [options] - As for fhirResourcesToPatientData
+ * @returns {{ patient_data: Object, unmapped: Array<{resourceType, id, reason}>, mapped_count: number }}
+ * @throws {FhirBundleError} if the input is not a Bundle or holds more than one Patient
+ */
+function fhirBundleToPatientData(bundle, options = {}) {
+  if (!bundle || typeof bundle !== "object" || bundle.resourceType !== "Bundle") {
+    throw new FhirBundleError(["input must be a FHIR Bundle"]);
+  }
+  const entries = flattenEntries(bundle);
+  const patient_ids = entries.filter(e => e.resource.resourceType === "Patient").map(e => e.resource.id);
+  if (patient_ids.length > 1) {
+    throw new FhirBundleError([`expected one Patient, found ${patient_ids.length} (${patient_ids.join(", ")})`]);
+  }
+
+  const { patient_data, unmapped } = mapEntries(entries, options);
+  return { patient_data, unmapped, mapped_count: entries.length - unmapped.length };
+}
+
+module.exports = {
+  fhirBundleToPatientData,
+  fhirResourcesToPatientData,
+  flattenResources,
+  FhirBundleError,
+  UNMAPPED_REASONS,
+  OBSERVATION_CODES,
+  CONDITION_FLAGS
+};
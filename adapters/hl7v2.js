@@ -0,0 +1,388 @@
+/**
+ * HL7 v2 PHARMACY ORDERS → patient_data
+ * Parses RDE^O11 (pharmacy encoded order) and OMP^O09 (pharmacy order) messages
+ * and builds the ACK returned to the sender
+ *
+ * - PID:     PID-7 date of birth → patient_age (at as_of; DOB itself is discarded), PID-8 sex
+ *            (identifiers, names and addresses are never read)
+ * - ORC:     starts an order group; discontinued/cancelled orders are skipped
+ * - RXE/RXO: give code, amount, units → current_medications (RXE preferred over RXO);
+ *            frequency from TQ1-3 or RXE-1
+ * - DG1:     ICD-10 codes → icd_codes, plus engine flags (atrial_fibrillation, ...)
+ * - OBX:     LOINC-coded eGFR, body weight, hemoglobin (latest per field wins)
+ *
+ * Segments that contribute nothing are reported in `unmapped` with a reason.
+ * Segment separators may be \r (wire format) or newlines (files).
+ */
+
+const { observationField, observationValue, isHemoglobinLow, conditionFlags, ageAt } = require("./clinical_codes.js");
+const { resolveEvaluationDate } = require("../utils/clock.js");
+
+const SUPPORTED_MESSAGES = ["RDE^O11", "OMP^O09"];
+
+// HL7 table 0396 coding systems
+const ICD10_SYSTEMS = ["I10", "I10C", "ICD10", "ICD10CM", "ICD-10", "ICD-10-CM"];
+const LOINC_SYSTEMS = ["LN", "LOINC"];
+const RXNORM_SYSTEMS = ["RXNORM", "RXN"];
+
+// ORC-1 order control / ORC-5 order status values that mean the order is not active
+const INACTIVE_ORDER_CONTROL = ["CA", "DC", "OC", "OD", "DR", "CR"];
+const INACTIVE_ORDER_STATUS = ["CA", "DC", "CM"];
+
+// OBX-11 result status values that must not be used (deleted, wrong patient, not done)
+const UNUSABLE_RESULT_STATUS = ["D", "W", "X"];
+
+// Segments consumed structurally or carrying nothing the engine reads
+const STRUCTURAL_SEGMENTS = ["MSH", "PID", "PD1", "EVN", "PV1", "PV2", "SFT", "NTE", "ORC", "TQ1", "TQ2", "RXR", "RXC"];
+
+const UNMAPPED_REASONS = Object.freeze({
+  UNSUPPORTED_SEGMENT: "unsupported_segment",
+  INACTIVE_STATUS: "inactive_status",
+  UNRECOGNIZED_CODE: "unrecognized_code",
+  MISSING_VALUE: "missing_value",
+  UNSUPPORTED_UNIT: "unsupported_unit",
+  SUPERSEDED: "superseded"
+});
+
+class Hl7MessageError extends Error {
+  constructor(issues) {
+    super(`Cannot parse HL7 v2 message: ${issues.join("; ")}`);
+    this.name = "Hl7MessageError";
+    this.issues = issues;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Split a message into segments with encoding-aware field access
+ * @param {string} text
+ * @returns {{ type: string, trigger: string, control_id: string, version: string,
+ *             processing_id: string, sending_application: string, sending_facility: string,
+ *             encoding: Object, segments: Array<{ id: string, index: number, fields: string[] }> }}
+ * @throws {Hl7MessageError}
+ */
+function parseHl7Message(text) {
+  if (typeof text !== "string" || !text.trimStart().startsWith("MSH")) {
+    throw new Hl7MessageError(["message must start with an MSH segment"]);
+  }
+  const lines = text.trim().split(/\r\n|\r|\n/).filter(line => line.trim() !== "");
+  const separator = lines[0][3];
+  const [component, repetition, escape, subcomponent] = lines[0].slice(4).split(separator)[0];
+  const encoding = { separator, component, repetition, escape, subcomponent };
+
+  const segments = lines.map((line, i) => {
+    const parts = line.split(separator);
+    // MSH-1 is the field separator itself, so MSH field n sits at parts[n - 1]
+    const fields = parts[0] === "MSH" ? ["MSH", separator, ...parts.slice(1)] : parts;
+    return { id: parts[0], index: i + 1, fields };
+  });
+
+  const msh = segments[0];
+  const message_type = components(msh, 9, encoding);
+  const message = {
+    type: message_type[0] || "",
+    trigger: message_type[1] || "",
+    control_id: field(msh, 10, encoding),
+    processing_id: field(msh, 11, encoding) || "P",
+    version: field(msh, 12, encoding) || "2.5.1",
+    sending_application: field(msh, 3, encoding),
+    sending_facility: field(msh, 4, encoding),
+    encoding,
+    segments
+  };
+
+  const issues = [];
+  if (!SUPPORTED_MESSAGES.includes(`${message.type}^${message.trigger}`)) {
+    issues.push(`MSH-9: unsupported message type ${message.type}^${message.trigger} (expected ${SUPPORTED_MESSAGES.join(" or ")})`);
+  }
+  if (!message.control_id) issues.push("MSH-10: message control id required");
+  if (issues.length > 0) throw new Hl7MessageError(issues);
+  return message;
+}
+
+function unescapeText(value, encoding) {
+  const e = encoding.escape;
+  if (!value || !value.includes(e)) return value;
+  const map = { F: encoding.separator, S: encoding.component, T: encoding.subcomponent, R: encoding.repetition, E: e };
+  return value.replace(new RegExp(`\\${e}([^\\${e}]*)\\${e}`, "g"), (match, seq) => {
+    if (map[seq]) return map[seq];
+    if (seq === ".br") return "\n";
+    return "";
+  });
+}
+
+function escapeText(value, encoding) {
+  const e = encoding.escape;
+  return String(value)
+    .split(e).join(`${e}E${e}`)
+    .split(encoding.separator).join(`${e}F${e}`)
+    .split(encoding.component).join(`${e}S${e}`)
+    .split(encoding.subcomponent).join(`${e}T${e}`)
+    .split(encoding.repetition).join(`${e}R${e}`)
+    .replace(/\r?\n/g, `${e}.br${e}`);
+}
+
+// Raw first repetition of field n
+function rawField(segment, n, encoding) {
+  return (segment.fields[n] || "").split(encoding.repetition)[0];
+}
+
+function field(segment, n, encoding) {
+  return unescapeText(rawField(segment, n, encoding).split(encoding.component)[0], encoding);
+}
+
+function components(segment, n, encoding) {
+  return rawField(segment, n, encoding).split(encoding.component).map(c => unescapeText(c, encoding));
+}
+
+// All repetitions of field n, first component each
+function repetitions(segment, n, encoding) {
+  return (segment.fields[n] || "").split(encoding.repetition)
+    .map(r => unescapeText(r.split(encoding.component)[0], encoding))
+    .filter(Boolean);
+}
+
+// HL7 DTM/TS "YYYYMMDD[HHMM[SS]]" → ISO date string
+function hl7Date(value) {
+  const m = /^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?/.exec(value || "");
+  if (!m) return null;
+  const [, y, mo = "01", d = "01", h = "00", mi = "00", s = "00"] = m;
+  return `${y}-${mo}-${d}T${h}:${mi}:${s}Z`;
+}
+
+// CWE "code^text^system^alt code^alt text^alt system" → codings
+function cweCodings(parts) {
+  return [
+    { code: parts[0], text: parts[1], system: (parts[2] || "").toUpperCase() },
+    { code: parts[3], text: parts[4], system: (parts[5] || "").toUpperCase() }
+  ].filter(c => c.code || c.text);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MAPPING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Order group (ORC + RXO/RXE/TQ1) → engine medication entry
+ */
+function medicationFromOrder(order, encoding) {
+  const rx = order.rxe || order.rxo;
+  // RXE: 2 give code, 3 amount, 5 units; RXO: 1 code, 2 amount, 4 units
+  const [code_n, amount_n, units_n] = rx.id === "RXE" ? [2, 3, 5] : [1, 2, 4];
+  const codings = cweCodings(components(rx, code_n, encoding));
+  const name = (codings.find(c => c.text) || codings[0] || {}).text || (codings[0] || {}).code;
+  if (!name) return null;
+
+  const amount = field(rx, amount_n, encoding);
+  const unit = field(rx, units_n, encoding);
+  const frequency = (order.tq1 && field(order.tq1, 3, encoding)) ||
+    (order.rxe && components(order.rxe, 1, encoding)[1]) || "";
+
+  const med = { name, order_id: order.orc ? field(order.orc, 2, encoding) || null : null };
+  const dose = [amount ? `${amount}${unit}` : "", frequency].filter(Boolean).join(" ");
+  if (dose) med.dose = dose;
+  const rxnorm = codings.find(c => RXNORM_SYSTEMS.includes(c.system));
+  if (rxnorm) med.rxcui = rxnorm.code;
+  return med;
+}
+
+/**
+ * Map an RDE^O11 / OMP^O09 message to patient_data
+ * @param {string|Object} input - Message text, or the result of parseHl7Message()
+ * @param {Object} [options]
+ * @param {Date|string} [options.as_of] - Evaluation date (patient_age is computed at this date)
+ * @returns {{ patient_data: Object, message: Object, unmapped: Array<{segment, index, reason}> }}
+ * @throws {Hl7MessageError}
+ */
+function hl7ToPatientData(input, options = {}) {
+  const message = typeof input === "string" ? parseHl7Message(input) : input;
+  const { encoding, segments } = message;
+  const as_of = options.as_of ? new Date(options.as_of) : new Date();
+  const patient_data = { as_of: as_of.toISOString(), current_medications: [], icd_codes: [] };
+  const unmapped = [];
+  const skip = (segment, reason) => unmapped.push({ segment: segment.id, index: segment.index, reason });
+
+  const orders = [];
+  const latest = {}; // field → { segment, value, time }
+  const currentOrder = () => {
+    if (orders.length === 0) orders.push({});
+    return orders[orders.length - 1];
+  };
+
+  for (const segment of segments) {
+    switch (segment.id) {
+      case "PID": {
+        const dob = hl7Date(field(segment, 7, encoding));
+        if (dob) patient_data.patient_age = ageAt(dob, as_of);
+        const sex = field(segment, 8, encoding).toUpperCase();
+        if (sex === "M" || sex === "F") patient_data.patient_sex = sex;
+        break;
+      }
+
+      case "ORC":
+        orders.push({ orc: segment });
+        break;
+
+      case "RXO":
+      case "RXE":
+        currentOrder()[segment.id.toLowerCase()] = segment;
+        break;
+
+      case "TQ1":
+        currentOrder().tq1 = currentOrder().tq1 || segment;
+        break;
+
+      case "DG1": {
+        const icd = cweCodings(components(segment, 3, encoding)).filter(c => ICD10_SYSTEMS.includes(c.system) && c.code);
+        if (icd.length === 0) {
+          skip(segment, UNMAPPED_REASONS.UNRECOGNIZED_CODE);
+          break;
+        }
+        for (const { code } of icd) {
+          if (!patient_data.icd_codes.includes(code)) patient_data.icd_codes.push(code);
+          for (const flag of conditionFlags(code)) patient_data[flag] = true;
+        }
+        break;
+      }
+
+      case "OBX": {
+        if (UNUSABLE_RESULT_STATUS.includes(field(segment, 11, encoding))) {
+          skip(segment, UNMAPPED_REASONS.INACTIVE_STATUS);
+          break;
+        }
+        const loinc = cweCodings(components(segment, 3, encoding)).filter(c => LOINC_SYSTEMS.includes(c.system)).map(c => c.code);
+        const obs_field = observationField(loinc);
+        if (!obs_field) {
+          skip(segment, UNMAPPED_REASONS.UNRECOGNIZED_CODE);
+          break;
+        }
+        // ">90" style results keep their bound
+        const raw = parseFloat(field(segment, 5, encoding).replace(/^[<>]=?/, ""));
+        if (!Number.isFinite(raw)) {
+          skip(segment, UNMAPPED_REASONS.MISSING_VALUE);
+          break;
+        }
+        const value = observationValue(obs_field, raw, field(segment, 6, encoding));
+        if (value === undefined) {
+          skip(segment, UNMAPPED_REASONS.UNSUPPORTED_UNIT);
+          break;
+        }
+
+        const time = new Date(hl7Date(field(segment, 14, encoding)) || 0).getTime();
+        const current = latest[obs_field];
+        if (current && current.time > time) {
+          skip(segment, UNMAPPED_REASONS.SUPERSEDED);
+          break;
+        }
+        if (current) skip(current.segment, UNMAPPED_REASONS.SUPERSEDED);
+        latest[obs_field] = { segment, value, time };
+        break;
+      }
+
+      default:
+        if (!STRUCTURAL_SEGMENTS.includes(segment.id)) skip(segment, UNMAPPED_REASONS.UNSUPPORTED_SEGMENT);
+        break;
+    }
+  }
+
+  for (const order of orders) {
+    const rx = order.rxe || order.rxo;
+    if (!rx) continue;
+    const control = order.orc ? field(order.orc, 1, encoding) : "";
+    const status = order.orc ? field(order.orc, 5, encoding) : "";
+    if (INACTIVE_ORDER_CONTROL.includes(control) || INACTIVE_ORDER_STATUS.includes(status)) {
+      skip(rx, UNMAPPED_REASONS.INACTIVE_STATUS);
+      continue;
+    }
+    const med = medicationFromOrder(order, encoding);
+    if (med) patient_data.current_medications.push(med);
+    else skip(rx, UNMAPPED_REASONS.MISSING_VALUE);
+  }
+
+  if (latest.egfr) patient_data.egfr = latest.egfr.value;
+  if (latest.weight_kg) patient_data.weight_kg = latest.weight_kg.value;
+  if (latest.hemoglobin) {
+    const flags = repetitions(latest.hemoglobin.segment, 8, encoding);
+    patient_data.hb_low = isHemoglobinLow(latest.hemoglobin.value, patient_data.patient_sex, flags);
+  }
+
+  unmapped.sort((a, b) => a.index - b.index);
+  return {
+    patient_data,
+    message: {
+      type: message.type,
+      trigger: message.trigger,
+      control_id: message.control_id,
+      sending_application: message.sending_application,
+      sending_facility: message.sending_facility
+    },
+    unmapped
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ACKNOWLEDGEMENT
+// ═══════════════════════════════════════════════════════════════
+
+function hl7Timestamp(date) {
+  return date.toISOString().replace(/[-:T]/g, "").slice(0, 14) + "+0000";
+}
+
+/**
+ * Build the ACK for a parsed message: MSA-1 AA, with one ERR (severity W) per
+ * unacknowledged CRITICAL alert and a summary in MSA-3
+ * @param {Object} message - From parseHl7Message()
+ * @param {Object} result - MED_SAFETY_ENGINE result for the message
+ * @param {Object} [options]
+ * @param {Function} [options.clock] - () => Date for MSH-7
+ * @param {string} [options.application="MED_SAFETY"] - MSH-3/MSH-4 of the ACK
+ * @returns {string} ACK message, \r-separated
+ */
+function buildAck(message, result, options = {}) {
+  const encoding = message.encoding;
+  const esc = value => escapeText(value, encoding);
+  const application = options.application || "MED_SAFETY";
+  const now = resolveEvaluationDate(null, options.clock).date;
+  const critical = (result.alerts || []).filter(a => a.severity === "CRITICAL" && !a.acknowledged);
+
+  const encoding_chars = `${encoding.component}${encoding.repetition}${encoding.escape}${encoding.subcomponent}`;
+  const msh = [
+    "MSH", encoding_chars, application, application,
+    esc(message.sending_application), esc(message.sending_facility),
+    hl7Timestamp(now), "",
+    ["ACK", message.trigger, "ACK"].join(encoding.component),
+    esc(`A${message.control_id}`.slice(0, 20)),
+    message.processing_id, message.version
+  ].join(encoding.separator);
+
+  const summary = critical.length === 0
+    ? "No critical medication safety alerts"
+    : `${critical.length} critical medication safety alert${critical.length === 1 ? "" : "s"}: ${critical.map(a => a.alert_code).join(", ")}`;
+  const msa = ["MSA", "AA", esc(message.control_id), esc(summary)].join(encoding.separator);
+
+  const errs = critical.map(alert => {
+    const drugs = alert.drug || (alert.drugs_involved || []).join(" + ");
+    const text = [alert.message, drugs && `Drug: ${drugs}`, alert.action && `Action: ${alert.action}`].filter(Boolean).join(". ");
+    return [
+      "ERR", "", "",
+      ["0", "Message accepted", "HL70357"].join(encoding.component),
+      "W",
+      [alert.alert_code, "", application].join(encoding.component),
+      "", "",
+      esc(text)
+    ].join(encoding.separator);
+  });
+
+  return [msh, msa, ...errs].join("\r");
+}
+
+module.exports = {
+  parseHl7Message,
+  hl7ToPatientData,
+  buildAck,
+  Hl7MessageError,
+  UNMAPPED_REASONS
+};
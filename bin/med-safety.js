@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+/**
+ * MED-SAFETY CLI
+ * Run MED_SAFETY_ENGINE on patient JSON files (or stdin) and print a report
+ *
+ *   med-safety patient.json
+ *   cat patient.json | med-safety --format json
+ *   med-safety --min-severity HIGH --profile config/profiles/example_nephrology.json a.json b.json
+ *
+ * Input: a patient_data object, or a FHIR R4 Bundle (mapped by adapters/fhir_patient_data.js)
+ *
+ * Exit codes:
+ *   0 - no blocking alerts
+ *   1 - at least one input has_blocking_alerts (unacknowledged CRITICAL)
+ *   2 - usage, input or profile error
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { MED_SAFETY_ENGINE, loadSiteProfile } = require("../orchestrator.js");
+const { fhirBundleToPatientData } = require("../adapters/fhir_patient_data.js");
+const { SEVERITY_ORDER, severityRank } = require("../constants/severity.js");
+const { version } = require("../package.json");
+
+const EXIT_OK = 0;
+const EXIT_BLOCKING = 1;
+const EXIT_USAGE = 2;
+
+const FORMATS = ["text", "json", "markdown"];
+
+const USAGE = `Usage: med-safety [options] [file ...]
+
+Reads patient_data JSON (or a FHIR R4 Bundle) from each file, or from stdin
+when no file (or "-") is given, and runs MED_SAFETY_ENGINE.
+
+Options:
+  -f, --format <text|json|markdown>  Output format (default: text)
+  -s, --min-severity <level>         Only report alerts at or above CRITICAL|HIGH|MODERATE|LOW|INFO
+  -p, --profile <file>               Site profile JSON (see README "Site Profiles")
+      --color / --no-color           Force ANSI colors on/off (default: on for terminals, off if NO_COLOR)
+  -h, --help                         Show this help
+  -v, --version                      Show version
+
+Exit status: 0 no blocking alerts, 1 blocking alerts present, 2 usage or input error`;
+
+class CliUsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CliUsageError";
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ARGUMENTS
+// ═══════════════════════════════════════════════════════════════
+
+function parseArgs(argv) {
+  const args = { files: [], format: "text", min_severity: null, profile: null, color: null, help: false, version: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new CliUsageError(`${arg} requires a value`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case "-f": case "--format": args.format = value().toLowerCase(); break;
+      case "-s": case "--min-severity": args.min_severity = value().toUpperCase(); break;
+      case "-p": case "--profile": args.profile = value(); break;
+      case "--color": args.color = true; break;
+      case "--no-color": args.color = false; break;
+      case "-h": case "--help": args.help = true; break;
+      case "-v": case "--version": args.version = true; break;
+      default:
+        if (arg.startsWith("-") && arg !== "-") throw new CliUsageError(`Unknown option ${arg}`);
+        args.files.push(arg);
+    }
+  }
+
+  if (args.format === "md") args.format = "markdown";
+  if (!FORMATS.includes(args.format)) throw new CliUsageError(`--format must be one of ${FORMATS.join(", ")}`);
+  if (args.min_severity && !SEVERITY_ORDER[args.min_severity]) {
+    throw new CliUsageError(`--min-severity must be one of ${Object.keys(SEVERITY_ORDER).join(", ")}`);
+  }
+  return args;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// EVALUATION
+// ═══════════════════════════════════════════════════════════════
+
+function readInput(source, io) {
+  const raw = source === "-" ? io.readStdin() : fs.readFileSync(path.resolve(io.cwd, source), "utf8");
+  let json;
+  try {
+    json = JSON.parse(raw);
+  } catch (err) {
+    throw new CliUsageError(`${source === "-" ? "stdin" : source}: invalid JSON (${err.message})`);
+  }
+  if (json && json.resourceType === "Bundle") {
+    const { patient_data, unmapped } = fhirBundleToPatientData(json);
+    return { patient_data, unmapped };
+  }
+  return { patient_data: json, unmapped: null };
+}
+
+function evaluate(source, io, engine_options, min_severity) {
+  const { patient_data, unmapped } = readInput(source, io);
+  const result = MED_SAFETY_ENGINE(patient_data, engine_options);
+  const shown = min_severity
+    ? result.alerts.filter(a => severityRank(a.severity) <= severityRank(min_severity))
+    : result.alerts;
+
+  return {
+    source: source === "-" ? "stdin" : source,
+    result,
+    alerts: shown,
+    hidden_count: result.alerts.length - shown.length,
+    unmapped
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// FORMATTERS
+// ═══════════════════════════════════════════════════════════════
+
+const ANSI = {
+  reset: "\x1b[0m",
+  bold: "\x1b[1m",
+  dim: "\x1b[2m",
+  CRITICAL: "\x1b[1;41;97m",
+  HIGH: "\x1b[1;31m",
+  MODERATE: "\x1b[33m",
+  LOW: "\x1b[36m",
+  INFO: "\x1b[2m"
+};
+
+function painter(enabled) {
+  return (style, text) => (enabled ? `${ANSI[style]}${text}${ANSI.reset}` : text);
+}
+
+function alertDrugLabel(alert) {
+  if (alert.drug) return alert.drug;
+  return (alert.drugs_involved || []).join(" + ");
+}
+
+function summaryLine(report) {
+  const { result } = report;
+  const hidden = report.hidden_count ? `, ${report.hidden_count} below threshold hidden` : "";
+  return `${result.alert_count} alerts (${result.critical_count} critical, ${result.high_count} high${hidden})`;
+}
+
+function formatText(reports, color) {
+  const paint = painter(color);
+  const lines = [];
+
+  for (const report of reports) {
+    const { result } = report;
+    lines.push("═".repeat(60));
+    lines.push(paint("bold", `MED SAFETY REPORT - ${report.source}`));
+    lines.push(paint("dim", `Evaluated ${result.evaluation_date.slice(0, 10)} · profile ${result.profile.name}`));
+    lines.push("═".repeat(60));
+
+    if (report.alerts.length === 0) lines.push("No alerts at the selected severity.");
+    for (const alert of report.alerts) {
+      const tag = alert.acknowledged ? paint("dim", " (acknowledged)") : "";
+      lines.push(`${paint(alert.severity, ` ${alert.severity} `)} ${paint("bold", alert.alert_code)}${tag}`);
+      const drugs = alertDrugLabel(alert);
+      if (drugs) lines.push(`   Drug:       ${drugs}`);
+      lines.push(`   Message:    ${alert.message}`);
+      if (alert.reason) lines.push(`   Reason:     ${alert.reason}`);
+      if (alert.action) lines.push(`   Action:     ${alert.action}`);
+      if (alert.monitoring) lines.push(`   Monitoring: ${alert.monitoring}`);
+      lines.push("");
+    }
+
+    if (report.unmapped && report.unmapped.length > 0) {
+      lines.push(paint("dim", `FHIR resources not mapped: ${report.unmapped.map(u => `${u.resourceType}/${u.id} (${u.reason})`).join(", ")}`));
+    }
+    const summary = `SUMMARY: ${summaryLine(report)}`;
+    lines.push(result.has_blocking_alerts ? paint("HIGH", `${summary} - BLOCKING`) : summary);
+    lines.push("");
+  }
+  return lines.join("\n");
+}
+
+function mdCell(text) {
+  return String(text === undefined || text === null ? "" : text).replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+function formatMarkdown(reports) {
+  const lines = [];
+  for (const report of reports) {
+    const { result } = report;
+    lines.push(`## Medication safety report: ${report.source}`);
+    lines.push("");
+    lines.push(`**${summaryLine(report)}**${result.has_blocking_alerts ? " · ⛔ blocking" : ""} · ` +
+      `evaluated ${result.evaluation_date.slice(0, 10)} · profile \`${result.profile.name}\``);
+    lines.push("");
+
+    if (report.alerts.length === 0) {
+      lines.push("_No alerts at the selected severity._");
+    } else {
+      lines.push("| Severity | Code | Drug(s) | Message | Action |");
+      lines.push("|----------|------|---------|---------|--------|");
+      for (const alert of report.alerts) {
+        const severity = alert.acknowledged ? `${alert.severity} (ack)` : alert.severity;
+        lines.push(`| ${[severity, `\`${alert.alert_code}\``, alertDrugLabel(alert), alert.message, alert.action].map(mdCell).join(" | ")} |`);
+      }
+    }
+    if (report.unmapped && report.unmapped.length > 0) {
+      lines.push("");
+      lines.push(`Unmapped FHIR resources: ${report.unmapped.map(u => `\`${u.resourceType}/${u.id}\` (${u.reason})`).join(", ")}`);
+    }
+    lines.push("");
+  }
+  return lines.join("\n");
+}
+
+function formatJson(reports) {
+  const out = reports.map(report => {
+    const json = { source: report.source, ...report.result, alerts: report.alerts, hidden_count: report.hidden_count };
+    if (report.unmapped) json.unmapped = report.unmapped;
+    return json;
+  });
+  return JSON.stringify(out.length === 1 ? out[0] : out, null, 2);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} [io] - Injectable streams (tests)
+ * @param {Function} [io.readStdin] - () => string
+ * @param {Function} [io.stdout] - (text) => void
+ * @param {Function} [io.stderr] - (text) => void
+ * @param {boolean} [io.isTTY] - stdout is a terminal (enables color)
+ * @param {Object} [io.env]
+ * @param {string} [io.cwd]
+ * @returns {number} exit code
+ */
+function runCli(argv, io = {}) {
+  const env = io.env || process.env;
+  const stdio = {
+    readStdin: io.readStdin || (() => fs.readFileSync(0, "utf8")),
+    stdout: io.stdout || (text => process.stdout.write(text)),
+    stderr: io.stderr || (text => process.stderr.write(text)),
+    cwd: io.cwd || process.cwd()
+  };
+
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (err) {
+    stdio.stderr(`med-safety: ${err.message}\n\n${USAGE}\n`);
+    return EXIT_USAGE;
+  }
+  if (args.help) {
+    stdio.stdout(`${USAGE}\n`);
+    return EXIT_OK;
+  }
+  if (args.version) {
+    stdio.stdout(`${version}\n`);
+    return EXIT_OK;
+  }
+
+  if (args.files.length === 0 && !io.readStdin && process.stdin.isTTY) {
+    stdio.stderr(`med-safety: no input files and stdin is a terminal\n\n${USAGE}\n`);
+    return EXIT_USAGE;
+  }
+
+  const sources = args.files.length > 0 ? args.files : ["-"];
+  let reports;
+  try {
+    const engine_options = args.profile ? { profile: loadSiteProfile(path.resolve(stdio.cwd, args.profile)) } : {};
+    reports = sources.map(source => evaluate(source, stdio, engine_options, args.min_severity));
+  } catch (err) {
+    const detail = err.issues && err.issues.length ? ` (${err.issues.map(i => i.message || i).join("; ")})` : "";
+    stdio.stderr(`med-safety: ${err.message}${detail}\n`);
+    return EXIT_USAGE;
+  }
+
+  const color = args.color !== null ? args.color : Boolean(io.isTTY !== undefined ? io.isTTY : process.stdout.isTTY) && !env.NO_COLOR;
+  if (args.format === "json") stdio.stdout(`${formatJson(reports)}\n`);
+  else if (args.format === "markdown") stdio.stdout(formatMarkdown(reports));
+  else stdio.stdout(formatText(reports, color));
+
+  return reports.some(r => r.result.has_blocking_alerts) ? EXIT_BLOCKING : EXIT_OK;
+}
+
+module.exports = { runCli, parseArgs, EXIT_OK, EXIT_BLOCKING, EXIT_USAGE };
+
+if (require.main === module) {
+  process.exitCode = runCli(process.argv.slice(2));
+}
@@ -4,6 +4,7 @@
  */
 
 const ALERT_CODES = Object.freeze({
+  ACETAMINOPHEN_DAILY_MAX: "ACETAMINOPHEN_DAILY_MAX",
   ANTITHROMB_DOAC_DOSE_CHECK: "ANTITHROMB_DOAC_DOSE_CHECK",
   ANTITHROMB_DUAL_ANTICOAG: "ANTITHROMB_DUAL_ANTICOAG",
   ANTITHROMB_HIGH_BLEED_RISK: "ANTITHROMB_HIGH_BLEED_RISK",
@@ -19,6 +20,7 @@ const ALERT_CODES = Object.freeze({
   DUP_ANTICOAGULANT_DOAC: "DUP_ANTICOAGULANT_DOAC",
   DUP_ANTICOAGULANT_MIXED: "DUP_ANTICOAGULANT_MIXED",
   DUP_ANTICOAGULANT_MULTIPLE: "DUP_ANTICOAGULANT_MULTIPLE",
+  DUP_ATC_SUBGROUP: "DUP_ATC_SUBGROUP",
   DUP_BENZODIAZEPINE: "DUP_BENZODIAZEPINE",
   DUP_BETA_BLOCKER: "DUP_BETA_BLOCKER",
   DUP_BIGUANIDE: "DUP_BIGUANIDE",
@@ -36,6 +38,7 @@ const ALERT_CODES = Object.freeze({
   OPIOID_NALOXONE_NEEDED: "OPIOID_NALOXONE_NEEDED",
   RENAL_DOAC_ADJUST: "RENAL_DOAC_ADJUST",
   RENAL_DOAC_CONTRAINDICATED: "RENAL_DOAC_CONTRAINDICATED",
+  RENAL_DPP4_ADJUST: "RENAL_DPP4_ADJUST",
   RENAL_GABAPENTINOID_ADJUST: "RENAL_GABAPENTINOID_ADJUST",
   RENAL_GLYBURIDE_AVOID: "RENAL_GLYBURIDE_AVOID",
   RENAL_METFORMIN_CONTRAINDICATED: "RENAL_METFORMIN_CONTRAINDICATED",
@@ -52,11 +55,14 @@ const ALERT_CODES = Object.freeze({
   TRIPLE_WHAMMY_PRESENT: "TRIPLE_WHAMMY_PRESENT",
   TRIPLE_WHAMMY_VOLUME_DEPLETION: "TRIPLE_WHAMMY_VOLUME_DEPLETION",
   VALIDATION_AGE_MISSING: "VALIDATION_AGE_MISSING",
+  VALIDATION_CLASS_CONFLICT: "VALIDATION_CLASS_CONFLICT",
   VALIDATION_EGFR_MISSING: "VALIDATION_EGFR_MISSING",
+  VALIDATION_INVALID_INPUT: "VALIDATION_INVALID_INPUT",
   VALIDATION_WEIGHT_MISSING: "VALIDATION_WEIGHT_MISSING",
 });
 
 const ALERT_CODE_META = Object.freeze({
+  "ACETAMINOPHEN_DAILY_MAX": { domain: "ACETAMINOPHEN", default_severity: "HIGH" },
   "ANTITHROMB_DOAC_DOSE_CHECK": { domain: "ANTITHROMBOTIC", default_severity: "HIGH" },
   "ANTITHROMB_DUAL_ANTICOAG": { domain: "ANTITHROMBOTIC", default_severity: "CRITICAL" },
   "ANTITHROMB_HIGH_BLEED_RISK": { domain: "ANTITHROMBOTIC", default_severity: "HIGH" },
@@ -72,6 +78,7 @@ const ALERT_CODE_META = Object.freeze({
   "DUP_ANTICOAGULANT_DOAC": { domain: "THERAPEUTIC_DUPLICATION", default_severity: "CRITICAL" },
   "DUP_ANTICOAGULANT_MIXED": { domain: "THERAPEUTIC_DUPLICATION", default_severity: "CRITICAL" },
   "DUP_ANTICOAGULANT_MULTIPLE": { domain: "THERAPEUTIC_DUPLICATION", default_severity: "CRITICAL" },
+  "DUP_ATC_SUBGROUP": { domain: "THERAPEUTIC_DUPLICATION", default_severity: "MODERATE" },
   "DUP_BENZODIAZEPINE": { domain: "THERAPEUTIC_DUPLICATION", default_severity: "MODERATE" },
   "DUP_BETA_BLOCKER": { domain: "THERAPEUTIC_DUPLICATION", default_severity: "HIGH" },
   "DUP_BIGUANIDE": { domain: "THERAPEUTIC_DUPLICATION", default_severity: "HIGH" },
@@ -89,6 +96,7 @@ const ALERT_CODE_META = Object.freeze({
   "OPIOID_NALOXONE_NEEDED": { domain: "OPIOID_SAFETY", default_severity: "HIGH" },
   "RENAL_DOAC_ADJUST": { domain: "RENAL_DOSING", default_severity: "HIGH" },
   "RENAL_DOAC_CONTRAINDICATED": { domain: "RENAL_DOSING", default_severity: "CRITICAL" },
+  "RENAL_DPP4_ADJUST": { domain: "RENAL_DOSING", default_severity: "HIGH" },
   "RENAL_GABAPENTINOID_ADJUST": { domain: "RENAL_DOSING", default_severity: "HIGH" },
   "RENAL_GLYBURIDE_AVOID": { domain: "RENAL_DOSING", default_severity: "HIGH" },
   "RENAL_METFORMIN_CONTRAINDICATED": { domain: "RENAL_DOSING", default_severity: "CRITICAL" },
@@ -105,7 +113,9 @@ const ALERT_CODE_META = Object.freeze({
   "TRIPLE_WHAMMY_PRESENT": { domain: "TRIPLE_WHAMMY", default_severity: "HIGH" },
   "TRIPLE_WHAMMY_VOLUME_DEPLETION": { domain: "TRIPLE_WHAMMY", default_severity: "CRITICAL" },
   "VALIDATION_AGE_MISSING": { domain: "INPUT_VALIDATION", default_severity: "INFO" },
+  "VALIDATION_CLASS_CONFLICT": { domain: "INPUT_VALIDATION", default_severity: "LOW" },
   "VALIDATION_EGFR_MISSING": { domain: "INPUT_VALIDATION", default_severity: "INFO" },
+  "VALIDATION_INVALID_INPUT": { domain: "INPUT_VALIDATION", default_severity: "MODERATE" },
   "VALIDATION_WEIGHT_MISSING": { domain: "INPUT_VALIDATION", default_severity: "INFO" },
 });
 
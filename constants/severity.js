@@ -0,0 +1,23 @@
+/**
+ * ALERT SEVERITY ORDER
+ * Lower rank = more severe. Unknown severities sort last.
+ */
+
+const SEVERITY_ORDER = Object.freeze({ "CRITICAL": 1, "HIGH": 2, "MODERATE": 3, "LOW": 4, "INFO": 5 });
+
+/**
+ * @param {string} severity
+ * @returns {number} rank (99 if unknown)
+ */
+function severityRank(severity) {
+  return SEVERITY_ORDER[severity] || 99;
+}
+
+/**
+ * @returns {boolean} true if `a` is strictly more severe than `b`
+ */
+function isMoreSevere(a, b) {
+  return severityRank(a) < severityRank(b);
+}
+
+module.exports = { SEVERITY_ORDER, severityRank, isMoreSevere };
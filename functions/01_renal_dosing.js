@@ -7,14 +7,22 @@
  */
 
 const { ALERT_CODES } = require("../constants/alert_codes.js");
+const { isMoreSevere } = require("../constants/severity.js");
+const { NULL_TRACER } = require("../utils/rule_trace.js");
+const { defineDrugTerms } = require("../utils/drug_matcher.js");
+const { parseMedicationDose } = require("../utils/medication_parser.js");
+
+// A REDUCE threshold the current daily dose already meets only asks for monitoring
+const WITHIN_MAX_SEVERITY = "MODERATE";
 
 // Renal dosing thresholds by drug
+// max_daily_mg: renal maximum for REDUCE thresholds, compared with the parsed daily dose
 const RENAL_DRUG_RULES = {
   // Metformin (KDIGO 2024)
   metformin: {
     thresholds: [
       { egfr_max: 30, action: "CONTRAINDICATED", severity: "CRITICAL", code: "RENAL_METFORMIN_CONTRAINDICATED" },
-      { egfr_max: 45, action: "REDUCE", severity: "HIGH", code: "RENAL_METFORMIN_REDUCE", 
+      { egfr_max: 45, action: "REDUCE", severity: "HIGH", code: "RENAL_METFORMIN_REDUCE", max_daily_mg: 1000,
         message: "Reduce to max 1000mg/day; hold if acute illness" },
       { egfr_max: 60, action: "CAUTION", severity: "MODERATE",
         message: "Monitor eGFR every 3-6 months; may need dose reduction" }
@@ -25,22 +33,22 @@ const RENAL_DRUG_RULES = {
   // Gabapentinoids
   gabapentin: {
     thresholds: [
-      { egfr_max: 15, action: "REDUCE", severity: "HIGH", code: "RENAL_GABAPENTINOID_ADJUST",
+      { egfr_max: 15, action: "REDUCE", severity: "HIGH", code: "RENAL_GABAPENTINOID_ADJUST", max_daily_mg: 300,
         message: "Max 300mg daily; give post-dialysis dose on HD days" },
-      { egfr_max: 30, action: "REDUCE", severity: "HIGH", code: "RENAL_GABAPENTINOID_ADJUST",
+      { egfr_max: 30, action: "REDUCE", severity: "HIGH", code: "RENAL_GABAPENTINOID_ADJUST", max_daily_mg: 600,
         message: "Max 300mg BID" },
-      { egfr_max: 60, action: "REDUCE", severity: "MODERATE",
+      { egfr_max: 60, action: "REDUCE", severity: "MODERATE", max_daily_mg: 1200,
         message: "Max 600mg BID" }
     ],
     class: "gabapentinoid"
   },
   pregabalin: {
     thresholds: [
-      { egfr_max: 15, action: "REDUCE", severity: "HIGH", code: "RENAL_GABAPENTINOID_ADJUST",
+      { egfr_max: 15, action: "REDUCE", severity: "HIGH", code: "RENAL_GABAPENTINOID_ADJUST", max_daily_mg: 75,
         message: "Max 75mg daily" },
-      { egfr_max: 30, action: "REDUCE", severity: "HIGH", code: "RENAL_GABAPENTINOID_ADJUST",
+      { egfr_max: 30, action: "REDUCE", severity: "HIGH", code: "RENAL_GABAPENTINOID_ADJUST", max_daily_mg: 150,
         message: "Max 150mg daily in 1-2 doses" },
-      { egfr_max: 60, action: "REDUCE", severity: "MODERATE",
+      { egfr_max: 60, action: "REDUCE", severity: "MODERATE", max_daily_mg: 300,
         message: "Max 300mg daily in 2-3 doses" }
     ],
     class: "gabapentinoid"
@@ -60,7 +68,7 @@ const RENAL_DRUG_RULES = {
     thresholds: [
       { egfr_max: 15, action: "AVOID", severity: "CRITICAL", code: "RENAL_DOAC_CONTRAINDICATED",
         message: "Avoid rivaroxaban if eGFR <15" },
-      { egfr_max: 50, action: "REDUCE", severity: "HIGH", code: "RENAL_DOAC_ADJUST",
+      { egfr_max: 50, action: "REDUCE", severity: "HIGH", code: "RENAL_DOAC_ADJUST", max_daily_mg: 15,
         message: "Use 15mg daily (not 20mg) for AFib" }
     ],
     class: "anticoagulant_DOAC"
@@ -69,7 +77,7 @@ const RENAL_DRUG_RULES = {
     thresholds: [
       { egfr_max: 30, action: "AVOID", severity: "CRITICAL", code: "RENAL_DOAC_CONTRAINDICATED",
         message: "Contraindicated if eGFR <30" },
-      { egfr_max: 50, action: "REDUCE", severity: "HIGH", code: "RENAL_DOAC_ADJUST",
+      { egfr_max: 50, action: "REDUCE", severity: "HIGH", code: "RENAL_DOAC_ADJUST", max_daily_mg: 150,
         message: "Use 75mg BID (not 150mg BID)" }
     ],
     class: "anticoagulant_DOAC"
@@ -78,7 +86,7 @@ const RENAL_DRUG_RULES = {
     thresholds: [
       { egfr_max: 15, action: "AVOID", severity: "CRITICAL", code: "RENAL_DOAC_CONTRAINDICATED",
         message: "Avoid if eGFR <15" },
-      { egfr_max: 50, action: "REDUCE", severity: "HIGH", code: "RENAL_DOAC_ADJUST",
+      { egfr_max: 50, action: "REDUCE", severity: "HIGH", code: "RENAL_DOAC_ADJUST", max_daily_mg: 30,
         message: "Use 30mg daily (not 60mg)" }
     ],
     class: "anticoagulant_DOAC"
@@ -120,6 +128,17 @@ const RENAL_DRUG_RULES = {
     class: "sulfonylurea"
   },
 
+  // DPP-4 inhibitors
+  sitagliptin: {
+    thresholds: [
+      { egfr_max: 30, action: "REDUCE", severity: "HIGH", code: "RENAL_DPP4_ADJUST", max_daily_mg: 25,
+        message: "Use 25mg daily if eGFR <30" },
+      { egfr_max: 45, action: "REDUCE", severity: "HIGH", code: "RENAL_DPP4_ADJUST", max_daily_mg: 50,
+        message: "Use 50mg daily if eGFR 30-44" }
+    ],
+    class: "DPP4_inhibitor"
+  },
+
   // Antibiotics
   nitrofurantoin: {
     thresholds: [
@@ -130,14 +149,25 @@ const RENAL_DRUG_RULES = {
   }
 };
 
+const RENAL_RULE_TERMS = defineDrugTerms("renal.rules", RENAL_DRUG_RULES);
+
 /**
  * @param {Object} input
  * @param {number} input.egfr - Estimated GFR in mL/min/1.73m²
+ * @param {string} [input.egfr_comparator] - eGFR was reported as a bound ("<", "≤", ">", "≥");
+ *                                           below "<N" or "≤N" a threshold at N applies
  * @param {Array} input.medications - [{name, dose, class}]
+ * @param {Object} [input.egfr_max] - Per-drug egfr_max overrides, in threshold order
+ *                                    e.g. { metformin: [30, 45, 60] }
+ * @param {Object} [input.trace] - Rule tracer (utils/rule_trace.js)
  * @returns {{ alerts: Array, metadata: Object }}
  */
 function RENAL_DOSING_CHECK(input) {
-  const { egfr, medications } = input;
+  const { egfr, egfr_comparator = null, medications, egfr_max = {}, trace = NULL_TRACER } = input;
+  const egfr_upper_bound = /^[<≤]/.test(egfr_comparator || "");
+  const egfr_text = `${egfr_comparator || ""}${egfr}`;
+  // Reported as "<N": a limit at N applies
+  const below = limit => egfr < limit || (egfr_upper_bound && egfr <= limit);
   const alerts = [];
 
   if (egfr === null || egfr === undefined) {
@@ -150,54 +180,85 @@ function RENAL_DOSING_CHECK(input) {
   }
 
   const flagged_drugs = [];
+  const daily_totals = dailyTotalsByRule(medications);
 
   for (const med of medications) {
-    const name_lower = (med.name || "").toLowerCase();
-    
-    // Check each known drug
-    for (const [drug, rules] of Object.entries(RENAL_DRUG_RULES)) {
-      if (name_lower.includes(drug)) {
-        // Find applicable threshold
-        for (const threshold of rules.thresholds) {
-          if (egfr < threshold.egfr_max) {
-            flagged_drugs.push({
-              drug: med.name,
-              dose: med.dose,
-              egfr_threshold: threshold.egfr_max,
-              action: threshold.action,
-              message: threshold.message
-            });
-
-            alerts.push({
-              alert_code: ALERT_CODES[threshold.code] || ALERT_CODES.RENAL_GABAPENTINOID_ADJUST,
-              drug: med.name,
-              severity: threshold.severity,
-              message: `${threshold.action}: ${med.name} at eGFR ${egfr}`,
-              reason: threshold.message,
-              action: threshold.action === "CONTRAINDICATED" || threshold.action === "AVOID" 
-                ? `STOP ${med.name}` 
-                : `Adjust dose per renal guidelines`,
-              egfr_threshold: threshold.egfr_max,
-              current_egfr: egfr
-            });
-            break; // Only apply first (most restrictive) matching threshold
-          }
-        }
-        break; // Found the drug, move to next medication
+    // Check the known drug (leftmost rule name in the medication name, word boundaries)
+    const match = RENAL_RULE_TERMS.first(med.name);
+    if (match) {
+      const { term: drug, value: rules } = match;
+      // Find applicable threshold (site overrides replace egfr_max positionally)
+      const thresholds = egfr_max[drug]
+        ? rules.thresholds.map((t, i) => ({ ...t, egfr_max: egfr_max[drug][i] ?? t.egfr_max }))
+        : rules.thresholds;
+      const hit = thresholds.find(t => below(t.egfr_max));
+      // Several entries of one drug (split doses, brand + generic) count together.
+      // An unreadable entry leaves the total unknown unless the readable part already exceeds the maximum
+      const total = daily_totals.get(drug);
+      const known = total.unparsed === 0 || (total.entries > total.unparsed && hit && total.daily_mg > hit.max_daily_mg);
+      const daily_mg = hit && hit.max_daily_mg && known ? total.daily_mg : null;
+
+      const step = trace.step("renal_threshold", {
+        inputs: {
+          drug: med.name, matched_rule: drug, egfr, daily_mg, entries: total.entries,
+          site_override: thresholds.some((t, i) => t.egfr_max !== rules.thresholds[i].egfr_max)
+        },
+        thresholds: thresholds.map(t => ({
+          egfr_max: t.egfr_max, action: t.action, code: t.code || null, max_daily_mg: t.max_daily_mg || null
+        })),
+        branch: hit
+          ? `egfr ${egfr_text} < ${hit.egfr_max} → ${hit.action} (first matching threshold)`
+          : `egfr ${egfr_text} ≥ every egfr_max → no alert`,
+        code_resolution: !hit ? null
+          : ALERT_CODES[hit.code] ? `threshold code ${hit.code}`
+          : `threshold has no registered code (${hit.code || "none"}) → fallback RENAL_GABAPENTINOID_ADJUST`
+      });
+      // Only apply first (most restrictive) matching threshold
+      if (hit) {
+        const within_max = daily_mg !== null && daily_mg <= hit.max_daily_mg;
+        flagged_drugs.push({
+          drug: med.name,
+          dose: med.dose,
+          egfr_threshold: hit.egfr_max,
+          action: hit.action,
+          message: hit.message
+        });
+
+        alerts.push(trace.link({
+          alert_code: ALERT_CODES[hit.code] || ALERT_CODES.RENAL_GABAPENTINOID_ADJUST,
+          drug: med.name,
+          severity: within_max && isMoreSevere(hit.severity, WITHIN_MAX_SEVERITY) ? WITHIN_MAX_SEVERITY : hit.severity,
+          message: `${hit.action}: ${med.name} at eGFR ${egfr_text}`,
+          reason: hit.message,
+          action: hit.action === "CONTRAINDICATED" || hit.action === "AVOID" 
+            ? `STOP ${med.name}` 
+            : renalDoseAction(daily_mg, hit.max_daily_mg),
+          renal_action: hit.action,
+          egfr_threshold: hit.egfr_max,
+          current_egfr: egfr,
+          ...(egfr_comparator && { egfr_comparator }),
+          ...(daily_mg !== null && { current_daily_mg: daily_mg, max_daily_mg: hit.max_daily_mg }),
+          ...(daily_mg !== null && total.entries > 1 && { daily_mg_entries: total.entries })
+        }, step));
       }
     }
 
     // Class-based NSAID check (catch-all)
-    if ((med.class === "NSAID" || med.class === "COX2_inhibitor") && egfr < 30) {
+    if ((med.class === "NSAID" || med.class === "COX2_inhibitor") && below(30)) {
       if (!alerts.some(a => a.drug === med.name)) {
-        alerts.push({
+        const step = trace.step("renal_nsaid_class", {
+          inputs: { drug: med.name, class: med.class, egfr },
+          thresholds: { egfr_max: 30 },
+          branch: "NSAID/COX-2 class with no name-matched rule, egfr < 30 → AVOID"
+        });
+        alerts.push(trace.link({
           alert_code: ALERT_CODES.RENAL_NSAID_AVOID,
           drug: med.name,
           severity: "HIGH",
           message: `Avoid ${med.name} (NSAID) with eGFR <30`,
           reason: "NSAIDs cause AKI and accelerate CKD progression",
           action: "Discontinue; use acetaminophen for pain"
-        });
+        }, step));
       }
     }
   }
@@ -207,19 +268,67 @@ function RENAL_DOSING_CHECK(input) {
     metadata: {
       checked: true,
       egfr: egfr,
-      ckd_stage: getCKDStage(egfr),
+      ...(egfr_comparator && { egfr_comparator }),
+      ckd_stage: getCKDStage(below),
       drugs_flagged: flagged_drugs.length
     }
   };
 }
 
-function getCKDStage(egfr) {
-  if (egfr >= 90) return "1";
-  if (egfr >= 60) return "2";
-  if (egfr >= 45) return "3a";
-  if (egfr >= 30) return "3b";
-  if (egfr >= 15) return "4";
+/**
+ * Whether any medication has a renal rule (by name, or the NSAID / COX-2 class catch-all)
+ * @param {Array} medications - Enriched, brand names resolved
+ * @returns {boolean}
+ */
+function hasRenalRuleMedication(medications) {
+  return medications.some(med => RENAL_RULE_TERMS.first(med.name)
+    || med.class === "NSAID" || med.class === "COX2_inhibitor");
+}
+
+/**
+ * Parsed daily dose per renal rule, summed over every medication entry matching it
+ * @param {Array} medications - Brand names already resolved to generics
+ * @returns {Map<string, { daily_mg: number, entries: number, unparsed: number }>}
+ *   rule name → readable total, entry count and entries whose dose could not be read
+ */
+function dailyTotalsByRule(medications) {
+  const totals = new Map();
+  for (const med of medications) {
+    const match = RENAL_RULE_TERMS.first(med.name);
+    if (!match) continue;
+    const total = totals.get(match.term) || { daily_mg: 0, entries: 0, unparsed: 0 };
+    const daily_mg = parseMedicationDose(med).daily_mg;
+    if (daily_mg === null) total.unparsed++;
+    else total.daily_mg += daily_mg;
+    total.entries++;
+    totals.set(match.term, total);
+  }
+  return totals;
+}
+
+/**
+ * Action text for a dose-reduction threshold: parsed daily dose vs the renal maximum
+ * @param {number|null} daily_mg - Parsed daily dose (null if unknown or no maximum)
+ * @param {number} [max_daily_mg]
+ * @returns {string}
+ */
+function renalDoseAction(daily_mg, max_daily_mg) {
+  if (daily_mg === null || !max_daily_mg) return "Adjust dose per renal guidelines";
+  if (daily_mg > max_daily_mg) return `Reduce: current ${daily_mg}mg/day exceeds renal maximum ${max_daily_mg}mg/day`;
+  return `Current ${daily_mg}mg/day is within renal maximum ${max_daily_mg}mg/day; continue monitoring`;
+}
+
+/**
+ * @param {Function} below - limit → whether eGFR is below it
+ * @returns {string} CKD stage
+ */
+function getCKDStage(below) {
+  if (!below(90)) return "1";
+  if (!below(60)) return "2";
+  if (!below(45)) return "3a";
+  if (!below(30)) return "3b";
+  if (!below(15)) return "4";
   return "5";
 }
 
-module.exports = { RENAL_DOSING_CHECK };
+module.exports = { RENAL_DOSING_CHECK, RENAL_DRUG_RULES, hasRenalRuleMedication };
@@ -8,6 +8,7 @@
  */
 
 const { ALERT_CODES } = require("../constants/alert_codes.js");
+const { NULL_TRACER, medNames } = require("../utils/rule_trace.js");
 
 // Drug class definitions
 const RAAS_CLASSES = ["ACE_inhibitor", "ARB", "ARNI"];
@@ -19,10 +20,11 @@ const NSAID_CLASSES = ["NSAID", "COX2_inhibitor"];
  * @param {Array} input.medications - [{name, class, dose}]
  * @param {Object} input.active_illness - { volume_depleted, vomiting_diarrhea, sepsis, etc }
  * @param {number|null} input.egfr
+ * @param {Object} [input.trace] - Rule tracer (utils/rule_trace.js)
  * @returns {{ alerts: Array, metadata: Object }}
  */
 function TRIPLE_WHAMMY_CHECK(input) {
-  const { medications, active_illness = {}, egfr } = input;
+  const { medications, active_illness = {}, egfr, trace = NULL_TRACER } = input;
   const alerts = [];
 
   // Identify drug categories
@@ -41,11 +43,21 @@ function TRIPLE_WHAMMY_CHECK(input) {
                           active_illness.recent_surgery ||
                           active_illness.acute_infection;
 
+  const classify = trace.step("classify", {
+    inputs: { egfr, active_illness, volume_risk: Boolean(has_volume_risk) },
+    buckets: { raas: medNames(raas_meds), diuretic: medNames(diuretic_meds), nsaid: medNames(nsaid_meds) }
+  });
+
   // ═══════════════════════════════════════════════════════════════
   // TRIPLE WHAMMY: ACE/ARB + Diuretic + NSAID
   // ═══════════════════════════════════════════════════════════════
+  const triple_step = trace.step("triple_whammy", {
+    branch: has_raas && has_diuretic && has_nsaid
+      ? "RAAS + diuretic + NSAID all present → alert"
+      : `missing: ${[!has_raas && "RAAS", !has_diuretic && "diuretic", !has_nsaid && "NSAID"].filter(Boolean).join(", ")} → no alert`
+  });
   if (has_raas && has_diuretic && has_nsaid) {
-    alerts.push({
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.TRIPLE_WHAMMY_PRESENT,
       drugs_involved: [
         ...raas_meds.map(m => m.name),
@@ -58,14 +70,20 @@ function TRIPLE_WHAMMY_CHECK(input) {
       action: "STOP NSAID immediately; issue sick-day protocol",
       monitoring: "Check creatinine within 1 week if NSAID cannot be stopped",
       guideline: "Australian TGA Alert; KDIGO AKI Guidelines"
-    });
+    }, classify, triple_step));
   }
 
   // ═══════════════════════════════════════════════════════════════
   // NSAID + CKD (even without full triple whammy)
   // ═══════════════════════════════════════════════════════════════
+  const nsaid_ckd_step = trace.step("nsaid_ckd", {
+    inputs: { egfr },
+    thresholds: { egfr_max: 60 },
+    branch: !has_nsaid ? "no NSAID → no alert"
+      : egfr && egfr < 60 ? `NSAID with egfr ${egfr} < 60 → alert` : `egfr ${egfr ?? "missing"} not < 60 → no alert`
+  });
   if (has_nsaid && egfr && egfr < 60) {
-    alerts.push({
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.TRIPLE_WHAMMY_NSAID_CKD,
       drugs_involved: nsaid_meds.map(m => m.name),
       severity: "HIGH",
@@ -73,7 +91,7 @@ function TRIPLE_WHAMMY_CHECK(input) {
       reason: `eGFR ${egfr}: NSAIDs accelerate CKD progression and cause AKI`,
       action: "Discontinue NSAID; use acetaminophen",
       alternative: "Topical NSAIDs if needed (lower systemic absorption)"
-    });
+    }, classify, nsaid_ckd_step));
   }
 
   // ═══════════════════════════════════════════════════════════════
@@ -87,7 +105,12 @@ function TRIPLE_WHAMMY_CHECK(input) {
       ? "CRITICAL" 
       : "HIGH";
 
-    alerts.push({
+    const step = trace.step("sick_day", {
+      inputs: { active_illness },
+      branch: `volume risk with RAAS/diuretic → ${severity}` +
+        (severity === "CRITICAL" ? " (volume_depleted or sepsis)" : "")
+    });
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.TRIPLE_WHAMMY_VOLUME_DEPLETION,
       drugs_involved: hold_meds.map(m => m.name),
       severity: severity,
@@ -96,7 +119,7 @@ function TRIPLE_WHAMMY_CHECK(input) {
       action: "HOLD: " + hold_meds.map(m => m.name).join(", "),
       sick_day_rules: generateSickDayProtocol(hold_meds, nsaid_meds),
       monitoring: "Resume when eating/drinking normally; check creatinine if prolonged illness"
-    });
+    }, classify, step));
   }
 
   // ═══════════════════════════════════════════════════════════════
@@ -106,8 +129,15 @@ function TRIPLE_WHAMMY_CHECK(input) {
   const arb_count = raas_meds.filter(m => m.class === "ARB").length;
   const arni_count = raas_meds.filter(m => m.class === "ARNI").length;
 
+  const raas_step = trace.step("dual_raas", {
+    inputs: { ace_count, arb_count, arni_count },
+    branch: [
+      ace_count > 0 && arb_count > 0 && "ACE + ARB → HIGH",
+      arni_count > 0 && (ace_count > 0 || arb_count > 0) && "ARNI + ACE/ARB → CRITICAL"
+    ].filter(Boolean).join("; ") || "no dual RAAS blockade → no alert"
+  });
   if (ace_count > 0 && arb_count > 0) {
-    alerts.push({
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.DUAL_RAAS_ACE_ARB,
       drugs_involved: raas_meds.map(m => m.name),
       severity: "HIGH",
@@ -115,11 +145,11 @@ function TRIPLE_WHAMMY_CHECK(input) {
       reason: "ONTARGET trial showed increased AKI, hyperkalemia without CV benefit",
       action: "Stop one agent; use single RAAS blocker only",
       guideline: "ONTARGET Trial; AHA/ACC Guidelines"
-    });
+    }, classify, raas_step));
   }
 
   if (arni_count > 0 && (ace_count > 0 || arb_count > 0)) {
-    alerts.push({
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.DUAL_RAAS_ARNI_OVERLAP,
       drugs_involved: raas_meds.map(m => m.name),
       severity: "CRITICAL",
@@ -127,7 +157,7 @@ function TRIPLE_WHAMMY_CHECK(input) {
       reason: "Sacubitril/valsartan (ARNI) already contains ARB; adding ACE/ARB causes severe hypotension and angioedema",
       action: "STOP ACE/ARB immediately; 36-hour washout required before starting ARNI",
       guideline: "Entresto FDA labeling"
-    });
+    }, classify, raas_step));
   }
 
   return {
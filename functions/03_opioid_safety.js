@@ -7,6 +7,9 @@
  */
 
 const { ALERT_CODES } = require("../constants/alert_codes.js");
+const { NULL_TRACER, medNames } = require("../utils/rule_trace.js");
+const { defineDrugTerms } = require("../utils/drug_matcher.js");
+const { parseMedicationDose, PARSE_CONFIDENCE } = require("../utils/medication_parser.js");
 
 // MME conversion factors (oral morphine equivalents)
 const MME_FACTORS = {
@@ -26,6 +29,13 @@ const MME_FACTORS = {
   "buprenorphine": 0       // Not included in MME for pain (partial agonist)
 };
 
+// Alert thresholds (overridable per call via input.thresholds / site profile)
+const OPIOID_THRESHOLDS = {
+  mme_moderate: 50,            // MME/day → OPIOID_HIGH_MME (MODERATE), naloxone criterion
+  mme_high: 90,                // MME/day → OPIOID_HIGH_MME (HIGH)
+  cns_polypharmacy_count: 3    // opioids + CNS depressants → OPIOID_CNS_POLYPHARMACY
+};
+
 // CNS depressant classes
 const CNS_DEPRESSANTS = ["benzodiazepine", "Z_drug", "gabapentinoid", "muscle_relaxant", "barbiturate"];
 const OPIOID_CLASSES = ["opioid", "opioid_long_acting"];
@@ -46,13 +56,18 @@ const GABAPENTINOID_NAMES = ["gabapentin", "pregabalin", "neurontin", "lyrica"];
 const MUSCLE_RELAXANT_NAMES = ["cyclobenzaprine", "carisoprodol", "methocarbamol", "tizanidine", 
   "baclofen", "orphenadrine", "metaxalone", "flexeril", "soma", "robaxin", "zanaflex"];
 
-/**
- * Check if medication name matches any in the list
- */
-function matchesDrugList(medName, drugList) {
-  const name = (medName || "").toLowerCase();
-  return drugList.some(drug => name.includes(drug));
-}
+// Compiled on the shared matcher (word-boundary matches; see utils/drug_matcher.js)
+const OPIOID_TERMS = defineDrugTerms("opioid.opioid", OPIOID_NAMES);
+const BENZO_TERMS = defineDrugTerms("opioid.benzodiazepine", BENZO_NAMES);
+const Z_DRUG_TERMS = defineDrugTerms("opioid.z_drug", Z_DRUG_NAMES);
+const GABAPENTINOID_TERMS = defineDrugTerms("opioid.gabapentinoid", GABAPENTINOID_NAMES);
+const MUSCLE_RELAXANT_TERMS = defineDrugTerms("opioid.muscle_relaxant", MUSCLE_RELAXANT_NAMES);
+
+// Drug name → MME_FACTORS key (methadone's key is chosen by daily dose below)
+const MME_DRUG_TERMS = defineDrugTerms("opioid.mme", Object.fromEntries(
+  Object.keys(MME_FACTORS).map(key => [key.split("_")[0], key])
+));
+const FENTANYL_PATCH_TERMS = defineDrugTerms("opioid.fentanyl_patch", ["patch", "duragesic"]);
 
 /**
  * @param {Object} input
@@ -61,27 +76,31 @@ function matchesDrugList(medName, drugList) {
  * @param {number|null} input.egfr
  * @param {boolean} input.opioid_naive - Is patient opioid-naive?
  * @param {boolean} input.respiratory_disease - COPD, OSA, etc
+ * @param {Object} [input.thresholds] - Overrides for OPIOID_THRESHOLDS
+ * @param {Object} [input.trace] - Rule tracer (utils/rule_trace.js)
  * @returns {{ alerts: Array, metadata: Object }}
  */
 function OPIOID_SAFETY_CHECK(input) {
   const { medications, patient_age, egfr, opioid_naive = true, respiratory_disease = false } = input;
+  const limits = { ...OPIOID_THRESHOLDS, ...(input.thresholds || {}) };
+  const trace = input.trace || NULL_TRACER;
   const alerts = [];
 
   // Identify drug categories (class-based OR name-based)
   const opioid_meds = medications.filter(m => 
-    OPIOID_CLASSES.includes(m.class) || matchesDrugList(m.name, OPIOID_NAMES)
+    OPIOID_CLASSES.includes(m.class) || OPIOID_TERMS.has(m.name)
   );
   const benzo_meds = medications.filter(m => 
-    m.class === "benzodiazepine" || matchesDrugList(m.name, BENZO_NAMES)
+    m.class === "benzodiazepine" || BENZO_TERMS.has(m.name)
   );
   const z_drug_meds = medications.filter(m => 
-    m.class === "Z_drug" || matchesDrugList(m.name, Z_DRUG_NAMES)
+    m.class === "Z_drug" || Z_DRUG_TERMS.has(m.name)
   );
   const gabapentinoid_meds = medications.filter(m => 
-    m.class === "gabapentinoid" || matchesDrugList(m.name, GABAPENTINOID_NAMES)
+    m.class === "gabapentinoid" || GABAPENTINOID_TERMS.has(m.name)
   );
   const muscle_relaxant_meds = medications.filter(m =>
-    m.class === "muscle_relaxant" || matchesDrugList(m.name, MUSCLE_RELAXANT_NAMES)
+    m.class === "muscle_relaxant" || MUSCLE_RELAXANT_TERMS.has(m.name)
   );
   const cns_meds = [...benzo_meds, ...z_drug_meds, ...gabapentinoid_meds, ...muscle_relaxant_meds];
 
@@ -91,16 +110,33 @@ function OPIOID_SAFETY_CHECK(input) {
 
   // Calculate total MME
   let total_mme = 0;
+  const mme_by_drug = {};
+  const dose_confidence = {};
+  const mme_unparsed = [];
   for (const med of opioid_meds) {
-    const mme = calculateMME(med);
+    const { mme, dose } = calculateMME(med);
+    mme_by_drug[med.name] = mme;
+    dose_confidence[med.name] = dose.confidence;
+    if (dose.confidence === PARSE_CONFIDENCE.NONE) mme_unparsed.push(med.name);
     total_mme += mme;
   }
 
+  const classify = trace.step("classify", {
+    inputs: { patient_age, egfr, opioid_naive, respiratory_disease, mme_by_drug, dose_confidence, total_mme },
+    buckets: {
+      opioid: medNames(opioid_meds), benzodiazepine: medNames(benzo_meds), z_drug: medNames(z_drug_meds),
+      gabapentinoid: medNames(gabapentinoid_meds), muscle_relaxant: medNames(muscle_relaxant_meds)
+    }
+  });
+
   // ═══════════════════════════════════════════════════════════════
   // OPIOID + BENZODIAZEPINE (FDA Black Box)
   // ═══════════════════════════════════════════════════════════════
+  const benzo_step = trace.step("opioid_benzo", {
+    branch: benzo_meds.length > 0 ? "opioid + benzodiazepine → CRITICAL" : "no benzodiazepine → no alert"
+  });
   if (opioid_meds.length > 0 && benzo_meds.length > 0) {
-    alerts.push({
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.OPIOID_BENZO_COMBINATION,
       drugs_involved: [...opioid_meds.map(m => m.name), ...benzo_meds.map(m => m.name)],
       severity: "CRITICAL",
@@ -110,15 +146,22 @@ function OPIOID_SAFETY_CHECK(input) {
       monitoring: "Monitor closely for sedation and respiratory depression",
       naloxone: "PRESCRIBE NALOXONE",
       guideline: "FDA Black Box Warning 2016"
-    });
+    }, classify, benzo_step));
   }
 
   // ═══════════════════════════════════════════════════════════════
   // CNS POLYPHARMACY (≥3 CNS depressants including opioid)
   // ═══════════════════════════════════════════════════════════════
   const total_cns = opioid_meds.length + cns_meds.length;
-  if (total_cns >= 3) {
-    alerts.push({
+  const cns_step = trace.step("cns_polypharmacy", {
+    inputs: { total_cns },
+    thresholds: { cns_polypharmacy_count: limits.cns_polypharmacy_count },
+    branch: total_cns >= limits.cns_polypharmacy_count
+      ? `${total_cns} ≥ ${limits.cns_polypharmacy_count} → alert`
+      : `${total_cns} < ${limits.cns_polypharmacy_count} → no alert`
+  });
+  if (total_cns >= limits.cns_polypharmacy_count) {
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.OPIOID_CNS_POLYPHARMACY,
       drugs_involved: [...opioid_meds, ...cns_meds].map(m => m.name),
       severity: "HIGH",
@@ -126,31 +169,38 @@ function OPIOID_SAFETY_CHECK(input) {
       reason: "Multiple CNS depressants dramatically increase overdose risk",
       action: "Minimize CNS depressant count; taper unnecessary agents",
       naloxone: "PRESCRIBE NALOXONE"
-    });
+    }, classify, cns_step));
   }
 
   // ═══════════════════════════════════════════════════════════════
   // HIGH MME (≥50 MME/day or ≥90 MME/day)
   // ═══════════════════════════════════════════════════════════════
-  if (total_mme >= 90) {
-    alerts.push({
+  const mme_step = trace.step("high_mme", {
+    inputs: { total_mme },
+    thresholds: { mme_moderate: limits.mme_moderate, mme_high: limits.mme_high },
+    branch: total_mme >= limits.mme_high ? `${total_mme} ≥ mme_high → HIGH`
+      : total_mme >= limits.mme_moderate ? `${total_mme} ≥ mme_moderate → MODERATE`
+      : `${total_mme} < mme_moderate → no alert`
+  });
+  if (total_mme >= limits.mme_high) {
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.OPIOID_HIGH_MME,
       severity: "HIGH",
-      message: `High opioid dose: ${total_mme.toFixed(0)} MME/day (≥90 threshold)`,
-      reason: "≥90 MME/day associated with significantly increased overdose risk",
+      message: `High opioid dose: ${total_mme.toFixed(0)} MME/day (≥${limits.mme_high} threshold)`,
+      reason: `≥${limits.mme_high} MME/day associated with significantly increased overdose risk`,
       action: "Evaluate for tapering; maximize non-opioid therapies",
       naloxone: "PRESCRIBE NALOXONE",
       guideline: "CDC Opioid Guidelines 2022"
-    });
-  } else if (total_mme >= 50) {
-    alerts.push({
+    }, classify, mme_step));
+  } else if (total_mme >= limits.mme_moderate) {
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.OPIOID_HIGH_MME,
       severity: "MODERATE",
-      message: `Moderate opioid dose: ${total_mme.toFixed(0)} MME/day (≥50 threshold)`,
-      reason: "≥50 MME/day increases overdose risk; reassess benefits vs risks",
+      message: `Moderate opioid dose: ${total_mme.toFixed(0)} MME/day (≥${limits.mme_moderate} threshold)`,
+      reason: `≥${limits.mme_moderate} MME/day increases overdose risk; reassess benefits vs risks`,
       action: "Consider dose reduction or rotation if efficacy declining",
       naloxone: "Consider prescribing naloxone"
-    });
+    }, classify, mme_step));
   }
 
   // ═══════════════════════════════════════════════════════════════
@@ -158,15 +208,20 @@ function OPIOID_SAFETY_CHECK(input) {
   // ═══════════════════════════════════════════════════════════════
   const naloxone_criteria = [];
   
-  if (total_mme >= 50) naloxone_criteria.push("MME ≥50");
+  if (total_mme >= limits.mme_moderate) naloxone_criteria.push(`MME ≥${limits.mme_moderate}`);
   if (benzo_meds.length > 0) naloxone_criteria.push("Concurrent benzodiazepine");
   if (cns_meds.length >= 2) naloxone_criteria.push("Multiple CNS depressants");
   if (respiratory_disease) naloxone_criteria.push("Respiratory disease (COPD/OSA)");
   if (egfr && egfr < 30) naloxone_criteria.push("CKD stage 4-5");
   if (patient_age >= 65) naloxone_criteria.push("Age ≥65");
 
+  const naloxone_step = trace.step("naloxone_criteria", {
+    inputs: { total_mme, benzo_count: benzo_meds.length, cns_count: cns_meds.length, respiratory_disease, egfr, patient_age },
+    thresholds: { mme_moderate: limits.mme_moderate, cns_count: 2, egfr_max: 30, age_min: 65 },
+    branch: naloxone_criteria.length > 0 ? `criteria met: ${naloxone_criteria.join("; ")}` : "no criteria met → no alert"
+  });
   if (naloxone_criteria.length > 0) {
-    alerts.push({
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.OPIOID_NALOXONE_NEEDED,
       severity: "HIGH",
       message: "Naloxone co-prescribing indicated",
@@ -178,7 +233,7 @@ function OPIOID_SAFETY_CHECK(input) {
         "Signs of overdose: slow/stopped breathing, unresponsive, blue lips",
         "Call 911 after administering naloxone"
       ]
-    });
+    }, classify, naloxone_step));
   }
 
   // ═══════════════════════════════════════════════════════════════
@@ -189,8 +244,13 @@ function OPIOID_SAFETY_CHECK(input) {
     (m.name || "").toLowerCase().match(/\b(er|xr|sr|cr|contin|duragesic|patch)\b/)
   );
 
+  const er_step = trace.step("er_opioid_naive", {
+    inputs: { er_opioids: medNames(er_opioids), opioid_naive },
+    branch: er_opioids.length === 0 ? "no ER/LA opioid → no alert"
+      : opioid_naive ? "ER/LA opioid in opioid-naive patient → alert" : "patient opioid-tolerant → no alert"
+  });
   if (er_opioids.length > 0 && opioid_naive) {
-    alerts.push({
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.OPIOID_ER_NAIVE,
       drugs_involved: er_opioids.map(m => m.name),
       severity: "HIGH",
@@ -198,7 +258,7 @@ function OPIOID_SAFETY_CHECK(input) {
       reason: "ER/LA opioids contraindicated in opioid-naive patients due to overdose risk",
       action: "Use immediate-release opioid first to establish tolerance",
       guideline: "FDA REMS; CDC Guidelines"
-    });
+    }, classify, er_step));
   }
 
   return {
@@ -206,6 +266,7 @@ function OPIOID_SAFETY_CHECK(input) {
     metadata: {
       has_opioid: true,
       total_mme: total_mme,
+      mme_unparsed: mme_unparsed,   // opioids whose dose could not be read (MME counted as 0)
       opioid_count: opioid_meds.length,
       benzo_count: benzo_meds.length,
       cns_depressant_count: total_cns,
@@ -217,43 +278,35 @@ function OPIOID_SAFETY_CHECK(input) {
 
 /**
  * Calculate MME for a single medication
+ * @param {Object} med
+ * @returns {{ mme: number, dose: Object }} dose: parseMedicationDose() result
  */
 function calculateMME(med) {
-  const name_lower = (med.name || "").toLowerCase();
-  const dose_str = (med.dose || "").toLowerCase();
-  
-  // Extract numeric dose
-  const dose_match = dose_str.match(/(\d+(?:\.\d+)?)/);
-  if (!dose_match) return 0;
-  const dose_num = parseFloat(dose_match[1]);
+  const dose = parseMedicationDose(med, { default_unit: "mg" }); // bare numbers have always meant mg
+  const match = MME_DRUG_TERMS.first(med.name);
+  if (!match || dose.strength === null) return { mme: 0, dose }; // Unknown opioid or no dose
 
-  // Frequency multiplier
-  let freq_mult = 1;
-  if (dose_str.includes("bid") || dose_str.includes("q12") || dose_str.includes("twice")) freq_mult = 2;
-  else if (dose_str.includes("tid") || dose_str.includes("q8") || dose_str.includes("three")) freq_mult = 3;
-  else if (dose_str.includes("qid") || dose_str.includes("q6") || dose_str.includes("four")) freq_mult = 4;
-  else if (dose_str.includes("q4")) freq_mult = 6;
-
-  // Find conversion factor
-  for (const [drug, factor] of Object.entries(MME_FACTORS)) {
-    if (name_lower.includes(drug.split("_")[0])) {
-      // Special handling for fentanyl patch (mcg/hr)
-      if (drug === "fentanyl_patch" && (name_lower.includes("patch") || name_lower.includes("duragesic"))) {
-        return dose_num * factor; // mcg/hr * 2.4 = daily MME
-      }
-      // Special handling for methadone (dose-dependent conversion)
-      if (name_lower.includes("methadone")) {
-        const daily_dose = dose_num * freq_mult;
-        if (daily_dose <= 20) return daily_dose * 4;
-        if (daily_dose <= 40) return daily_dose * 8;
-        if (daily_dose <= 60) return daily_dose * 10;
-        return daily_dose * 12;
-      }
-      return dose_num * factor * freq_mult;
+  const drug = match.value;
+  const factor = MME_FACTORS[drug];
+  // Special handling for fentanyl patch (mcg/hr)
+  if (drug === "fentanyl_patch") {
+    if (FENTANYL_PATCH_TERMS.has(med.name) || dose.route === "transdermal" || dose.unit === "mcg/hr") {
+      return { mme: dose.strength * factor, dose }; // mcg/hr * 2.4 = daily MME
     }
+    return { mme: dose.dose_amount * factor * dose.frequency_per_day, dose };
   }
 
-  return 0; // Unknown opioid
+  if (dose.daily_mg === null) return { mme: 0, dose }; // units, mL, ...
+  const daily_dose = dose.daily_mg;
+
+  // Special handling for methadone (dose-dependent conversion)
+  if (match.term === "methadone") {
+    if (daily_dose <= 20) return { mme: daily_dose * 4, dose };
+    if (daily_dose <= 40) return { mme: daily_dose * 8, dose };
+    if (daily_dose <= 60) return { mme: daily_dose * 10, dose };
+    return { mme: daily_dose * 12, dose };
+  }
+  return { mme: daily_dose * factor, dose };
 }
 
-module.exports = { OPIOID_SAFETY_CHECK };
+module.exports = { OPIOID_SAFETY_CHECK, OPIOID_THRESHOLDS };
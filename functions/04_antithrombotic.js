@@ -8,11 +8,20 @@
  */
 
 const { ALERT_CODES } = require("../constants/alert_codes.js");
+const { NULL_TRACER, medNames } = require("../utils/rule_trace.js");
+const { daysSince } = require("../utils/clock.js");
+const { defineDrugTerms } = require("../utils/drug_matcher.js");
+const { parseMedicationDose } = require("../utils/medication_parser.js");
 
 // Drug class definitions
 const ANTICOAGULANT_CLASSES = ["anticoagulant_DOAC", "anticoagulant_warfarin"];
 const ANTIPLATELET_CLASSES = ["antiplatelet_aspirin", "antiplatelet_P2Y12", "antiplatelet_other"];
 
+// Alert thresholds (overridable per call via input.thresholds / site profile)
+const ANTITHROMBOTIC_THRESHOLDS = {
+  bleed_risk_factors: 3        // HAS-BLED components present → ANTITHROMB_HIGH_BLEED_RISK
+};
+
 // DOAC standard doses (for verification)
 const DOAC_DOSES = {
   apixaban: {
@@ -40,6 +49,13 @@ const DOAC_DOSES = {
   }
 };
 
+// Generic and brand names → DOAC_DOSES key (shared matcher, word boundaries)
+const DOAC_DOSE_TERMS = defineDrugTerms("antithrombotic.doac", {
+  apixaban: "apixaban", eliquis: "apixaban",
+  rivaroxaban: "rivaroxaban", xarelto: "rivaroxaban",
+  dabigatran: "dabigatran", pradaxa: "dabigatran"
+});
+
 /**
  * @param {Object} input
  * @param {Array} input.medications - [{name, class, dose}]
@@ -53,6 +69,9 @@ const DOAC_DOSES = {
  * @param {boolean} input.liver_disease
  * @param {boolean} input.hb_low - Hemoglobin low/anemia
  * @param {boolean} input.on_chronic_nsaid
+ * @param {Object} [input.thresholds] - Overrides for ANTITHROMBOTIC_THRESHOLDS
+ * @param {Object} [input.trace] - Rule tracer (utils/rule_trace.js)
+ * @param {Date} [input.as_of] - Evaluation date for the PCI window (defaults to now)
  * @returns {{ alerts: Array, metadata: Object }}
  */
 function ANTITHROMBOTIC_COMBINATION_CHECK(input) {
@@ -67,9 +86,12 @@ function ANTITHROMBOTIC_COMBINATION_CHECK(input) {
     stent_type,
     liver_disease,
     hb_low,
-    on_chronic_nsaid
+    on_chronic_nsaid,
+    as_of = new Date()
   } = input;
 
+  const limits = { ...ANTITHROMBOTIC_THRESHOLDS, ...(input.thresholds || {}) };
+  const trace = input.trace || NULL_TRACER;
   const alerts = [];
 
   // Identify antithrombotics
@@ -86,25 +108,34 @@ function ANTITHROMBOTIC_COMBINATION_CHECK(input) {
   const on_aspirin = aspirin_meds.length > 0;
   const on_p2y12 = p2y12_meds.length > 0;
 
+  const classify = trace.step("classify", {
+    inputs: { patient_age, egfr, weight_kg, atrial_fibrillation, recent_pci_date, stent_type },
+    buckets: {
+      anticoagulant: medNames(anticoag_meds), doac: medNames(doac_meds), warfarin: medNames(warfarin_meds),
+      aspirin: medNames(aspirin_meds), p2y12: medNames(p2y12_meds)
+    }
+  });
+
   // ═══════════════════════════════════════════════════════════════
   // DUAL ANTICOAGULATION (DOAC + Warfarin or 2 DOACs)
   // ═══════════════════════════════════════════════════════════════
   if (anticoag_meds.length >= 2) {
-    alerts.push({
+    const step = trace.step("dual_anticoagulation", { branch: `${anticoag_meds.length} anticoagulants → CRITICAL` });
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.ANTITHROMB_DUAL_ANTICOAG,
       drugs_involved: anticoag_meds.map(m => m.name),
       severity: "CRITICAL",
       message: "⛔ DUAL ANTICOAGULATION - Never indicated",
       reason: "Multiple anticoagulants have no added benefit and dramatically increase bleeding",
       action: "STOP one anticoagulant immediately; choose single agent based on indication"
-    });
+    }, classify, step));
   }
 
   // ═══════════════════════════════════════════════════════════════
   // TRIPLE THERAPY (Anticoagulant + Aspirin + P2Y12)
   // ═══════════════════════════════════════════════════════════════
   if (on_anticoag && on_aspirin && on_p2y12) {
-    const days_since_pci = recent_pci_date ? daysSince(recent_pci_date) : null;
+    const days_since_pci = recent_pci_date ? daysSince(recent_pci_date, as_of) : null;
     
     let severity = "CRITICAL";
     let action = "Minimize duration; transition to dual therapy ASAP";
@@ -115,7 +146,14 @@ function ANTITHROMBOTIC_COMBINATION_CHECK(input) {
       action = "Triple therapy appropriate post-DES but limit to 1-4 weeks; then drop aspirin (AUGUSTUS trial)";
     }
 
-    alerts.push({
+    const step = trace.step("triple_therapy", {
+      inputs: { recent_pci_date, as_of: new Date(as_of).toISOString(), days_since_pci, stent_type },
+      thresholds: { post_des_days: 30 },
+      branch: severity === "HIGH"
+        ? `DES placed ${days_since_pci} days ago (< 30) → HIGH`
+        : `no DES within 30 days (days_since_pci ${days_since_pci ?? "n/a"}, stent ${stent_type || "n/a"}) → CRITICAL`
+    });
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.ANTITHROMB_TRIPLE_THERAPY,
       drugs_involved: [...anticoag_meds, ...aspirin_meds, ...p2y12_meds].map(m => m.name),
       severity: severity,
@@ -124,59 +162,83 @@ function ANTITHROMBOTIC_COMBINATION_CHECK(input) {
       action: action,
       guideline: "AUGUSTUS, RE-DUAL PCI trials: drop aspirin first, continue DOAC + P2Y12",
       ppi_required: true
-    });
+    }, classify, step));
   }
 
   // ═══════════════════════════════════════════════════════════════
   // DOAC DOSE VERIFICATION
   // ═══════════════════════════════════════════════════════════════
   for (const doac of doac_meds) {
-    const name_lower = (doac.name || "").toLowerCase();
-    const dose_lower = (doac.dose || "").toLowerCase();
+    const doac_drug = DOAC_DOSE_TERMS.first(doac.name)?.value;
+    const dose = parseMedicationDose(doac, { default_unit: "mg" });
+    const dose_inputs = { drug: doac.name, dose: doac.dose, dose_mg: dose.dose_mg, dose_confidence: dose.confidence };
 
     // Apixaban dose check
-    if (name_lower.includes("apixaban") || name_lower.includes("eliquis")) {
+    if (doac_drug === "apixaban") {
       const needs_reduction = (patient_age >= 80 ? 1 : 0) + 
                               (weight_kg && weight_kg <= 60 ? 1 : 0) + 
                               (egfr && egfr < 25 ? 1 : 0); // Using Cr ≥1.5 as proxy
 
-      if (needs_reduction >= 2 && dose_lower.includes("5")) {
-        alerts.push({
+      const step = trace.step("apixaban_dose", {
+        inputs: { ...dose_inputs, patient_age, weight_kg, egfr },
+        criteria: {
+          "age ≥80": patient_age >= 80,
+          "weight ≤60kg": Boolean(weight_kg && weight_kg <= 60),
+          "egfr <25 (proxy for Cr ≥1.5)": Boolean(egfr && egfr < 25)
+        },
+        thresholds: { criteria_needed: 2, standard_dose_mg: 5 },
+        branch: needs_reduction < 2 ? `${needs_reduction} of 3 criteria → no alert`
+          : dose.dose_mg === null ? `${needs_reduction} of 3 criteria but dose not parsed → no alert`
+          : dose.dose_mg >= 5 ? `${needs_reduction} of 3 criteria and ${dose.dose_mg}mg ≥ standard 5mg → alert`
+          : `${needs_reduction} of 3 criteria and ${dose.dose_mg}mg already reduced → no alert`
+      });
+      if (needs_reduction >= 2 && dose.dose_mg !== null && dose.dose_mg >= 5) {
+        alerts.push(trace.link({
           alert_code: ALERT_CODES.ANTITHROMB_DOAC_DOSE_CHECK,
           drug: doac.name,
           severity: "HIGH",
           message: "Apixaban dose reduction may be needed",
           reason: `Patient has ${needs_reduction} of 3 dose-reduction criteria (age≥80, weight≤60kg, Cr≥1.5)`,
           action: "Consider reducing to 2.5mg BID per FDA labeling"
-        });
+        }, classify, step));
       }
     }
 
     // Rivaroxaban dose check
-    if (name_lower.includes("rivaroxaban") || name_lower.includes("xarelto")) {
-      if (egfr && egfr <= 50 && dose_lower.includes("20")) {
-        alerts.push({
+    if (doac_drug === "rivaroxaban") {
+      if (egfr && egfr <= 50 && dose.dose_mg !== null && dose.dose_mg >= 20) {
+        const step = trace.step("rivaroxaban_dose", {
+          inputs: { ...dose_inputs, egfr },
+          thresholds: { egfr_max: 50, reduced_dose_mg: 15 },
+          branch: `egfr ${egfr} ≤ 50 and ${dose.dose_mg}mg dose ≥ 20mg → alert`
+        });
+        alerts.push(trace.link({
           alert_code: ALERT_CODES.ANTITHROMB_DOAC_DOSE_CHECK,
           drug: doac.name,
           severity: "HIGH",
           message: "Rivaroxaban dose reduction needed for renal function",
           reason: `eGFR ${egfr}: use 15mg daily (not 20mg) for AFib`,
           action: "Reduce to rivaroxaban 15mg daily with evening meal"
-        });
+        }, classify, step));
       }
     }
 
     // Dabigatran check
-    if (name_lower.includes("dabigatran") || name_lower.includes("pradaxa")) {
+    if (doac_drug === "dabigatran") {
       if (egfr && egfr < 30) {
-        alerts.push({
+        const step = trace.step("dabigatran_renal", {
+          inputs: { drug: doac.name, egfr },
+          thresholds: { egfr_max: 30 },
+          branch: `egfr ${egfr} < 30 → CRITICAL`
+        });
+        alerts.push(trace.link({
           alert_code: ALERT_CODES.ANTITHROMB_DOAC_DOSE_CHECK,
           drug: doac.name,
           severity: "CRITICAL",
           message: "Dabigatran contraindicated at this eGFR",
           reason: `eGFR ${egfr} <30: dabigatran contraindicated`,
           action: "Switch to apixaban (renally safer) or warfarin"
-        });
+        }, classify, step));
       }
     }
   }
@@ -195,15 +257,22 @@ function ANTITHROMBOTIC_COMBINATION_CHECK(input) {
     if (on_chronic_nsaid) bleed_risk_factors.push("Chronic NSAID use");
     if (on_anticoag && on_aspirin) bleed_risk_factors.push("Anticoag + aspirin");
 
-    if (bleed_risk_factors.length >= 3) {
-      alerts.push({
+    const bleed_step = trace.step("bleed_risk", {
+      inputs: { factors: bleed_risk_factors },
+      thresholds: { bleed_risk_factors: limits.bleed_risk_factors },
+      branch: bleed_risk_factors.length >= limits.bleed_risk_factors
+        ? `${bleed_risk_factors.length} ≥ ${limits.bleed_risk_factors} factors → alert`
+        : `${bleed_risk_factors.length} < ${limits.bleed_risk_factors} factors → no alert`
+    });
+    if (bleed_risk_factors.length >= limits.bleed_risk_factors) {
+      alerts.push(trace.link({
         alert_code: ALERT_CODES.ANTITHROMB_HIGH_BLEED_RISK,
         severity: "HIGH",
         message: `High bleeding risk: ${bleed_risk_factors.length} risk factors`,
         reason: bleed_risk_factors.join("; "),
         action: "Ensure PPI co-prescribed; minimize antithrombotic intensity; close monitoring",
         ppi_required: true
-      });
+      }, classify, bleed_step));
     }
   }
 
@@ -212,14 +281,15 @@ function ANTITHROMBOTIC_COMBINATION_CHECK(input) {
   // ═══════════════════════════════════════════════════════════════
   if (on_anticoag && !atrial_fibrillation && !recent_pci_date) {
     // This is a soft warning - there may be other indications (VTE, mechanical valve, etc)
-    alerts.push({
+    const step = trace.step("indication", { branch: "anticoagulant without AFib or recent PCI documented → alert" });
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.ANTITHROMB_NO_INDICATION,
       drugs_involved: anticoag_meds.map(m => m.name),
       severity: "MODERATE",
       message: "Anticoagulant prescribed - verify indication",
       reason: "No AFib or recent PCI documented; ensure indication is current",
       action: "Confirm indication (AFib, VTE, mechanical valve, etc); document clearly"
-    });
+    }, classify, step));
   }
 
   return {
@@ -236,11 +306,4 @@ function ANTITHROMBOTIC_COMBINATION_CHECK(input) {
   };
 }
 
-function daysSince(dateStr) {
-  if (!dateStr) return null;
-  const then = new Date(dateStr);
-  const now = new Date();
-  return Math.floor((now - then) / (1000 * 60 * 60 * 24));
-}
-
-module.exports = { ANTITHROMBOTIC_COMBINATION_CHECK };
+module.exports = { ANTITHROMBOTIC_COMBINATION_CHECK, ANTITHROMBOTIC_THRESHOLDS };
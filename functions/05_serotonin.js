@@ -7,6 +7,9 @@
  */
 
 const { ALERT_CODES, ALERT_CODE_META } = require("../constants/alert_codes.js");
+const { NULL_TRACER, medNames } = require("../utils/rule_trace.js");
+const { daysSince } = require("../utils/clock.js");
+const { defineDrugTerms } = require("../utils/drug_matcher.js");
 
 // Serotonergic drug categories by potency
 const SEROTONIN_DRUGS = {
@@ -35,6 +38,29 @@ const MAOI_WASHOUT = {
   "default": 14
 };
 
+// Name-based detection (for medications without a class), on the shared matcher
+const MAOI_NAME_TERMS = defineDrugTerms("serotonin.maoi", ["linezolid", "methylene blue"]);
+const HIGH_RISK_NAME_TERMS = defineDrugTerms("serotonin.high", [
+  "linezolid", "methylene blue",
+  // SSRIs
+  "fluoxetine", "sertraline", "paroxetine", "citalopram", "escitalopram", "fluvoxamine",
+  // SNRIs
+  "venlafaxine", "duloxetine", "desvenlafaxine", "levomilnacipran", "milnacipran"
+]);
+const MODERATE_RISK_NAME_TERMS = defineDrugTerms("serotonin.moderate", ["tramadol", "trazodone", "mirtazapine"]);
+const TRIPTAN_TERMS = defineDrugTerms("serotonin.triptan", ["*triptan"]);
+const LOWER_RISK_NAME_TERMS = defineDrugTerms("serotonin.lower", ["*triptan", "ondansetron"]);
+
+// Recently stopped drug → MAOI_WASHOUT key
+const WASHOUT_TERMS = defineDrugTerms("serotonin.washout", {
+  ...Object.fromEntries(Object.keys(MAOI_WASHOUT)
+    .filter(key => key !== "default" && key !== "fluoxetine_to_maoi")
+    .map(key => [key, key])),
+  fluoxetine: "fluoxetine_to_maoi"
+});
+
+const isMaoi = m => m.class === "MAOI" || MAOI_NAME_TERMS.has(m.name);
+
 /**
  * @param {Object} input
  * @param {Array} input.medications
@@ -42,10 +68,12 @@ const MAOI_WASHOUT = {
  * @param {number|null} input.egfr
  * @param {boolean} input.liver_disease
  * @param {Object|null} input.recent_maoi_use - { drug: string, stopped_date: string }
+ * @param {Object} [input.trace] - Rule tracer (utils/rule_trace.js)
+ * @param {Date} [input.as_of] - Evaluation date for the MAOI washout (defaults to now)
  * @returns {{ alerts: Array, metadata: Object }}
  */
 function SEROTONIN_SYNDROME_CHECK(input) {
-  const { medications, patient_age, egfr, liver_disease, recent_maoi_use } = input;
+  const { medications, patient_age, egfr, liver_disease, recent_maoi_use, trace = NULL_TRACER, as_of = new Date() } = input;
   const alerts = [];
 
   // Classify current medications by serotonergic risk
@@ -55,65 +83,43 @@ function SEROTONIN_SYNDROME_CHECK(input) {
 
   for (const med of medications) {
     const medClass = med.class || "";
-    const name = (med.name || "").toLowerCase();
-
-    if (SEROTONIN_DRUGS.high.includes(medClass) || 
-        name.includes("linezolid") || 
-        name.includes("methylene blue") ||
-        // SSRIs by name
-        name.includes("fluoxetine") ||
-        name.includes("sertraline") ||
-        name.includes("paroxetine") ||
-        name.includes("citalopram") ||
-        name.includes("escitalopram") ||
-        name.includes("fluvoxamine") ||
-        // SNRIs by name
-        name.includes("venlafaxine") ||
-        name.includes("duloxetine") ||
-        name.includes("desvenlafaxine") ||
-        name.includes("levomilnacipran") ||
-        name.includes("milnacipran")) {
+
+    if (SEROTONIN_DRUGS.high.includes(medClass) || HIGH_RISK_NAME_TERMS.has(med.name)) {
       high_risk.push(med);
-    } else if (SEROTONIN_DRUGS.moderate.includes(medClass) ||
-               name.includes("tramadol") || 
-               name.includes("trazodone") ||
-               name.includes("mirtazapine")) {
+    } else if (SEROTONIN_DRUGS.moderate.includes(medClass) || MODERATE_RISK_NAME_TERMS.has(med.name)) {
       moderate_risk.push(med);
-    } else if (SEROTONIN_DRUGS.lower.includes(medClass) ||
-               name.includes("triptan") ||
-               name.includes("ondansetron")) {
+    } else if (SEROTONIN_DRUGS.lower.includes(medClass) || LOWER_RISK_NAME_TERMS.has(med.name)) {
       lower_risk.push(med);
     } else if (medClass === "SSRI" || medClass === "SNRI") {
       high_risk.push(med);
     }
   }
 
-  const has_maoi = high_risk.some(m => 
-    m.class === "MAOI" || 
-    m.name?.toLowerCase().includes("linezolid") ||
-    m.name?.toLowerCase().includes("methylene blue")
-  );
+  const has_maoi = high_risk.some(isMaoi);
+
+  const classify = trace.step("classify", {
+    inputs: { egfr, liver_disease, recent_maoi_use, has_maoi },
+    buckets: { high: medNames(high_risk), moderate: medNames(moderate_risk), lower: medNames(lower_risk) }
+  });
 
   // ─────────────────────────────────────────────────────────────────
   // MAOI + ANY SEROTONERGIC (CONTRAINDICATED)
   // ─────────────────────────────────────────────────────────────────
   if (has_maoi) {
     const other_serotonergics = [
-      ...high_risk.filter(m => m.class !== "MAOI" && 
-                               !m.name?.toLowerCase().includes("linezolid") &&
-                               !m.name?.toLowerCase().includes("methylene blue")),
+      ...high_risk.filter(m => !isMaoi(m)),
       ...moderate_risk,
       ...lower_risk
     ];
 
     if (other_serotonergics.length > 0) {
-      const maoi_drugs = high_risk.filter(m => 
-        m.class === "MAOI" || 
-        m.name?.toLowerCase().includes("linezolid") ||
-        m.name?.toLowerCase().includes("methylene blue")
-      );
+      const maoi_drugs = high_risk.filter(isMaoi);
 
-      alerts.push({
+      const step = trace.step("maoi_combination", {
+        buckets: { maoi: medNames(maoi_drugs), other_serotonergic: medNames(other_serotonergics) },
+        branch: "MAOI + another serotonergic → CRITICAL"
+      });
+      alerts.push(trace.link({
         alert_code: ALERT_CODES.SEROTONIN_MAOI_COMBINATION,
         drugs_involved: [...maoi_drugs, ...other_serotonergics].map(m => m.name),
         severity: "CRITICAL",
@@ -122,7 +128,7 @@ function SEROTONIN_SYNDROME_CHECK(input) {
         action: "STOP one immediately. If MAOI needed, wait appropriate washout period.",
         monitoring: "Monitor for hyperthermia, rigidity, autonomic instability",
         guideline: "FDA Black Box Warning"
-      });
+      }, classify, step));
     }
   }
 
@@ -130,25 +136,26 @@ function SEROTONIN_SYNDROME_CHECK(input) {
   // MAOI WASHOUT VIOLATION
   // ─────────────────────────────────────────────────────────────────
   if (recent_maoi_use && recent_maoi_use.stopped_date) {
-    const days_since = daysSince(recent_maoi_use.stopped_date);
+    const days_since = daysSince(recent_maoi_use.stopped_date, as_of);
     const maoi_drug = (recent_maoi_use.drug || "").toLowerCase();
     
-    let required_washout = MAOI_WASHOUT.default;
-    if (maoi_drug.includes("fluoxetine")) {
-      required_washout = MAOI_WASHOUT.fluoxetine_to_maoi;
-    } else {
-      for (const [drug, days] of Object.entries(MAOI_WASHOUT)) {
-        if (maoi_drug.includes(drug)) {
-          required_washout = days;
-          break;
-        }
-      }
-    }
+    const washout = WASHOUT_TERMS.first(maoi_drug);
+    const required_washout = MAOI_WASHOUT[washout ? washout.value : "default"];
 
+    const current_serotonergics = [...high_risk, ...moderate_risk];
+    const washout_step = trace.step("maoi_washout", {
+      inputs: {
+        drug: recent_maoi_use.drug, stopped_date: recent_maoi_use.stopped_date,
+        as_of: new Date(as_of).toISOString(), days_since
+      },
+      thresholds: { required_washout_days: required_washout },
+      branch: days_since === null || days_since >= required_washout ? "washout complete → no alert"
+        : current_serotonergics.length > 0 ? `${days_since} < ${required_washout} days with serotonergic on list → CRITICAL`
+        : `${days_since} < ${required_washout} days but no current serotonergic → no alert`
+    });
     if (days_since !== null && days_since < required_washout) {
-      const current_serotonergics = [...high_risk, ...moderate_risk];
       if (current_serotonergics.length > 0) {
-        alerts.push({
+        alerts.push(trace.link({
           alert_code: ALERT_CODES.SEROTONIN_WASHOUT_VIOLATION,
           drugs_involved: [recent_maoi_use.drug, ...current_serotonergics.map(m => m.name)],
           severity: "CRITICAL",
@@ -156,7 +163,7 @@ function SEROTONIN_SYNDROME_CHECK(input) {
           reason: `${recent_maoi_use.drug} stopped ${days_since} days ago; requires ${required_washout} day washout`,
           action: "Wait until washout complete before starting serotonergic",
           guideline: "FDA labeling; clinical pharmacology"
-        });
+        }, classify, washout_step));
       }
     }
   }
@@ -165,7 +172,8 @@ function SEROTONIN_SYNDROME_CHECK(input) {
   // HIGH-RISK COMBINATIONS (Multiple high-potency agents)
   // ─────────────────────────────────────────────────────────────────
   if (!has_maoi && high_risk.length >= 2) {
-    alerts.push({
+    const step = trace.step("high_risk_combination", { branch: `${high_risk.length} high-potency agents (≥2) → HIGH` });
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.SEROTONIN_HIGH_RISK,
       drugs_involved: high_risk.map(m => m.name),
       severity: "HIGH",
@@ -174,7 +182,7 @@ function SEROTONIN_SYNDROME_CHECK(input) {
       action: "Avoid combination if possible; use lowest doses; monitor closely",
       monitoring: "Watch for: tremor, hyperreflexia, agitation, hyperthermia, diaphoresis",
       guideline: "Hunter Criteria for diagnosis"
-    });
+    }, classify, step));
   }
 
   // ─────────────────────────────────────────────────────────────────
@@ -191,7 +199,13 @@ function SEROTONIN_SYNDROME_CHECK(input) {
       severity = "HIGH";
     }
 
-    alerts.push({
+    const step = trace.step("moderate_risk_combination", {
+      inputs: { liver_disease, egfr },
+      thresholds: { egfr_max: 30 },
+      branch: `1 high + ${moderate_risk.length} moderate agent(s) → ${severity}` +
+        (severity === "HIGH" ? " (escalated: liver disease or egfr < 30)" : "")
+    });
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.SEROTONIN_MODERATE_RISK,
       drugs_involved: [...high_risk, ...moderate_risk].map(m => m.name),
       severity: severity,
@@ -199,28 +213,25 @@ function SEROTONIN_SYNDROME_CHECK(input) {
       reason: `${total_serotonergic} serotonergic agents concurrent`,
       action: "Use caution; counsel on serotonin syndrome symptoms",
       monitoring: "Educate patient on warning signs; reassess if dose changes"
-    });
+    }, classify, step));
   }
 
   // ─────────────────────────────────────────────────────────────────
   // TRIPTAN + SSRI/SNRI (FDA Warning - though lower risk than once thought)
   // ─────────────────────────────────────────────────────────────────
-  const has_triptan = lower_risk.some(m => 
-    m.class === "triptan" || m.name?.toLowerCase().includes("triptan")
-  );
+  const has_triptan = lower_risk.some(m => m.class === "triptan" || TRIPTAN_TERMS.has(m.name));
   const has_ssri_snri = high_risk.some(m => 
     ["SSRI", "SNRI"].includes(m.class)
   );
 
   if (has_triptan && has_ssri_snri) {
-    const triptans = lower_risk.filter(m => 
-      m.class === "triptan" || m.name?.toLowerCase().includes("triptan")
-    );
+    const triptans = lower_risk.filter(m => m.class === "triptan" || TRIPTAN_TERMS.has(m.name));
     const ssri_snri = high_risk.filter(m => 
       ["SSRI", "SNRI"].includes(m.class)
     );
 
-    alerts.push({
+    const step = trace.step("triptan_ssri_snri", { branch: "triptan + SSRI/SNRI → MODERATE" });
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.SEROTONIN_MODERATE_RISK,
       drugs_involved: [...ssri_snri, ...triptans].map(m => m.name),
       severity: "MODERATE",
@@ -228,7 +239,7 @@ function SEROTONIN_SYNDROME_CHECK(input) {
       reason: "FDA warning exists though clinical risk appears low",
       action: "Generally acceptable with monitoring; counsel on symptoms",
       guideline: "FDA Safety Communication 2006 (risk lower than initially reported)"
-    });
+    }, classify, step));
   }
 
   return {
@@ -242,14 +253,4 @@ function SEROTONIN_SYNDROME_CHECK(input) {
   };
 }
 
-/**
- * Calculate days since a date
- */
-function daysSince(dateStr) {
-  if (!dateStr) return null;
-  const then = new Date(dateStr);
-  const now = new Date();
-  return Math.floor((now - then) / (1000 * 60 * 60 * 24));
-}
-
 module.exports = { SEROTONIN_SYNDROME_CHECK };
\ No newline at end of file
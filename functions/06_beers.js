@@ -18,6 +18,14 @@ const {
   CONDITION_AVOID_EFFECTS: ICD_CONDITION_EFFECTS 
 } = require("./07_icd_condition_mapper.js");
 const { logUnknownDrug } = require("../utils/unknown_drugs.js");
+const { NULL_TRACER } = require("../utils/rule_trace.js");
+const { defineDrugTerms } = require("../utils/drug_matcher.js");
+
+// Alert thresholds (overridable per call via input.thresholds / site profile)
+const BEERS_THRESHOLDS = {
+  acb_score: 3,                // total ACB score → BEERS_ACB_HIGH
+  cns_active_count: 3          // CNS-active drugs → BEERS_CNS_POLYPHARMACY
+};
 
 // ═══════════════════════════════════════════════════════════════
 // TOXIDROMES - Clinical syndrome patterns
@@ -478,6 +486,22 @@ const PIM_DATABASE = {
 // CNS-active drug effects for polypharmacy detection
 const CNS_ACTIVE_EFFECTS = ["opioid", "sedating", "fall_risk"];
 
+// Name lookups on the shared matcher (utils/drug_matcher.js): word-boundary
+// matches, so "oxycodone 10mg" finds "oxycodone" but "hydromorphone" no longer finds "morphine"
+const DRUG_EFFECT_TERMS = defineDrugTerms("beers.effects", DRUG_EFFECTS);
+const ACB_TERMS = defineDrugTerms("beers.acb", ACB_SCORES);
+const PIM_TERMS = defineDrugTerms("beers.pim", PIM_DATABASE);
+
+// Per-condition drug exclusions (legacy string conditions and ICD-derived conditions)
+const EXCLUDE_TERMS = {};
+const ICD_EXCLUDE_TERMS = {};
+for (const [condition, info] of Object.entries(CONDITION_AVOID_EFFECTS)) {
+  if (info.exclude_drugs) EXCLUDE_TERMS[condition] = defineDrugTerms(`beers.exclude.${condition}`, info.exclude_drugs);
+}
+for (const [condition, info] of Object.entries(ICD_CONDITION_EFFECTS)) {
+  if (info.exclude_drugs) ICD_EXCLUDE_TERMS[condition] = defineDrugTerms(`beers.icd_exclude.${condition}`, info.exclude_drugs);
+}
+
 // ═══════════════════════════════════════════════════════════════
 // HELPER FUNCTIONS
 // ═══════════════════════════════════════════════════════════════
@@ -490,16 +514,10 @@ const CNS_ACTIVE_EFFECTS = ["opioid", "sedating", "fall_risk"];
 function getDrugEffects(drugName) {
   const name_lower = (drugName || "").toLowerCase().trim();
   
-  // Exact match
-  if (DRUG_EFFECTS[name_lower]) {
-    return DRUG_EFFECTS[name_lower];
-  }
-  
-  // Partial match (e.g., "oxycodone 10mg" matches "oxycodone")
-  for (const [drug, effects] of Object.entries(DRUG_EFFECTS)) {
-    if (name_lower.includes(drug) || drug.includes(name_lower)) {
-      return effects;
-    }
+  // Leftmost, longest dictionary term (e.g., "oxycodone 10mg" matches "oxycodone")
+  const hit = DRUG_EFFECT_TERMS.first(name_lower);
+  if (hit) {
+    return hit.value;
   }
   
   // Not found - log for future expansion
@@ -516,21 +534,8 @@ function getDrugEffects(drugName) {
  * @returns {number} ACB score (0-3)
  */
 function getACBScore(drugName) {
-  const name_lower = (drugName || "").toLowerCase().trim();
-  
-  // Exact match
-  if (ACB_SCORES[name_lower] !== undefined) {
-    return ACB_SCORES[name_lower];
-  }
-  
-  // Partial match
-  for (const [drug, score] of Object.entries(ACB_SCORES)) {
-    if (name_lower.includes(drug) || drug.includes(name_lower)) {
-      return score;
-    }
-  }
-  
-  return 0;
+  const hit = ACB_TERMS.first(drugName);
+  return hit ? hit.value : 0;
 }
 
 /**
@@ -539,15 +544,8 @@ function getACBScore(drugName) {
  * @returns {Object|null} PIM info or null
  */
 function getPIMInfo(drugName) {
-  const name_lower = (drugName || "").toLowerCase().trim();
-  
-  for (const [drug, info] of Object.entries(PIM_DATABASE)) {
-    if (name_lower.includes(drug) || drug.includes(name_lower)) {
-      return { drug, ...info };
-    }
-  }
-  
-  return null;
+  const hit = PIM_TERMS.first(drugName);
+  return hit ? { drug: hit.term, ...hit.value } : null;
 }
 
 /**
@@ -589,10 +587,14 @@ function identifyToxidrome(symptoms) {
  * @param {number|null} input.egfr
  * @param {number|null} input.ppi_duration_weeks
  * @param {string[]} input.symptoms - For toxidrome identification (optional)
+ * @param {Object} [input.thresholds] - Overrides for BEERS_THRESHOLDS
+ * @param {Object} [input.trace] - Rule tracer (utils/rule_trace.js)
  * @returns {{ alerts: Array, metadata: Object }}
  */
 function BEERS_CRITERIA_CHECK(input) {
   const { patient_age, medications, conditions = [], icd_codes = [], egfr, ppi_duration_weeks, symptoms } = input;
+  const limits = { ...BEERS_THRESHOLDS, ...(input.thresholds || {}) };
+  const trace = input.trace || NULL_TRACER;
   const alerts = [];
 
   // Beers only applies to age ≥65
@@ -628,6 +630,8 @@ function BEERS_CRITERIA_CHECK(input) {
   const pim_found = [];
   const condition_interactions = [];
   const drug_effects_map = new Map(); // Track effects per drug for reporting
+  const acb_by_drug = {};
+  const cns_active_drugs = [];
 
   // ═══════════════════════════════════════════════════════════════
   // ANALYZE EACH MEDICATION
@@ -639,11 +643,13 @@ function BEERS_CRITERIA_CHECK(input) {
     const pim = getPIMInfo(drugName);
 
     drug_effects_map.set(drugName, effects);
+    acb_by_drug[drugName] = acb;
     acb_total += acb;
 
     // Count CNS-active drugs
     if (effects.some(e => CNS_ACTIVE_EFFECTS.includes(e))) {
       cns_count++;
+      cns_active_drugs.push(drugName);
     }
 
     // Check if it's a PIM (Table 1)
@@ -667,10 +673,7 @@ function BEERS_CRITERIA_CHECK(input) {
         });
         
         // Check drug exclusions (e.g., quetiapine OK in Parkinson's)
-        const excluded = triggering_conditions.some(c => {
-          const cond_info = icd_condition_details[c];
-          return cond_info?.exclude_drugs?.some(ex => drugName.toLowerCase().includes(ex));
-        });
+        const excluded = triggering_conditions.some(c => Boolean(ICD_EXCLUDE_TERMS[c]?.has(drugName)));
         
         if (!excluded) {
           condition_interactions.push({
@@ -694,7 +697,7 @@ function BEERS_CRITERIA_CHECK(input) {
       
       if (bad_effects.length > 0) {
         // Check exclusions (e.g., quetiapine OK in Parkinson's)
-        if (condition_info.exclude_drugs?.some(ex => drugName.toLowerCase().includes(ex))) {
+        if (EXCLUDE_TERMS[condition]?.has(drugName)) {
           continue;
         }
         
@@ -708,13 +711,22 @@ function BEERS_CRITERIA_CHECK(input) {
     }
   }
 
+  const classify = trace.step("classify", {
+    inputs: { patient_age, conditions: all_conditions, icd_codes, acb_by_drug },
+    buckets: { pim: pim_found.map(p => p.drugName), cns_active: cns_active_drugs }
+  });
+
   // ═══════════════════════════════════════════════════════════════
   // GENERATE ALERTS
   // ═══════════════════════════════════════════════════════════════
 
   // Table 1 PIM alerts
   for (const pim of pim_found) {
-    alerts.push({
+    const step = trace.step("pim_table1", {
+      inputs: { drug: pim.drugName, recommendation: pim.severity },
+      branch: `Table 1 PIM (${pim.severity}) → ${pim.severity === "AVOID" ? "HIGH" : "MODERATE"}`
+    });
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.BEERS_PIM_TABLE1,
       drug: pim.drugName,
       severity: pim.severity === "AVOID" ? "HIGH" : "MODERATE",
@@ -722,12 +734,16 @@ function BEERS_CRITERIA_CHECK(input) {
       reason: pim.reason,
       action: pim.severity === "AVOID" ? "Avoid; consider alternative" : "Use with caution",
       alternatives: pim.alternatives?.join(", ") || "Non-pharmacologic approaches"
-    });
+    }, classify, step));
   }
 
   // Table 2 Drug-Disease interaction alerts
   for (const interaction of condition_interactions) {
-    alerts.push({
+    const step = trace.step("drug_disease", {
+      inputs: { drug: interaction.drug, condition: interaction.condition, harmful: interaction.harmful_effects },
+      branch: `drug effect contraindicated in ${interaction.condition} (${interaction.source || "conditions"}) → HIGH`
+    });
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.BEERS_DISEASE_INTERACTION,
       drug: interaction.drug,
       condition: interaction.condition,
@@ -736,36 +752,48 @@ function BEERS_CRITERIA_CHECK(input) {
       message: `Beers: ${interaction.drug} has ${interaction.harmful_effects.join(", ")} effects - inappropriate with ${interaction.condition}`,
       reason: interaction.reason,
       action: "Avoid in this patient; consider alternative"
-    });
+    }, classify, step));
   }
 
   // Anticholinergic Burden alert
-  if (acb_total >= 3) {
-    alerts.push({
+  const acb_step = trace.step("acb_burden", {
+    inputs: { acb_total },
+    thresholds: { acb_score: limits.acb_score },
+    branch: acb_total >= limits.acb_score
+      ? `${acb_total} ≥ ${limits.acb_score} → alert` : `${acb_total} < ${limits.acb_score} → no alert`
+  });
+  if (acb_total >= limits.acb_score) {
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.BEERS_ACB_HIGH,
       severity: "HIGH",
       message: `High Anticholinergic Burden (ACB Score: ${acb_total})`,
-      reason: "ACB ≥3 associated with cognitive impairment, delirium, falls",
+      reason: `ACB ≥${limits.acb_score} associated with cognitive impairment, delirium, falls`,
       action: "Review all anticholinergic medications; reduce where possible",
       monitoring: "Assess cognition; monitor for confusion, dry mouth, constipation, urinary retention"
-    });
+    }, classify, acb_step));
   }
 
   // CNS Polypharmacy alert
-  if (cns_count >= 3) {
+  const cns_step = trace.step("cns_polypharmacy", {
+    inputs: { cns_count },
+    thresholds: { cns_active_count: limits.cns_active_count },
+    branch: cns_count >= limits.cns_active_count
+      ? `${cns_count} ≥ ${limits.cns_active_count} → alert` : `${cns_count} < ${limits.cns_active_count} → no alert`
+  });
+  if (cns_count >= limits.cns_active_count) {
     const cns_drugs = medications.filter(m => {
       const effects = getDrugEffects(m.name);
       return effects.some(e => CNS_ACTIVE_EFFECTS.includes(e));
     });
     
-    alerts.push({
+    alerts.push(trace.link({
       alert_code: ALERT_CODES.BEERS_CNS_POLYPHARMACY,
       drugs_involved: cns_drugs.map(m => m.name),
       severity: "HIGH",
       message: `CNS Polypharmacy: ${cns_count} CNS-active medications`,
-      reason: "≥3 CNS-active drugs increases falls, fractures, and delirium risk",
+      reason: `≥${limits.cns_active_count} CNS-active drugs increases falls, fractures, and delirium risk`,
       action: "Minimize CNS-active medications; review necessity of each"
-    });
+    }, classify, cns_step));
   }
 
   // PPI Long-term use alert
@@ -776,13 +804,18 @@ function BEERS_CRITERIA_CHECK(input) {
     });
     
     if (has_ppi) {
-      alerts.push({
+      const step = trace.step("ppi_long_term", {
+        inputs: { ppi_duration_weeks },
+        thresholds: { max_weeks: 8 },
+        branch: `PPI for ${ppi_duration_weeks} weeks (> 8) → MODERATE`
+      });
+      alerts.push(trace.link({
         alert_code: ALERT_CODES.BEERS_PPI_LONG_TERM,
         severity: "MODERATE",
         message: `PPI use >8 weeks without clear indication`,
         reason: "Long-term PPI associated with C. diff, bone loss, hypomagnesemia, B12 deficiency",
         action: "Reassess indication; attempt step-down or discontinuation if appropriate"
-      });
+      }, classify, step));
     }
   }
 
@@ -816,6 +849,7 @@ function BEERS_CRITERIA_CHECK(input) {
 
 module.exports = { 
   BEERS_CRITERIA_CHECK,
+  BEERS_THRESHOLDS,
   // Export for external use/testing
   DRUG_EFFECTS,
   CONDITION_AVOID_EFFECTS,
@@ -823,5 +857,6 @@ module.exports = {
   TOXIDROMES,
   getDrugEffects,
   getACBScore,
+  getPIMInfo,
   identifyToxidrome
 };
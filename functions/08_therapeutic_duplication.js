@@ -0,0 +1,302 @@
+/**
+ * THERAPEUTIC DUPLICATION CHECK
+ * Function 08 - Domain: THERAPEUTIC_DUPLICATION
+ *
+ * Detects two or more agents from the same therapeutic class or ATC subgroup
+ * Class membership comes from med.class and utils/atc_lookup.js (WHO ATC)
+ * Recognizes intentional pairings (ER + IR opioid, heparin bridge to warfarin)
+ * Anticoagulant duplications the antithrombotic check also reports are listed in
+ * REPORTED_BY; the engine keeps one alert when both fire
+ * References: ISMP High-Alert Medications, WHO ATC/DDD Index
+ */
+
+const { ALERT_CODES, ALERT_CODE_META } = require("../constants/alert_codes.js");
+const { lookupDrug } = require("../utils/atc_lookup.js");
+const { NULL_TRACER } = require("../utils/rule_trace.js");
+const { defineDrugTerms } = require("../utils/drug_matcher.js");
+
+// Named duplication groups
+// classes: med.class values (engine vocabulary) and drug_mappings.json classes
+// atc_prefixes: ATC codes or prefixes that place a drug in the group
+// names: fallback for drugs not present in drug_mappings.json
+const DUPLICATION_GROUPS = [
+  {
+    code: ALERT_CODES.DUP_SSRI,
+    label: "SSRI",
+    classes: ["SSRI"],
+    atc_prefixes: ["N06AB"]
+  },
+  {
+    code: ALERT_CODES.DUP_SNRI,
+    label: "SNRI",
+    classes: ["SNRI"],
+    // N06AX also holds trazodone, mirtazapine, bupropion - list true SNRIs only
+    atc_prefixes: ["N06AX16", "N06AX17", "N06AX21", "N06AX23", "N06AX28"]
+  },
+  {
+    code: ALERT_CODES.DUP_STATIN,
+    label: "statin",
+    classes: ["statin"],
+    atc_prefixes: ["C10AA"],
+    names: ["atorvastatin", "simvastatin", "rosuvastatin", "pravastatin", "lovastatin",
+      "fluvastatin", "pitavastatin", "lipitor", "zocor", "crestor", "pravachol", "livalo"]
+  },
+  {
+    code: ALERT_CODES.DUP_PPI,
+    label: "PPI",
+    classes: ["PPI"],
+    atc_prefixes: ["A02BC"]
+  },
+  {
+    code: ALERT_CODES.DUP_BIGUANIDE,
+    label: "biguanide",
+    classes: ["biguanide"],
+    atc_prefixes: ["A10BA"]
+  },
+  {
+    code: ALERT_CODES.DUP_BETA_BLOCKER,
+    label: "beta blocker",
+    classes: ["beta_blocker"],
+    atc_prefixes: ["C07A"]
+  },
+  {
+    code: ALERT_CODES.DUP_BENZODIAZEPINE,
+    label: "benzodiazepine",
+    classes: ["benzodiazepine"],
+    atc_prefixes: ["N05BA", "N05CD", "N03AE"]
+  },
+  {
+    code: ALERT_CODES.DUP_OPIOID,
+    label: "opioid",
+    classes: ["opioid", "opioid_long_acting", "opioid_atypical"],
+    atc_prefixes: ["N02A"]
+  },
+  {
+    code: ALERT_CODES.DUP_THIAZIDE,
+    label: "thiazide",
+    classes: ["thiazide", "thiazide_diuretic"],
+    atc_prefixes: ["C03AA", "C03BA"]
+  },
+  {
+    code: ALERT_CODES.DUP_LOOP_DIURETIC,
+    label: "loop diuretic",
+    classes: ["loop_diuretic"],
+    atc_prefixes: ["C03CA"]
+  }
+];
+
+// Anticoagulant subtypes (handled separately: DOAC / mixed / multiple)
+const ANTICOAGULANT_TYPES = {
+  doac: { classes: ["anticoagulant_DOAC", "DOAC"], atc_prefixes: ["B01AE", "B01AF"] },
+  vka: { classes: ["anticoagulant_warfarin", "warfarin"], atc_prefixes: ["B01AA"] },
+  heparin: { classes: ["anticoagulant_heparin", "LMWH"], atc_prefixes: ["B01AB"] }
+};
+
+// Duplication alert → alert of another check that reports the same drugs; the engine drops
+// the duplication alert when that one fired for all of its drugs (not when disabled or not run)
+const REPORTED_BY = {
+  DUP_ANTICOAGULANT_DOAC: ALERT_CODES.ANTITHROMB_DUAL_ANTICOAG,
+  DUP_ANTICOAGULANT_MIXED: ALERT_CODES.ANTITHROMB_DUAL_ANTICOAG,
+  DUP_ANTICOAGULANT_MULTIPLE: ALERT_CODES.ANTITHROMB_DUAL_ANTICOAG
+};
+
+// ATC subgroups whose members are routinely combined (not duplicates)
+// B01AC: aspirin + P2Y12 (DAPT); N06AX: heterogeneous "other antidepressants"
+const HETEROGENEOUS_ATC_SUBGROUPS = ["B01AC", "N06AX", "C03DA", "A10BX", "A12BA", "N02BE"];
+
+// Extended-release markers ("*contin" is a stem so "oxycontin" matches, "continuous" does not)
+const ER_TERMS = defineDrugTerms("duplication.extended_release", ["er", "xr", "sr", "cr", "patch", "*contin", "duragesic"]);
+
+// Name lists of groups that have them, on the shared matcher
+const GROUP_NAME_TERMS = new Map(DUPLICATION_GROUPS
+  .filter(group => group.names)
+  .map(group => [group, defineDrugTerms(`duplication.${group.code}`, group.names)]));
+
+/**
+ * Check whether a resolved medication belongs to a group definition
+ * @returns {"class"|"atc"|"name"|null} basis of membership
+ */
+function groupMembership(entry, group) {
+  if (entry.med.class && group.classes.includes(entry.med.class)) return "class";
+  if (entry.atc_class && group.classes.includes(entry.atc_class)) return "class";
+  if (entry.atc && (group.atc_prefixes || []).some(p => entry.atc.startsWith(p))) return "atc";
+  if (GROUP_NAME_TERMS.has(group) && GROUP_NAME_TERMS.get(group).has(entry.med.name)) return "name";
+  return null;
+}
+
+function isExtendedRelease(med) {
+  return med.class === "opioid_long_acting" || ER_TERMS.has(med.name);
+}
+
+/**
+ * @param {Object} input
+ * @param {Array} input.medications - [{name, class, dose, atc}]
+ * @param {Object} [input.trace] - Rule tracer (utils/rule_trace.js)
+ * @returns {{ alerts: Array, metadata: Object }}
+ */
+function THERAPEUTIC_DUPLICATION_CHECK(input) {
+  const { medications, trace = NULL_TRACER } = input;
+  const alerts = [];
+  const intentional_pairings = [];
+
+  const resolved = medications.map(med => {
+    const info = lookupDrug(med.name);
+    return {
+      med,
+      atc: med.atc ? String(med.atc).toUpperCase() : (info ? info.atc : null),
+      atc_class: info ? info.class : null
+    };
+  });
+
+  const claimed = new Set(); // meds already reported by a named group
+
+  const classify = trace.step("classify", {
+    inputs: { resolved: resolved.map(e => ({ drug: e.med.name, class: e.med.class || null, atc: e.atc })) }
+  });
+
+  // ═══════════════════════════════════════════════════════════════
+  // NAMED CLASS DUPLICATES (DUP_SSRI, DUP_PPI, DUP_STATIN, ...)
+  // ═══════════════════════════════════════════════════════════════
+  for (const group of DUPLICATION_GROUPS) {
+    const members = [];
+    const basis = new Set();
+    for (const entry of resolved) {
+      const how = groupMembership(entry, group);
+      if (how) {
+        members.push(entry);
+        basis.add(how);
+      }
+    }
+    if (members.length < 2) continue;
+    members.forEach(e => claimed.add(e));
+
+    // Intentional: one long-acting opioid + one short-acting for breakthrough pain
+    if (group.code === ALERT_CODES.DUP_OPIOID) {
+      const er = members.filter(e => isExtendedRelease(e.med));
+      const ir = members.filter(e => !isExtendedRelease(e.med));
+      if (er.length === 1 && ir.length === 1) {
+        trace.step("named_group", {
+          buckets: { [group.label]: members.map(e => e.med.name) },
+          branch: "exactly one ER + one IR opioid → intentional pairing, no alert"
+        });
+        intentional_pairings.push({
+          group: group.label,
+          drugs: members.map(e => e.med.name),
+          reason: "Long-acting opioid with immediate-release opioid for breakthrough pain"
+        });
+        continue;
+      }
+    }
+
+    const step = trace.step("named_group", {
+      buckets: { [group.label]: members.map(e => e.med.name) },
+      basis: Array.from(basis),
+      branch: `${members.length} ${group.label} agents (≥2) → alert`
+    });
+    const alert_code = group.code;
+    alerts.push(trace.link({
+      alert_code,
+      drugs_involved: members.map(e => e.med.name),
+      severity: ALERT_CODE_META[alert_code].default_severity,
+      message: `Therapeutic duplication: ${members.length} ${group.label} agents`,
+      reason: `${members.map(e => e.med.name).join(" + ")} share the same therapeutic class`,
+      action: "Confirm intent; discontinue one agent unless duplication is deliberate",
+      duplication_basis: Array.from(basis)
+    }, classify, step));
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // ANTICOAGULANT DUPLICATION (DOAC + DOAC, DOAC + VKA, any other pair)
+  // ═══════════════════════════════════════════════════════════════
+  const anticoag = { doac: [], vka: [], heparin: [] };
+  for (const entry of resolved) {
+    for (const [type, group] of Object.entries(ANTICOAGULANT_TYPES)) {
+      if (groupMembership(entry, group)) {
+        anticoag[type].push(entry);
+        claimed.add(entry);
+        break;
+      }
+    }
+  }
+  const anticoag_all = [...anticoag.doac, ...anticoag.vka, ...anticoag.heparin];
+
+  if (anticoag_all.length >= 2) {
+    const drugs = anticoag_all.map(e => e.med.name);
+    const is_bridge = anticoag.doac.length === 0 && anticoag.vka.length === 1 && anticoag.heparin.length === 1;
+    const step = trace.step("anticoagulant_group", {
+      buckets: Object.fromEntries(Object.entries(anticoag).map(([type, list]) => [type, list.map(e => e.med.name)])),
+      branch: is_bridge ? "one VKA + one heparin → bridge, no alert" : `${anticoag_all.length} anticoagulants → alert`
+    });
+
+    // Intentional: heparin/LMWH bridge while warfarin reaches therapeutic INR
+    if (is_bridge) {
+      intentional_pairings.push({
+        group: "anticoagulant",
+        drugs,
+        reason: "Parenteral heparin bridge during warfarin initiation"
+      });
+    } else {
+      let alert_code = ALERT_CODES.DUP_ANTICOAGULANT_MULTIPLE;
+      let label = "anticoagulants";
+      if (anticoag.doac.length >= 2) {
+        alert_code = ALERT_CODES.DUP_ANTICOAGULANT_DOAC;
+        label = "DOACs";
+      } else if (anticoag.doac.length >= 1 && anticoag.vka.length >= 1) {
+        alert_code = ALERT_CODES.DUP_ANTICOAGULANT_MIXED;
+        label = "anticoagulants (DOAC + warfarin)";
+      }
+
+      alerts.push(trace.link({
+        alert_code,
+        drugs_involved: drugs,
+        severity: ALERT_CODE_META[alert_code].default_severity,
+        message: `⛔ Therapeutic duplication: ${anticoag_all.length} ${label}`,
+        reason: "Concurrent anticoagulants multiply bleeding risk without added benefit",
+        action: "Continue a single anticoagulant; if transitioning, follow the labeled switching protocol"
+      }, classify, step));
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // SAME ATC SUBGROUP (level 4) NOT COVERED ABOVE
+  // ═══════════════════════════════════════════════════════════════
+  const by_subgroup = new Map();
+  for (const entry of resolved) {
+    if (claimed.has(entry) || !entry.atc || entry.atc.length < 5) continue;
+    const subgroup = entry.atc.slice(0, 5);
+    if (HETEROGENEOUS_ATC_SUBGROUPS.includes(subgroup)) continue;
+    if (!by_subgroup.has(subgroup)) by_subgroup.set(subgroup, []);
+    by_subgroup.get(subgroup).push(entry);
+  }
+
+  for (const [subgroup, members] of by_subgroup) {
+    if (members.length < 2) continue;
+    const step = trace.step("atc_subgroup", {
+      buckets: { [subgroup]: members.map(e => e.med.name) },
+      branch: `${members.length} unclaimed agents share ATC ${subgroup} → alert`
+    });
+    const alert_code = ALERT_CODES.DUP_ATC_SUBGROUP;
+    alerts.push(trace.link({
+      alert_code,
+      drugs_involved: members.map(e => e.med.name),
+      severity: ALERT_CODE_META[alert_code].default_severity,
+      message: `Therapeutic duplication: ${members.length} agents in ATC subgroup ${subgroup}`,
+      reason: `${members.map(e => e.med.name).join(" + ")} share ATC subgroup ${subgroup}`,
+      action: "Confirm intent; consolidate to a single agent where possible",
+      atc_subgroup: subgroup,
+      duplication_basis: ["atc"]
+    }, classify, step));
+  }
+
+  return {
+    alerts,
+    metadata: {
+      duplication_count: alerts.length,
+      intentional_pairings,
+      atc_resolved: resolved.filter(e => e.atc).length,
+      medication_count: medications.length
+    }
+  };
+}
+
+module.exports = { THERAPEUTIC_DUPLICATION_CHECK, DUPLICATION_GROUPS, REPORTED_BY };
@@ -0,0 +1,116 @@
+/**
+ * CUMULATIVE ACETAMINOPHEN CHECK
+ * Function 09 - Domain: ACETAMINOPHEN
+ *
+ * Adds up daily acetaminophen across every product (Percocet, Norco, OTC Tylenol, ...)
+ * Combination products arrive split into ingredients (utils/combination_products.js)
+ * References: FDA acetaminophen labeling (2011 boxed warning), AGS Pain Guidelines
+ */
+
+const { ALERT_CODES } = require("../constants/alert_codes.js");
+const { NULL_TRACER } = require("../utils/rule_trace.js");
+const { defineDrugTerms } = require("../utils/drug_matcher.js");
+const { parseMedicationDose } = require("../utils/medication_parser.js");
+
+const ACETAMINOPHEN_THRESHOLDS = {
+  max_daily_mg: 4000,               // mg/day, everyone
+  max_daily_mg_hepatic_risk: 2000   // mg/day, liver disease or documented alcohol use
+};
+
+const ACETAMINOPHEN_TERMS = defineDrugTerms("acetaminophen.names", ["acetaminophen", "paracetamol", "apap"]);
+
+// ICD-10 prefixes and condition text that document alcohol use
+// Diagnoses only: a bare "alcohol" also matches "denies alcohol" and "alcohol use: none"
+const ALCOHOL_ICD_PREFIXES = ["F10", "Z72.1", "K70"];
+const ALCOHOL_CONDITION_TERMS = defineDrugTerms("acetaminophen.alcohol_conditions", [
+  "alcohol use disorder", "alcohol dependence", "alcohol abuse", "alcoholism",
+  "alcoholic liver disease", "alcoholic hepatitis", "alcoholic cirrhosis",
+  "etoh use disorder", "etoh dependence", "etoh abuse"
+]);
+// "non-alcoholic steatohepatitis" contains "alcoholic hepatitis" once normalized
+const NON_ALCOHOLIC = /\bnon[\s-]?alcoholic\b/i;
+
+/**
+ * Daily acetaminophen for one medication: dose fields first, then the name
+ * (split combinations often carry the strength there: "acetaminophen 325mg")
+ * @returns {Object} parsed dose (utils/medication_parser.js)
+ */
+function parseAcetaminophenDose(med) {
+  const parsed = parseMedicationDose(med, { default_unit: "mg" });
+  if (parsed.strength !== null) return parsed;
+  return parseMedicationDose({ ...med, dose: [med.name, med.dose].filter(Boolean).join(" ") }, { default_unit: "mg" });
+}
+
+/**
+ * @param {Object} input
+ * @param {Array} input.medications - [{name, dose, sig, frequency}]
+ * @param {boolean} [input.liver_disease]
+ * @param {boolean} [input.alcohol_use]
+ * @param {string[]} [input.conditions]
+ * @param {string[]} [input.icd_codes]
+ * @param {Object} [input.thresholds] - Overrides for ACETAMINOPHEN_THRESHOLDS
+ * @param {Object} [input.trace] - Rule tracer (utils/rule_trace.js)
+ * @returns {{ alerts: Array, metadata: Object }}
+ */
+function ACETAMINOPHEN_CUMULATIVE_CHECK(input) {
+  const { medications, liver_disease = false, conditions = [], icd_codes = [], trace = NULL_TRACER } = input;
+  const limits = { ...ACETAMINOPHEN_THRESHOLDS, ...(input.thresholds || {}) };
+  const alerts = [];
+
+  const products = medications
+    .filter(m => ACETAMINOPHEN_TERMS.has(m.name))
+    .map(med => ({ med, dose: parseAcetaminophenDose(med) }));
+  const counted = products.filter(p => p.dose.daily_mg !== null);
+  const unparsed = products.filter(p => p.dose.daily_mg === null).map(p => p.med.name);
+  const total_daily_mg = counted.reduce((sum, p) => sum + p.dose.daily_mg, 0);
+
+  const alcohol_use = Boolean(input.alcohol_use)
+    || icd_codes.some(code => ALCOHOL_ICD_PREFIXES.some(p => String(code).toUpperCase().startsWith(p)))
+    || conditions.some(c => ALCOHOL_CONDITION_TERMS.has(c) && !NON_ALCOHOLIC.test(c));
+  const hepatic_risk = Boolean(liver_disease) || alcohol_use;
+  const limit = hepatic_risk ? limits.max_daily_mg_hepatic_risk : limits.max_daily_mg;
+  const limit_basis = liver_disease ? "liver disease" : alcohol_use ? "alcohol use" : "standard";
+
+  const step = trace.step("acetaminophen_total", {
+    inputs: {
+      products: counted.map(p => ({ drug: p.med.name, daily_mg: p.dose.daily_mg, prn: p.dose.prn, confidence: p.dose.confidence })),
+      unparsed, liver_disease: Boolean(liver_disease), alcohol_use
+    },
+    thresholds: { max_daily_mg: limits.max_daily_mg, max_daily_mg_hepatic_risk: limits.max_daily_mg_hepatic_risk },
+    branch: total_daily_mg > limit
+      ? `${total_daily_mg}mg/day > ${limit}mg/day (${limit_basis}) → alert`
+      : `${total_daily_mg}mg/day ≤ ${limit}mg/day (${limit_basis}) → no alert`
+  });
+
+  if (total_daily_mg > limit) {
+    const prn = counted.some(p => p.dose.prn);
+    alerts.push(trace.link({
+      alert_code: ALERT_CODES.ACETAMINOPHEN_DAILY_MAX,
+      drugs_involved: counted.map(p => p.med.name),
+      severity: "HIGH",
+      message: `Acetaminophen ${total_daily_mg}mg/day exceeds ${limit}mg/day${hepatic_risk ? ` (${limit_basis})` : ""}`,
+      reason: counted.length > 1
+        ? `${counted.length} acetaminophen-containing products add up: ${counted.map(p => `${p.med.name}: ${p.dose.daily_mg}mg/day`).join(" + ")}`
+        : "Hepatotoxicity risk rises above the maximum daily dose",
+      action: `Limit total acetaminophen to ${limit}mg/day across all products; check OTC use`,
+      total_daily_mg,
+      max_daily_mg: limit,
+      limit_basis,
+      ...(prn && { note: "PRN doses counted at the maximum stated frequency" }),
+      ...(unparsed.length > 0 && { unparsed })
+    }, step));
+  }
+
+  return {
+    alerts,
+    metadata: {
+      product_count: products.length,
+      total_daily_mg,
+      max_daily_mg: limit,
+      hepatic_risk,
+      unparsed
+    }
+  };
+}
+
+module.exports = { ACETAMINOPHEN_CUMULATIVE_CHECK, ACETAMINOPHEN_THRESHOLDS };
@@ -4,136 +4,444 @@
  */
 
 const { ALERT_CODES } = require("./constants/alert_codes.js");
-const { RENAL_DOSING_CHECK } = require("./functions/01_renal_dosing.js");
+const { RENAL_DOSING_CHECK, hasRenalRuleMedication } = require("./functions/01_renal_dosing.js");
 const { TRIPLE_WHAMMY_CHECK } = require("./functions/02_triple_whammy.js");
 const { OPIOID_SAFETY_CHECK } = require("./functions/03_opioid_safety.js");
 const { ANTITHROMBOTIC_COMBINATION_CHECK } = require("./functions/04_antithrombotic.js");
 const { SEROTONIN_SYNDROME_CHECK } = require("./functions/05_serotonin.js");
-const { BEERS_CRITERIA_CHECK } = require("./functions/06_beers.js");
-
-const SEVERITY_ORDER = { "CRITICAL": 1, "HIGH": 2, "MODERATE": 3, "LOW": 4, "INFO": 5 };
-
-function MED_SAFETY_ENGINE(patient_data) {
-  const {
-    patient_age = null,
-    patient_sex = null,
-    weight_kg = null,
-    egfr = null,
-    liver_disease = false,
-    heart_failure = false,
-    atrial_fibrillation = false,
-    prior_gi_bleed = false,
-    recent_pci_date = null,
-    stent_type = null,
-    hb_low = false,
-    respiratory_disease = false,
-    opioid_naive = true,
-    active_illness = {},
-    current_medications = [],
-    conditions = [],
-    icd_codes = [],
-    recent_maoi_use = null,
-    ppi_duration_weeks = null
-  } = patient_data;
-
-  let all_alerts = [];
-  const function_results = {};
-  const timing = {};
+const { BEERS_CRITERIA_CHECK, getPIMInfo } = require("./functions/06_beers.js");
+const { THERAPEUTIC_DUPLICATION_CHECK, REPORTED_BY } = require("./functions/08_therapeutic_duplication.js");
+const { ACETAMINOPHEN_CUMULATIVE_CHECK } = require("./functions/09_acetaminophen.js");
+const {
+  validatePatientData, findSkippedRules, buildMissingInputAlerts, InputValidationError
+} = require("./utils/input_validation.js");
+const { enrichMedications, PROVENANCE } = require("./utils/medication_enrichment.js");
+const { createCheckRegistry, resolveCheckStatus } = require("./utils/check_registry.js");
+const { resolveSiteProfile, loadSiteProfile, SiteProfileError } = require("./utils/site_profile.js");
+const {
+  applyOverrides, recordOverride, createMemoryOverrideStore, OVERRIDE_REASON_CODES, OverrideError
+} = require("./utils/override_store.js");
+const { alertKey, alertDrugs } = require("./utils/alert_identity.js");
+const { resolveRecommendationConflicts } = require("./utils/recommendation_conflicts.js");
+const { buildActionPlan } = require("./utils/action_plan.js");
+const { buildMonitoringPlan } = require("./utils/monitoring_plan.js");
+const { createRuleTrace, NULL_TRACER } = require("./utils/rule_trace.js");
+const { resolveEvaluationDate } = require("./utils/clock.js");
+const { severityRank } = require("./constants/severity.js");
 
-  // FUNCTION 1: RENAL DOSING (always run if egfr provided)
-  timing.renal = Date.now();
-  if (egfr !== null && egfr < 90) {
-    try {
-      const result = RENAL_DOSING_CHECK({ egfr, medications: current_medications });
-      all_alerts = all_alerts.concat(result.alerts.map(a => ({ ...a, source: "RENAL" })));
-      function_results.renal = result.metadata;
-    } catch (err) {
-      all_alerts.push({ alert_code: ALERT_CODES.SYSTEM_FUNCTION_ERROR, severity: "HIGH", message: `Renal: ${err.message}`, source: "SYSTEM" });
-    }
+// ═══════════════════════════════════════════════════════════════
+// BUILT-IN CHECKS (run in this order)
+// ═══════════════════════════════════════════════════════════════
+const BUILTIN_CHECKS = [
+  {
+    // FUNCTION 1: RENAL DOSING (only if eGFR < 90)
+    id: "renal",
+    name: "RENAL_DOSING_CHECK",
+    label: "Renal",
+    source: "RENAL",
+    requires: ["egfr"],
+    applies: d => d.egfr < 90,
+    relevant: d => hasRenalRuleMedication(d.current_medications),
+    run: (d, ctx) => RENAL_DOSING_CHECK({
+      egfr: d.egfr, egfr_comparator: ctx.censored.egfr, medications: d.current_medications,
+      egfr_max: ctx.thresholds.renal.egfr_max, trace: ctx.trace
+    })
+  },
+  {
+    // FUNCTION 2: TRIPLE WHAMMY (always run - checks internally)
+    id: "triple",
+    name: "TRIPLE_WHAMMY_CHECK",
+    label: "Triple",
+    source: "TRIPLE_WHAMMY",
+    run: (d, ctx) => TRIPLE_WHAMMY_CHECK({
+      medications: d.current_medications, active_illness: d.active_illness, egfr: d.egfr, trace: ctx.trace
+    })
+  },
+  {
+    // FUNCTION 3: OPIOID SAFETY (always run - checks internally)
+    id: "opioid",
+    name: "OPIOID_SAFETY_CHECK",
+    label: "Opioid",
+    source: "OPIOID",
+    run: (d, ctx) => OPIOID_SAFETY_CHECK({
+      medications: d.current_medications, patient_age: d.patient_age, egfr: d.egfr,
+      opioid_naive: d.opioid_naive, respiratory_disease: d.respiratory_disease,
+      thresholds: ctx.thresholds.opioid, trace: ctx.trace
+    })
+  },
+  {
+    // FUNCTION 4: ANTITHROMBOTIC (always run - checks internally)
+    id: "antithromb",
+    name: "ANTITHROMBOTIC_COMBINATION_CHECK",
+    label: "Antithromb",
+    source: "ANTITHROMB",
+    run: (d, ctx) => ANTITHROMBOTIC_COMBINATION_CHECK({
+      medications: d.current_medications, patient_age: d.patient_age, egfr: d.egfr, weight_kg: d.weight_kg,
+      atrial_fibrillation: d.atrial_fibrillation, prior_gi_bleed: d.prior_gi_bleed,
+      recent_pci_date: d.recent_pci_date, stent_type: d.stent_type, liver_disease: d.liver_disease, hb_low: d.hb_low,
+      on_chronic_nsaid: d.current_medications.some(m => ["NSAID", "COX2_inhibitor"].includes(m.class)),
+      thresholds: ctx.thresholds.antithrombotic, trace: ctx.trace, as_of: ctx.as_of
+    })
+  },
+  {
+    // FUNCTION 5: SEROTONIN (always run - checks internally)
+    id: "serotonin",
+    name: "SEROTONIN_SYNDROME_CHECK",
+    label: "Serotonin",
+    source: "SEROTONIN",
+    run: (d, ctx) => SEROTONIN_SYNDROME_CHECK({
+      medications: d.current_medications, patient_age: d.patient_age, egfr: d.egfr,
+      liver_disease: d.liver_disease, recent_maoi_use: d.recent_maoi_use, trace: ctx.trace, as_of: ctx.as_of
+    })
+  },
+  {
+    // FUNCTION 6: BEERS (age >= 65)
+    id: "beers",
+    name: "BEERS_CRITERIA_CHECK",
+    label: "Beers",
+    source: "BEERS",
+    requires: ["patient_age"],
+    applies: d => d.patient_age >= 65,
+    run: (d, ctx) => BEERS_CRITERIA_CHECK({
+      patient_age: d.patient_age, medications: d.current_medications, conditions: d.conditions,
+      icd_codes: d.icd_codes, egfr: d.egfr, ppi_duration_weeks: d.ppi_duration_weeks,
+      thresholds: ctx.thresholds.beers, trace: ctx.trace
+    })
+  },
+  {
+    // FUNCTION 7: THERAPEUTIC DUPLICATION (always run - checks internally)
+    id: "duplication",
+    name: "THERAPEUTIC_DUPLICATION_CHECK",
+    label: "Duplication",
+    source: "DUPLICATION",
+    run: (d, ctx) => THERAPEUTIC_DUPLICATION_CHECK({ medications: d.current_medications, trace: ctx.trace })
+  },
+  {
+    // FUNCTION 9: CUMULATIVE ACETAMINOPHEN (always run - checks internally)
+    id: "acetaminophen",
+    name: "ACETAMINOPHEN_CUMULATIVE_CHECK",
+    label: "Acetaminophen",
+    source: "ACETAMINOPHEN",
+    run: (d, ctx) => ACETAMINOPHEN_CUMULATIVE_CHECK({
+      medications: d.current_medications, liver_disease: d.liver_disease, alcohol_use: d.alcohol_use,
+      conditions: d.conditions, icd_codes: d.icd_codes, thresholds: ctx.thresholds.acetaminophen, trace: ctx.trace
+    })
   }
-  timing.renal = Date.now() - timing.renal;
-
-  // FUNCTION 2: TRIPLE WHAMMY (always run - checks internally)
-  timing.triple = Date.now();
-  try {
-    const result = TRIPLE_WHAMMY_CHECK({ medications: current_medications, active_illness, egfr });
-    all_alerts = all_alerts.concat(result.alerts.map(a => ({ ...a, source: "TRIPLE_WHAMMY" })));
-    function_results.triple = result.metadata;
-  } catch (err) {
-    all_alerts.push({ alert_code: ALERT_CODES.SYSTEM_FUNCTION_ERROR, severity: "HIGH", message: `Triple: ${err.message}`, source: "SYSTEM" });
+];
+
+const DEFAULT_REGISTRY = createCheckRegistry(BUILTIN_CHECKS);
+
+function medsWithInferred(medications, field) {
+  return medications.filter(m => m.provenance[field] === PROVENANCE.INFERRED).map(m => m.name);
+}
+
+/**
+ * Resolved name → entered names, for medications renamed by brand resolution or
+ * combination splitting
+ * @returns {Map<string, Array<{ display, ingredient }>>|null} null when nothing was renamed
+ */
+function displayNamesByResolved(medications) {
+  if (!medications.some(m => m.name !== m.display_name)) return null;
+  const names = new Map();
+  for (const med of medications) {
+    const entry = { display: med.display_name, ingredient: Boolean(med.combination) };
+    names.set(med.name, [...(names.get(med.name) || []), entry]);
   }
-  timing.triple = Date.now() - timing.triple;
-
-  // FUNCTION 3: OPIOID SAFETY (always run - checks internally)
-  timing.opioid = Date.now();
-  try {
-    const result = OPIOID_SAFETY_CHECK({ medications: current_medications, patient_age, egfr, opioid_naive, respiratory_disease });
-    all_alerts = all_alerts.concat(result.alerts.map(a => ({ ...a, source: "OPIOID" })));
-    function_results.opioid = result.metadata;
-  } catch (err) {
-    all_alerts.push({ alert_code: ALERT_CODES.SYSTEM_FUNCTION_ERROR, severity: "HIGH", message: `Opioid: ${err.message}`, source: "SYSTEM" });
+  return names;
+}
+
+/**
+ * Put entered names back on an alert's drug / drugs_involved, so display, alert identity,
+ * overrides and FHIR references use what the prescriber entered. When several entries
+ * resolved to the same name they are handed out in medication order. A combination
+ * product is listed once, with the ingredients that triggered the alert in `ingredients`.
+ */
+function withDisplayNames(alert, names) {
+  if (!names) return alert;
+  const remaining = new Map([...names].map(([name, list]) => [name, list.slice()]));
+  const ingredients = [];
+  const display = name => {
+    const list = remaining.get(name);
+    if (!list) return name;
+    const entry = list.length > 1 ? list.shift() : list[0];
+    if (entry.ingredient) ingredients.push(name);
+    return entry.display;
+  };
+
+  const renamed = { ...alert };
+  if (typeof alert.drug === "string") renamed.drug = display(alert.drug);
+  if (Array.isArray(alert.drugs_involved)) {
+    const products = new Set();
+    renamed.drugs_involved = alert.drugs_involved.reduce((out, drug) => {
+      if (typeof drug !== "string") return [...out, drug];
+      const before = ingredients.length;
+      const shown = display(drug);
+      if (ingredients.length > before) {
+        if (products.has(shown)) return out;
+        products.add(shown);
+      }
+      return [...out, shown];
+    }, []);
   }
-  timing.opioid = Date.now() - timing.opioid;
-
-  // FUNCTION 4: ANTITHROMBOTIC (always run - checks internally)
-  timing.antithromb = Date.now();
-  try {
-    const result = ANTITHROMBOTIC_COMBINATION_CHECK({
-      medications: current_medications, patient_age, egfr, weight_kg, atrial_fibrillation,
-      prior_gi_bleed, recent_pci_date, stent_type, liver_disease, hb_low,
-      on_chronic_nsaid: current_medications.some(m => ["NSAID", "COX2_inhibitor"].includes(m.class))
-    });
-    all_alerts = all_alerts.concat(result.alerts.map(a => ({ ...a, source: "ANTITHROMB" })));
-    function_results.antithromb = result.metadata;
-  } catch (err) {
-    all_alerts.push({ alert_code: ALERT_CODES.SYSTEM_FUNCTION_ERROR, severity: "HIGH", message: `Antithromb: ${err.message}`, source: "SYSTEM" });
+  if (ingredients.length > 0) renamed.ingredients = [...new Set(ingredients)];
+  return renamed;
+}
+
+/**
+ * Register a site-specific check on the default registry
+ * @param {Object} def - See utils/check_registry.js for the definition shape
+ */
+function registerCheck(def) {
+  return DEFAULT_REGISTRY.register(def);
+}
+
+/**
+ * @param {Object} patient_data - See README "Input Parameters"
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Throw InputValidationError on invalid input
+ * @param {string[]} [options.enable_checks] - Check ids to run even if registered disabled
+ * @param {string[]} [options.disable_checks] - Check ids to skip for this call
+ * @param {Object} [options.registry] - Registry from createCheckRegistry() (defaults to built-ins)
+ * @param {Object} [options.profile] - Site profile (see utils/site_profile.js); raw or from loadSiteProfile()
+ * @param {Object} [options.override_store] - Override store (see utils/override_store.js)
+ * @param {string} [options.patient_id] - Opaque patient key for override lookup (required with override_store)
+ * @param {boolean} [options.trace=false] - Record a rule evaluation trace; alerts get trace_ids
+ * @param {Function} [options.clock] - () => Date; evaluation date when patient_data.as_of is absent
+ */
+function MED_SAFETY_ENGINE(patient_data, options = {}) {
+  const registry = options.registry || DEFAULT_REGISTRY;
+  const profile = resolveSiteProfile(options.profile);
+  const toggles = {
+    enable: new Set(options.enable_checks || []),
+    disable: new Set([...profile.disabled_checks, ...(options.disable_checks || [])])
+  };
+  for (const id of [...toggles.enable, ...toggles.disable]) {
+    if (!registry.has(id)) throw new Error(`Unknown check id: ${id}`);
   }
-  timing.antithromb = Date.now() - timing.antithromb;
-
-  // FUNCTION 5: SEROTONIN (always run - checks internally)
-  timing.serotonin = Date.now();
-  try {
-    const result = SEROTONIN_SYNDROME_CHECK({ medications: current_medications, patient_age, egfr, liver_disease, recent_maoi_use });
-    all_alerts = all_alerts.concat(result.alerts.map(a => ({ ...a, source: "SEROTONIN" })));
-    function_results.serotonin = result.metadata;
-  } catch (err) {
-    all_alerts.push({ alert_code: ALERT_CODES.SYSTEM_FUNCTION_ERROR, severity: "HIGH", message: `Serotonin: ${err.message}`, source: "SYSTEM" });
+  if (options.override_store && !options.patient_id) {
+    throw new Error("options.patient_id is required with options.override_store");
   }
-  timing.serotonin = Date.now() - timing.serotonin;
-
-  // FUNCTION 6: BEERS (age >= 65)
-  timing.beers = Date.now();
-  if (patient_age >= 65) {
-    try {
-      const result = BEERS_CRITERIA_CHECK({ patient_age, medications: current_medications, conditions, icd_codes, egfr, ppi_duration_weeks });
-      all_alerts = all_alerts.concat(result.alerts.map(a => ({ ...a, source: "BEERS" })));
-      function_results.beers = result.metadata;
-    } catch (err) {
-      all_alerts.push({ alert_code: ALERT_CODES.SYSTEM_FUNCTION_ERROR, severity: "HIGH", message: `Beers: ${err.message}`, source: "SYSTEM" });
+
+  // RULE TRACE (opt-in; NULL_TRACER records nothing)
+  const rule_trace = options.trace ? createRuleTrace() : null;
+  const tracerFor = id => (rule_trace ? rule_trace.forCheck(id) : NULL_TRACER);
+  const validation_trace = tracerFor("validation");
+
+  // INPUT VALIDATION (coerces types/units; throws in strict mode)
+  const validation = validatePatientData(patient_data, { strict: options.strict });
+  const data = validation.data;
+
+  // EVALUATION DATE (patient_data.as_of > options.clock > system time)
+  const evaluation = resolveEvaluationDate(data.as_of, options.clock);
+
+  const validation_step = validation_trace.step("input_validation", {
+    inputs: { issues: validation.issues, coerced: validation.coerced },
+    branch: validation.valid ? "valid" : `${validation.issues.length} issue(s) → invalid entries dropped or defaulted`
+  });
+  let all_alerts = validation.alerts.map(a => validation_trace.link({ ...a, source: "VALIDATION" }, validation_step));
+
+  // MEDICATION ENRICHMENT (class / ATC / effects from utils/atc_lookup.js, with provenance)
+  const enrichment = enrichMedications(data.current_medications);
+  data.current_medications = enrichment.medications;
+  const display_names = displayNamesByResolved(enrichment.medications);
+  const input_skipped_rules = findSkippedRules(data); // inferred classes can bring rules into scope
+  const enrichment_step = validation_trace.step("medication_enrichment", {
+    inputs: {
+      inferred_class: medsWithInferred(enrichment.medications, "class"),
+      inferred_atc: medsWithInferred(enrichment.medications, "atc"),
+      brands_resolved: enrichment.medications
+        .filter(m => m.provenance.brand)
+        .map(m => ({ entered: m.display_name, generic: m.name })),
+      combinations_split: enrichment.medications
+        .filter(m => m.combination)
+        .map(m => ({ entered: m.display_name, ingredient: m.name }))
+    },
+    conflicts: enrichment.conflicts,
+    branch: enrichment.conflicts.length > 0
+      ? `${enrichment.conflicts.length} supplied class(es) differ from ATC → supplied class kept, alert`
+      : "no class conflicts"
+  });
+  for (const conflict of enrichment.conflicts) {
+    all_alerts.push(validation_trace.link({
+      alert_code: ALERT_CODES.VALIDATION_CLASS_CONFLICT,
+      drug: conflict.drug,
+      severity: "LOW",
+      message: `${conflict.drug}: supplied class ${conflict.supplied} differs from ATC class ${conflict.inferred} (${conflict.atc})`,
+      reason: "Class-based checks used the supplied class; a wrong class can hide or misfire alerts",
+      action: "Verify the medication class in the source system",
+      source: "VALIDATION"
+    }, enrichment_step));
+  }
+  const skip_steps = {}; // rule name → trace id, for missing-input alerts
+  const skipped_checks = [];
+  const function_results = {};
+  const timing = {};
+
+  // DISPATCH REGISTERED CHECKS
+  for (const check of registry.list()) {
+    timing[check.id] = Date.now();
+    const status = resolveCheckStatus(check, data, toggles);
+    const trace = tracerFor(check.id);
+    const dispatch_step = trace.step("dispatch", {
+      inputs: { requires: check.requires },
+      branch: status.run ? "run" : `skipped: ${status.reason}`,
+      missing: status.missing
+    });
+
+    if (!status.run) {
+      function_results[check.id] = { status: "skipped", source: check.source, reason: status.reason };
+      if (status.missing) {
+        function_results[check.id].missing = status.missing;
+        // Only a check that had something to evaluate reports its missing inputs
+        if (check.relevant(data)) {
+          skipped_checks.push({ rule: check.name, missing: status.missing });
+          skip_steps[check.name] = dispatch_step;
+        }
+      }
+    } else {
+      try {
+        const result = check.run(data, {
+          thresholds: profile.thresholds, profile, trace, as_of: evaluation.date, censored: validation.censored
+        });
+        all_alerts = all_alerts.concat(result.alerts.map(a => ({
+          ...withDisplayNames(a, display_names),
+          source: check.source,
+          ...(rule_trace && { trace_ids: [dispatch_step, ...(a.trace_ids || [])] })
+        })));
+        function_results[check.id] = { status: "ran", source: check.source, metadata: result.metadata };
+      } catch (err) {
+        all_alerts.push(trace.link({ alert_code: ALERT_CODES.SYSTEM_FUNCTION_ERROR, severity: "HIGH", message: `${check.label}: ${err.message}`, source: "SYSTEM" }, dispatch_step));
+        function_results[check.id] = { status: "error", source: check.source, error: err.message };
+      }
     }
+    timing[check.id] = Date.now() - timing[check.id];
   }
-  timing.beers = Date.now() - timing.beers;
 
-  // DEDUPLICATE
+  for (const rule of input_skipped_rules) {
+    skip_steps[rule.rule] = validation_trace.step("sub_rule_skipped", {
+      inputs: { rule: rule.rule, missing: rule.missing },
+      branch: "required input missing → criterion not evaluated"
+    });
+  }
+
+  const skipped_rules = [...skipped_checks, ...input_skipped_rules];
+  all_alerts = all_alerts.concat(buildMissingInputAlerts(skipped_rules).map(a =>
+    validation_trace.link({ ...a, source: "VALIDATION" }, ...a.skipped_rules.map(r => skip_steps[r]))));
+
+  // SITE PROFILE: suppress disabled rules, apply per-code severities
+  const profile_trace = tracerFor("profile");
+  const before_suppression = all_alerts.length;
+  all_alerts = all_alerts
+    .filter(a => {
+      if (!profile.disabled_rules.includes(a.alert_code)) return true;
+      profile_trace.step("disabled_rule", { inputs: { code: a.alert_code, profile: profile.name }, branch: "suppressed" });
+      return false;
+    })
+    .map(a => {
+      const severity = profile.severities[a.alert_code];
+      if (!severity || severity === a.severity) return a;
+      const step = profile_trace.step("severity_override", {
+        inputs: { code: a.alert_code, profile: profile.name }, branch: `${a.severity} → ${severity}`
+      });
+      return profile_trace.link({ ...a, severity, original_severity: a.severity }, step);
+    });
+  const suppressed_count = before_suppression - all_alerts.length;
+
+  // DEDUPLICATE (code + drug set; see utils/alert_identity.js)
   const seen = new Map();
   for (const alert of all_alerts) {
-    const key = `${alert.alert_code || ""}:${alert.drug || ""}`.toLowerCase();
-    if (!seen.has(key)) seen.set(key, alert);
+    const key = alertKey(alert);
+    if (!seen.has(key)) {
+      seen.set(key, alert);
+    } else if (alert.trace_ids) {
+      // Keep the first alert, but explain both evaluations that produced it
+      const kept = seen.get(key);
+      seen.set(key, { ...kept, trace_ids: [...new Set([...(kept.trace_ids || []), ...alert.trace_ids])] });
+    }
   }
   all_alerts = Array.from(seen.values());
 
+  // SAME FINDING FROM TWO CHECKS: keep the alert the other check actually emitted
+  const duplication_trace = tracerFor("duplication");
+  all_alerts = all_alerts.filter(alert => {
+    const covering_code = REPORTED_BY[alert.alert_code];
+    if (!covering_code) return true;
+    const drugs = alertDrugs(alert);
+    const covering = all_alerts.find(a => a.alert_code === covering_code && drugs.every(d => alertDrugs(a).includes(d)));
+    if (!covering) return true;
+    duplication_trace.step("reported_elsewhere", {
+      inputs: { code: alert.alert_code, drugs: alert.drugs_involved },
+      branch: `same drugs reported as ${covering_code} → dropped`
+    });
+    return false;
+  });
+
+  // CLINICIAN OVERRIDES (acknowledged unless escalated or drug set changed)
+  if (options.override_store) {
+    const override_trace = tracerFor("overrides");
+    all_alerts = applyOverrides(all_alerts, options.override_store.listForPatient(options.patient_id), evaluation.date)
+      .map(a => {
+        if (!a.acknowledged && !a.override_refired) return a;
+        const step = override_trace.step("override", {
+          inputs: { code: a.alert_code, override: a.override || a.override_refired.previous },
+          branch: a.acknowledged ? "active override → acknowledged" : `re-fired: ${a.override_refired.reason}`
+        });
+        return override_trace.link(a, step);
+      });
+  }
+
+  // CONFLICTING RECOMMENDATIONS (annotated per utils/recommendation_conflicts.js precedence)
+  all_alerts = resolveRecommendationConflicts(all_alerts, data.current_medications, {
+    pim_lookup: function_results.beers && function_results.beers.status === "ran" ? getPIMInfo : null,
+    trace: tracerFor("conflicts")
+  });
+
   // SORT BY SEVERITY
-  all_alerts.sort((a, b) => (SEVERITY_ORDER[a.severity] || 99) - (SEVERITY_ORDER[b.severity] || 99));
+  all_alerts.sort((a, b) => severityRank(a.severity) - severityRank(b.severity));
+
+  // ACTION PLAN (one disposition per medication, citing its alerts)
+  const action_plan = buildActionPlan(all_alerts, data.current_medications);
+
+  // MONITORING PLAN (labs and assessments the alerts ask for, earliest due first)
+  const monitoring_plan = buildMonitoringPlan(all_alerts, { as_of: evaluation.date });
 
   return {
     alert_count: all_alerts.length,
     critical_count: all_alerts.filter(a => a.severity === "CRITICAL").length,
     high_count: all_alerts.filter(a => a.severity === "HIGH").length,
-    has_blocking_alerts: all_alerts.some(a => a.severity === "CRITICAL"),
+    acknowledged_count: all_alerts.filter(a => a.acknowledged).length,
+    has_blocking_alerts: all_alerts.some(a => a.severity === "CRITICAL" && !a.acknowledged),
     alerts: all_alerts,
+    action_plan,
+    monitoring_plan,
     function_results,
-    timing
+    validation: {
+      valid: validation.valid,
+      issues: validation.issues,
+      coerced: validation.coerced,
+      censored: validation.censored,
+      skipped_rules,
+      class_conflicts: enrichment.conflicts
+    },
+    profile: { name: profile.name, hash: profile.hash, suppressed_count },
+    evaluation_date: evaluation.date.toISOString(),
+    evaluation_date_source: evaluation.source,
+    timing,
+    ...(rule_trace && { trace: { entries: rule_trace.entries } })
   };
 }
 
-module.exports = { MED_SAFETY_ENGINE };
\ No newline at end of file
+module.exports = {
+  MED_SAFETY_ENGINE,
+  BUILTIN_CHECKS,
+  registerCheck,
+  createCheckRegistry,
+  InputValidationError,
+  resolveSiteProfile,
+  loadSiteProfile,
+  SiteProfileError,
+  recordOverride,
+  createMemoryOverrideStore,
+  OVERRIDE_REASON_CODES,
+  OverrideError
+};
@@ -0,0 +1,79 @@
+// scripts/bench_drug_matcher.mjs
+// Compares the shared drug name matcher with per-list substring loops
+// (how the checks matched names before utils/drug_matcher.js). Writes nothing.
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+
+// Loading the checks registers their term lists on the shared matcher
+const { RENAL_DRUG_RULES } = require("../functions/01_renal_dosing.js");
+require("../functions/03_opioid_safety.js");
+require("../functions/04_antithrombotic.js");
+require("../functions/05_serotonin.js");
+const { DRUG_EFFECTS, ACB_SCORES } = require("../functions/06_beers.js");
+require("../functions/08_therapeutic_duplication.js");
+const { DRUG_MAPPINGS } = require("../utils/atc_lookup.js");
+const { DRUG_MATCHER } = require("../utils/drug_matcher.js");
+
+const MED_COUNT = Number(process.argv[2]) || 20000;
+const ROUNDS = 3;
+
+const LEGACY_TABLES = [DRUG_EFFECTS, ACB_SCORES, RENAL_DRUG_RULES, DRUG_MAPPINGS].map(Object.keys);
+
+// Exact key, then either name containing the other, for every table
+function legacyMatch(name) {
+  const lower = name.toLowerCase();
+  let hits = 0;
+  for (const keys of LEGACY_TABLES) {
+    for (const key of keys) {
+      if (lower === key || lower.includes(key) || key.includes(lower)) hits++;
+    }
+  }
+  return hits;
+}
+
+function matcherMatch(name) {
+  return DRUG_MATCHER.scan(name).length;
+}
+
+// Distinct, realistic order strings so the scan cache does not flatter the matcher
+function medicationNames(count, round = 0) {
+  const bases = [...new Set(LEGACY_TABLES.flat())];
+  const forms = ["tab", "cap", "ER tab", "oral solution", "inj"];
+  return Array.from({ length: count }, (_, i) => {
+    const base = bases[i % bases.length];
+    return `${base.toUpperCase()} ${(i % 400) + 1} mg ${forms[i % forms.length]} #${round}-${i}`;
+  });
+}
+
+// names: one list per round (or one list reused every round)
+function time(label, fn, rounds) {
+  let best = Infinity;
+  let hits = 0;
+  for (let r = 0; r < ROUNDS; r++) {
+    const names = Array.isArray(rounds[0]) ? rounds[r] : rounds;
+    const start = process.hrtime.bigint();
+    hits = 0;
+    for (const name of names) hits += fn(name);
+    best = Math.min(best, Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  console.log(`${label.padEnd(30)} ${best.toFixed(1).padStart(9)} ms  (${hits} hits)`);
+  return best;
+}
+
+const rounds = Array.from({ length: ROUNDS }, (_, r) => medicationNames(MED_COUNT, r));
+const repeated = rounds[0].slice(0, 1000);
+const legacy_terms = LEGACY_TABLES.reduce((n, keys) => n + keys.length, 0);
+
+console.log("═══════════════════════════════════════════════════════════════");
+console.log(`DRUG NAME MATCHING — ${MED_COUNT} medication names, best of ${ROUNDS}`);
+console.log(`Substring loops: ${legacy_terms} terms in ${LEGACY_TABLES.length} tables`);
+console.log(`Shared matcher:  ${DRUG_MATCHER.size} terms in one automaton (every list)`);
+console.log("═══════════════════════════════════════════════════════════════");
+
+const legacy = time("substring loops", legacyMatch, rounds);
+const matcher = time("shared matcher", matcherMatch, rounds);
+const cached = time("shared matcher (1000 repeats)", matcherMatch, repeated);
+
+console.log("───────────────────────────────────────────────────────────────");
+console.log(`Speed-up: ${(legacy / matcher).toFixed(1)}x (cold), ${(legacy / (cached * MED_COUNT / repeated.length)).toFixed(0)}x on repeated names`);
@@ -92,7 +92,7 @@ function emitJS(reg) {
   lines.push(`function isRegisteredAlertCode(x) {`);
   lines.push(`  return typeof x === "string" && Object.prototype.hasOwnProperty.call(ALERT_CODE_META, x);`);
   lines.push(`}\n`);
-  lines.push(`module.exports = { ALERT_CODES, ALERT_CODE_META, isRegisteredAlertCode };`);
+  lines.push(`module.exports = { ALERT_CODES, ALERT_CODE_META, isRegisteredAlertCode };\n`);
   return lines.join("\n");
 }
 
@@ -0,0 +1,202 @@
+/**
+ * MEDICATION ACTION PLAN
+ * One recommended disposition per medication, built from every alert that names it
+ *
+ * - Each alert asks something of the drugs it names (ALERT_DISPOSITIONS, else the
+ *   wording of its action); a drug's disposition is the most decisive request,
+ *   in DISPOSITION_PRECEDENCE order. Drugs no alert names are "continue"
+ * - `target_classes` aims an alert at some of its drugs (the NSAID in a triple whammy);
+ *   the other drugs it names are asked to "monitor"
+ * - `one_of` alerts (dual RAAS, duplications) ask for one of several drugs to go; the
+ *   choice is the clinician's, so each drug is "monitor" with decision_needed
+ * - Alerts without a drug attach to medications of `applies_to_classes`, else they are
+ *   listed under `general`
+ * - Acknowledged alerts, and alerts whose discouragement lost a recommendation conflict
+ *   (utils/recommendation_conflicts.js), are cited but do not change the disposition
+ */
+
+const { ALERT_CODES, ALERT_CODE_META } = require("../constants/alert_codes.js");
+const { alertKey } = require("./alert_identity.js");
+const { severityRank } = require("../constants/severity.js");
+
+const DISPOSITION = Object.freeze({
+  STOP: "stop",
+  SUBSTITUTE: "substitute",
+  REDUCE: "reduce",
+  MONITOR: "monitor",
+  CONTINUE: "continue"
+});
+
+// Most decisive first
+const DISPOSITION_PRECEDENCE = [
+  DISPOSITION.STOP, DISPOSITION.SUBSTITUTE, DISPOSITION.REDUCE, DISPOSITION.MONITOR, DISPOSITION.CONTINUE
+];
+
+const NSAID_CLASSES = ["NSAID", "COX2_inhibitor"];
+const OPIOID_CLASSES = ["opioid", "opioid_long_acting"];
+const ANTITHROMBOTIC_CLASSES = [
+  "anticoagulant_DOAC", "anticoagulant_warfarin", "antiplatelet_aspirin", "antiplatelet_P2Y12", "antiplatelet_other"
+];
+
+// alert_code → what the alert asks of the drugs it names
+// (THERAPEUTIC_DUPLICATION codes are all one_of)
+const ALERT_DISPOSITIONS = {
+  RENAL_NSAID_AVOID: { disposition: DISPOSITION.SUBSTITUTE },
+  RENAL_GLYBURIDE_AVOID: { disposition: DISPOSITION.SUBSTITUTE },
+  RENAL_NITROFURANTOIN_AVOID: { disposition: DISPOSITION.SUBSTITUTE },
+
+  TRIPLE_WHAMMY_PRESENT: { disposition: DISPOSITION.STOP, target_classes: NSAID_CLASSES },
+  TRIPLE_WHAMMY_NSAID_CKD: { disposition: DISPOSITION.SUBSTITUTE },
+  TRIPLE_WHAMMY_VOLUME_DEPLETION: { disposition: DISPOSITION.STOP },   // hold while ill
+  DUAL_RAAS_ACE_ARB: { one_of: true },
+  DUAL_RAAS_ARNI_OVERLAP: { disposition: DISPOSITION.STOP, target_classes: ["ACE_inhibitor", "ARB"] },
+
+  ANTITHROMB_TRIPLE_THERAPY: { disposition: DISPOSITION.STOP, target_classes: ["antiplatelet_aspirin"] },
+  ANTITHROMB_DUAL_ANTICOAG: { one_of: true },
+  ANTITHROMB_HIGH_BLEED_RISK: { disposition: DISPOSITION.MONITOR, applies_to_classes: ANTITHROMBOTIC_CLASSES },
+  ANTITHROMB_NO_INDICATION: { disposition: DISPOSITION.MONITOR },
+
+  OPIOID_BENZO_COMBINATION: { disposition: DISPOSITION.REDUCE },
+  OPIOID_CNS_POLYPHARMACY: { disposition: DISPOSITION.REDUCE },
+  OPIOID_HIGH_MME: { disposition: DISPOSITION.REDUCE, applies_to_classes: OPIOID_CLASSES },
+  OPIOID_NALOXONE_NEEDED: { disposition: DISPOSITION.CONTINUE },       // add naloxone; opioid unchanged
+  OPIOID_ER_NAIVE: { disposition: DISPOSITION.SUBSTITUTE },
+
+  SEROTONIN_MAOI_COMBINATION: { one_of: true },
+  SEROTONIN_WASHOUT_VIOLATION: { disposition: DISPOSITION.STOP },
+  SEROTONIN_HIGH_RISK: { disposition: DISPOSITION.REDUCE },
+  SEROTONIN_MODERATE_RISK: { disposition: DISPOSITION.MONITOR },
+
+  BEERS_DISEASE_INTERACTION: { disposition: DISPOSITION.SUBSTITUTE },
+  BEERS_ACB_HIGH: { disposition: DISPOSITION.REDUCE },
+  BEERS_CNS_POLYPHARMACY: { disposition: DISPOSITION.REDUCE },
+  BEERS_PPI_LONG_TERM: { disposition: DISPOSITION.REDUCE, applies_to_classes: ["PPI"] },
+
+  ACETAMINOPHEN_DAILY_MAX: { disposition: DISPOSITION.REDUCE }
+};
+
+// Renal threshold actions (alert.renal_action) → disposition
+const RENAL_ACTIONS = {
+  CONTRAINDICATED: DISPOSITION.STOP,
+  AVOID: DISPOSITION.STOP,
+  REDUCE: DISPOSITION.REDUCE,
+  CAUTION: DISPOSITION.MONITOR
+};
+
+// Alerts about the input, not the medications
+const NON_CLINICAL_SOURCES = ["VALIDATION", "SYSTEM"];
+
+/**
+ * What one alert asks of the drugs it names
+ * @param {Object} alert
+ * @returns {{ disposition: string, target_classes?: string[], one_of?: boolean }}
+ */
+function alertDisposition(alert) {
+  if (alert.renal_action && !ALERT_DISPOSITIONS[alert.alert_code]) {
+    // A REDUCE threshold the current dose already meets only needs monitoring
+    const within_max = alert.current_daily_mg !== undefined && alert.current_daily_mg <= alert.max_daily_mg;
+    return { disposition: within_max ? DISPOSITION.MONITOR : RENAL_ACTIONS[alert.renal_action] || DISPOSITION.MONITOR };
+  }
+  if (alert.alert_code === ALERT_CODES.BEERS_PIM_TABLE1) {
+    return { disposition: alert.severity === "HIGH" || /^avoid/i.test(alert.action || "") ? DISPOSITION.SUBSTITUTE : DISPOSITION.MONITOR };
+  }
+  if (alert.alert_code === ALERT_CODES.ANTITHROMB_DOAC_DOSE_CHECK) {
+    return { disposition: /^switch/i.test(alert.action || "") ? DISPOSITION.SUBSTITUTE : DISPOSITION.REDUCE };
+  }
+  const meta = ALERT_CODE_META[alert.alert_code];
+  const rule = ALERT_DISPOSITIONS[alert.alert_code]
+    || (meta && meta.domain === "THERAPEUTIC_DUPLICATION" ? { one_of: true } : null);
+  if (rule) return rule.one_of ? { disposition: DISPOSITION.MONITOR, one_of: true } : rule;
+  return { disposition: dispositionFromText(alert.action) };
+}
+
+/**
+ * Fallback for codes without a rule (custom checks): the action's wording
+ * @param {string} [action]
+ * @returns {string} DISPOSITION value
+ */
+function dispositionFromText(action) {
+  const text = String(action || "").toLowerCase();
+  if (/\b(stop|discontinue|hold|contraindicated)\b/.test(text)) return DISPOSITION.STOP;
+  if (/\b(switch|substitute|instead|alternative)\b/.test(text)) return DISPOSITION.SUBSTITUTE;
+  if (/\b(reduce|lower|taper|decrease)\b/.test(text)) return DISPOSITION.REDUCE;
+  return DISPOSITION.MONITOR;
+}
+
+function moreDecisive(a, b) {
+  return DISPOSITION_PRECEDENCE.indexOf(a) < DISPOSITION_PRECEDENCE.indexOf(b) ? a : b;
+}
+
+/**
+ * Build the plan from the engine's final (sorted, override-annotated) alerts
+ * @param {Array} alerts
+ * @param {Array} medications - Enriched current_medications ({ name, display_name, class })
+ * @returns {{ medications: Array<{ drug, disposition, highest_severity, decision_needed, alerts }>,
+ *             general: Array<{ alert_code, alert_key, severity, action }> }}
+ *   medications: one entry per entered medication, most decisive disposition first
+ */
+function buildActionPlan(alerts, medications) {
+  const plan = new Map(); // entered name → entry, in medication order
+  const classes = new Map(); // entered name → classes of the medication (all ingredients)
+  for (const med of medications) {
+    const drug = med.display_name || med.name;
+    if (!plan.has(drug)) {
+      plan.set(drug, { drug, disposition: DISPOSITION.CONTINUE, highest_severity: null, decision_needed: false, alerts: [] });
+      classes.set(drug, new Set());
+    }
+    if (med.class) classes.get(drug).add(med.class);
+  }
+  const hasClass = (drug, list) => list.some(c => classes.get(drug).has(c));
+  const general = [];
+
+  for (const alert of alerts) {
+    if (NON_CLINICAL_SOURCES.includes(alert.source)) continue;
+    const rule = alertDisposition(alert);
+    let named = (alert.drug ? [alert.drug] : alert.drugs_involved || []).filter(d => plan.has(d));
+    if (named.length === 0 && !alert.drug && !alert.drugs_involved && rule.applies_to_classes) {
+      named = [...plan.keys()].filter(d => hasClass(d, rule.applies_to_classes));
+    }
+    const citation = { alert_code: alert.alert_code, alert_key: alertKey(alert), severity: alert.severity, action: alert.action || null };
+    if (named.length === 0) {
+      general.push(citation);
+      continue;
+    }
+
+    const superseded = (alert.conflicts || []).some(c => c.stance === "discourage" && c.resolution === "superseded");
+    const settled = Boolean(alert.acknowledged) || superseded;
+    const targeted = rule.target_classes ? named.filter(d => hasClass(d, rule.target_classes)) : named;
+    for (const drug of new Set(named)) {
+      const entry = plan.get(drug);
+      const asked = targeted.includes(drug) || targeted.length === 0 ? rule.disposition : DISPOSITION.MONITOR;
+      const others = rule.one_of ? named.filter(d => d !== drug) : null;
+      entry.alerts.push({
+        ...citation,
+        disposition: asked,
+        ...(others && { choose_one_of: [drug, ...others] }),
+        ...(alert.acknowledged && { acknowledged: true }),
+        ...(superseded && { superseded: true })
+      });
+      if (rule.one_of && !settled) entry.decision_needed = true;
+      if (settled) continue;
+      entry.disposition = moreDecisive(asked, entry.disposition);
+      if (!entry.highest_severity || severityRank(alert.severity) < severityRank(entry.highest_severity)) {
+        entry.highest_severity = alert.severity;
+      }
+    }
+  }
+
+  const order = [...plan.keys()];
+  const entries = [...plan.values()].sort((a, b) =>
+    DISPOSITION_PRECEDENCE.indexOf(a.disposition) - DISPOSITION_PRECEDENCE.indexOf(b.disposition)
+    || severityRank(a.highest_severity) - severityRank(b.highest_severity)
+    || order.indexOf(a.drug) - order.indexOf(b.drug));
+  return { medications: entries, general };
+}
+
+module.exports = {
+  DISPOSITION,
+  DISPOSITION_PRECEDENCE,
+  ALERT_DISPOSITIONS,
+  buildActionPlan,
+  alertDisposition
+};
@@ -0,0 +1,111 @@
+/**
+ * ALERT IDENTITY
+ * Stable identity for engine alerts, independent of message text and ordering
+ *
+ * Identity = alert_code + normalized drug set (alert.drug or alert.drugs_involved)
+ * Used for deduplication and for diffing two engine runs (what-if, reconciliation)
+ */
+
+const { isMoreSevere } = require("../constants/severity.js");
+
+/**
+ * Normalized, sorted, de-duplicated drug names an alert refers to
+ * @param {Object} alert
+ * @returns {string[]}
+ */
+function alertDrugs(alert) {
+  const raw = alert.drug ? [alert.drug] : (alert.drugs_involved || []);
+  const names = raw.filter(Boolean).map(d => String(d).toLowerCase().trim());
+  return [...new Set(names)].sort();
+}
+
+/**
+ * @param {Object} alert
+ * @returns {string} e.g. "serotonin_moderate_risk:sertraline,tramadol"
+ */
+function alertKey(alert) {
+  return `${alert.alert_code || ""}:${alertDrugs(alert).join(",")}`.toLowerCase();
+}
+
+/**
+ * Loose identity: same code, and one drug set contains the other
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function sameAlertFamily(a, b) {
+  if (a.alert_code !== b.alert_code) return false;
+  const da = alertDrugs(a);
+  const db = alertDrugs(b);
+  return da.every(d => db.includes(d)) || db.every(d => da.includes(d));
+}
+
+/**
+ * Find the alert in `list` that corresponds to `alert` (exact identity first, then loose)
+ * @param {Array} list
+ * @param {Object} alert
+ * @returns {Object|null}
+ */
+function findMatchingAlert(list, alert) {
+  const key = alertKey(alert);
+  return list.find(a => alertKey(a) === key) || list.find(a => sameAlertFamily(a, alert)) || null;
+}
+
+/**
+ * Diff two alert lists by identity
+ *
+ * Matching is two-pass:
+ * 1. Exact identity (same code, same drug set)
+ * 2. Same code where one drug set contains the other (a combination alert that
+ *    gained or lost a member, e.g. CNS polypharmacy 3 → 4 drugs)
+ *
+ * @param {Array} before - alerts from the reference run
+ * @param {Array} after - alerts from the comparison run
+ * @returns {{ new_alerts: Array, escalated_alerts: Array, resolved_alerts: Array, unchanged_alerts: Array }}
+ */
+function diffAlerts(before, after) {
+  const unmatched_before = before.slice();
+  const pairs = [];
+  const unmatched_after = [];
+
+  for (const alert of after) {
+    const key = alertKey(alert);
+    const idx = unmatched_before.findIndex(b => alertKey(b) === key);
+    if (idx >= 0) {
+      pairs.push([unmatched_before[idx], alert]);
+      unmatched_before.splice(idx, 1);
+    } else {
+      unmatched_after.push(alert);
+    }
+  }
+
+  const new_alerts = [];
+  for (const alert of unmatched_after) {
+    const idx = unmatched_before.findIndex(b => sameAlertFamily(b, alert));
+    if (idx >= 0) {
+      pairs.push([unmatched_before[idx], alert]);
+      unmatched_before.splice(idx, 1);
+    } else {
+      new_alerts.push(alert);
+    }
+  }
+
+  const escalated_alerts = [];
+  const unchanged_alerts = [];
+  for (const [prev, curr] of pairs) {
+    if (isMoreSevere(curr.severity, prev.severity)) {
+      escalated_alerts.push({ ...curr, previous_severity: prev.severity });
+    } else {
+      unchanged_alerts.push(curr);
+    }
+  }
+
+  return {
+    new_alerts,
+    escalated_alerts,
+    resolved_alerts: unmatched_before,
+    unchanged_alerts
+  };
+}
+
+module.exports = { alertDrugs, alertKey, sameAlertFamily, findMatchingAlert, diffAlerts };
@@ -5,8 +5,8 @@
  * 485 drugs mapped with: ATC code, class, pharmacological effects
  */
 
-const path = require('path');
 const DRUG_MAPPINGS = require('../data/drug_mappings.json');
+const { defineDrugTerms } = require('./drug_matcher.js');
 
 // Build reverse lookup for faster access
 const DRUG_LOOKUP = {};
@@ -14,6 +14,27 @@ for (const [drugName, info] of Object.entries(DRUG_MAPPINGS)) {
   DRUG_LOOKUP[drugName.toLowerCase()] = info;
 }
 
+// Salt/ester words dropped to give an alias ("dabigatran etexilate" is also "dabigatran")
+const SALT_SUFFIXES = ['etexilate', 'medoxomil', 'tosilate', 'mesilate', 'maleate', 'hydrochloride', 'sodium', 'calcium'];
+const SALT_ALIASES = {};
+for (const [drugName, info] of Object.entries(DRUG_LOOKUP)) {
+  const words = drugName.split(' ');
+  if (words.length > 1 && SALT_SUFFIXES.includes(words[words.length - 1])) {
+    const base = words.slice(0, -1).join(' ');
+    if (!DRUG_LOOKUP[base]) SALT_ALIASES[base] = info;
+  }
+}
+// WHO combination entries ("codeine, combinations excl. psycholeptics") also answer to the
+// bare drug name when it has no entry of its own; the first such entry wins
+const COMBINATION_ALIASES = {};
+for (const [drugName, info] of Object.entries(DRUG_LOOKUP)) {
+  const base = drugName.split(',')[0].trim();
+  if (base !== drugName && !DRUG_LOOKUP[base] && !SALT_ALIASES[base] && !COMBINATION_ALIASES[base]) {
+    COMBINATION_ALIASES[base] = info;
+  }
+}
+const DRUG_TERMS = defineDrugTerms('atc.drug_mappings', { ...DRUG_LOOKUP, ...SALT_ALIASES, ...COMBINATION_ALIASES });
+
 /**
  * Look up drug by name
  * @param {string} drugName 
@@ -29,14 +50,9 @@ function lookupDrug(drugName) {
     return DRUG_LOOKUP[name];
   }
   
-  // Partial match (drug name might have dosage info)
-  for (const [drug, info] of Object.entries(DRUG_LOOKUP)) {
-    if (name.includes(drug) || drug.includes(name)) {
-      return info;
-    }
-  }
-  
-  return null;
+  // Leftmost, longest mapped name on word boundaries (drug name might have dosage info)
+  const hit = DRUG_TERMS.first(name);
+  return hit ? hit.value : null;
 }
 
 /**
@@ -0,0 +1,34 @@
+/**
+ * BRAND → GENERIC RESOLUTION
+ * Uses the local dictionary data/brand_generic.json (lowercase brand → generic)
+ *
+ * The brand word is replaced in place, so strength, form and release markers survive:
+ * "Lyrica 75mg capsule" → "pregabalin 75mg capsule", "Toprol XL 50" → "metoprolol XL 50".
+ * Generics that carry a release form ("oxycontin" → "oxycodone ER") keep the checks'
+ * extended-release detection working.
+ */
+
+const BRAND_GENERIC = require("../data/brand_generic.json");
+const { defineDrugTerms, rawTermPattern } = require("./drug_matcher.js");
+
+const BRAND_TERMS = defineDrugTerms("brand.generic", BRAND_GENERIC);
+
+/**
+ * @param {string} name - Medication name as entered
+ * @returns {{ name: string, brand: string|null, generic: string|null }}
+ *   name: the name with its brand replaced by the generic (unchanged if no brand)
+ */
+function resolveGenericName(name) {
+  const hit = BRAND_TERMS.first(name);
+  if (!hit) return { name, brand: null, generic: null };
+  return {
+    name: String(name).replace(rawTermPattern(hit.term), hit.value),
+    brand: hit.term,
+    generic: hit.value
+  };
+}
+
+module.exports = {
+  BRAND_GENERIC,
+  resolveGenericName
+};
@@ -0,0 +1,99 @@
+/**
+ * CHECK REGISTRY
+ * Pluggable registry of safety checks dispatched by MED_SAFETY_ENGINE
+ *
+ * Each check declares:
+ * - id:        unique key (used in function_results, timing, enable/disable)
+ * - name:      rule name reported when skipped (defaults to id)
+ * - source:    tag stamped on every alert it returns
+ * - requires:  patient_data fields that must be non-null for the check to run
+ * - applies:   (data) => boolean applicability predicate (optional)
+ * - relevant:  (data) => boolean, judged without the required inputs: whether a missing input
+ *              is worth reporting (optional; e.g. no renally dosed drug → no missing-eGFR alert)
+ * - run:       (data, context) => { alerts, metadata }
+ *              context = { thresholds, profile, trace, as_of, censored } (see utils/site_profile.js,
+ *              utils/rule_trace.js, utils/clock.js; censored from utils/input_validation.js)
+ * - default_enabled: false to register a check that runs only when enabled per call
+ */
+
+/**
+ * Validate a check definition
+ * @param {Object} def
+ * @returns {Object} normalized definition
+ */
+function normalizeCheck(def) {
+  if (!def || typeof def !== "object") throw new Error("Check definition must be an object");
+  if (typeof def.id !== "string" || !def.id.trim()) throw new Error("Check definition needs a string id");
+  if (typeof def.run !== "function") throw new Error(`Check "${def.id}" needs a run(data) function`);
+  if (def.applies !== undefined && typeof def.applies !== "function") {
+    throw new Error(`Check "${def.id}": applies must be a function`);
+  }
+  if (def.relevant !== undefined && typeof def.relevant !== "function") {
+    throw new Error(`Check "${def.id}": relevant must be a function`);
+  }
+
+  return {
+    id: def.id,
+    name: def.name || def.id,
+    label: def.label || def.id,
+    source: def.source || def.id.toUpperCase(),
+    requires: Array.isArray(def.requires) ? def.requires.slice() : [],
+    applies: def.applies || (() => true),
+    relevant: def.relevant || (() => true),
+    run: def.run,
+    default_enabled: def.default_enabled !== false
+  };
+}
+
+/**
+ * Create a check registry
+ * @param {Array} definitions - Initial check definitions, run in registration order
+ * @returns {{ register: Function, unregister: Function, get: Function, list: Function, has: Function }}
+ */
+function createCheckRegistry(definitions = []) {
+  const checks = new Map();
+
+  function register(def) {
+    const check = normalizeCheck(def);
+    if (checks.has(check.id)) throw new Error(`Check "${check.id}" is already registered`);
+    checks.set(check.id, check);
+    return check;
+  }
+
+  function unregister(id) {
+    return checks.delete(id);
+  }
+
+  for (const def of definitions) register(def);
+
+  return {
+    register,
+    unregister,
+    get: id => checks.get(id) || null,
+    has: id => checks.has(id),
+    list: () => Array.from(checks.values())
+  };
+}
+
+/**
+ * Decide whether a check runs for this call
+ * @param {Object} check - normalized definition
+ * @param {Object} data - validated patient data
+ * @param {{ enable: Set, disable: Set }} toggles
+ * @returns {{ run: boolean, reason?: string, missing?: string[] }}
+ */
+function resolveCheckStatus(check, data, toggles) {
+  if (toggles.disable.has(check.id)) return { run: false, reason: "disabled" };
+  if (!check.default_enabled && !toggles.enable.has(check.id)) return { run: false, reason: "disabled" };
+
+  const missing = check.requires.filter(f => data[f] === null || data[f] === undefined);
+  if (missing.length > 0) return { run: false, reason: "missing_input", missing };
+
+  if (!check.applies(data)) return { run: false, reason: "not_applicable" };
+  return { run: true };
+}
+
+module.exports = {
+  createCheckRegistry,
+  resolveCheckStatus
+};
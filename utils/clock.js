@@ -0,0 +1,45 @@
+/**
+ * EVALUATION CLOCK
+ * Single source of "today" for every time-dependent rule (PCI window, MAOI washout,
+ * override expiry), so a historical encounter re-evaluates identically
+ *
+ * Precedence:
+ * 1. patient_data.as_of   - evaluation date recorded with the encounter
+ * 2. options.clock()      - injectable clock (tests, replay tooling)
+ * 3. system time
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * @param {string|Date|null} as_of - Validated patient_data.as_of
+ * @param {Function} [clock] - () => Date | ISO string
+ * @returns {{ date: Date, source: "patient_data"|"clock"|"system" }}
+ */
+function resolveEvaluationDate(as_of, clock) {
+  if (as_of) return { date: new Date(as_of), source: "patient_data" };
+
+  if (clock !== undefined) {
+    if (typeof clock !== "function") throw new Error("options.clock must be a function returning a Date");
+    const date = new Date(clock());
+    if (Number.isNaN(date.getTime())) throw new Error("options.clock returned an invalid date");
+    return { date, source: "clock" };
+  }
+
+  return { date: new Date(), source: "system" };
+}
+
+/**
+ * Whole days from dateStr to as_of (negative if dateStr is after as_of)
+ * @param {string|Date|null} dateStr
+ * @param {Date} [as_of] - Evaluation date (defaults to system time for direct callers)
+ * @returns {number|null}
+ */
+function daysSince(dateStr, as_of = new Date()) {
+  if (!dateStr) return null;
+  const then = new Date(dateStr);
+  if (Number.isNaN(then.getTime())) return null;
+  return Math.floor((new Date(as_of) - then) / MS_PER_DAY);
+}
+
+module.exports = { resolveEvaluationDate, daysSince };
@@ -0,0 +1,88 @@
+/**
+ * COMBINATION PRODUCTS
+ * Splits a fixed-dose combination into one medication per ingredient, so each check
+ * sees the ingredient it knows ("losartan-HCTZ" → losartan + hydrochlorothiazide)
+ *
+ * - Products and ingredient abbreviations: data/combination_products.json
+ * - Ingredients may be written in either order, joined by "/", "-", "+" or a space;
+ *   brands are resolved before this runs ("Percocet" → "oxycodone/acetaminophen")
+ * - Strengths are split by position: "5/325 mg" → hydrocodone 5 mg, acetaminophen 325 mg.
+ *   A strength that cannot be split stays with the first ingredient (as the dose parser
+ *   reads it); the other ingredients get no dose or sig
+ * - ingredient_class gives an ingredient the class it has inside the product
+ *   (valsartan in sacubitril/valsartan is "ARNI")
+ */
+
+const COMBINATIONS = require("../data/combination_products.json");
+const { defineDrugTerms, rawTermPattern } = require("./drug_matcher.js");
+const { splitCombinationStrength } = require("./medication_parser.js");
+
+// Fields that describe the product as a whole; not copied to ingredients
+const PRODUCT_FIELDS = ["class", "atc", "effects"];
+const DOSE_FIELDS = ["dose", "sig"];
+
+function spellings(ingredient) {
+  const aliases = Object.keys(COMBINATIONS.ingredient_aliases)
+    .filter(alias => COMBINATIONS.ingredient_aliases[alias] === ingredient);
+  return [ingredient, ...aliases];
+}
+
+// Every spelling of every product, both orders → { product, written: ingredients as written }
+function productTerms() {
+  const terms = {};
+  for (const product of Object.keys(COMBINATIONS.products)) {
+    const ingredients = product.split("/");
+    for (const written of [ingredients, ingredients.slice().reverse()]) {
+      let spelled = [[]];
+      for (const ingredient of written) {
+        spelled = spelled.flatMap(words => spellings(ingredient).map(s => [...words, s]));
+      }
+      for (const words of spelled) terms[words.join(" ")] = { product, written };
+    }
+  }
+  return terms;
+}
+
+const PRODUCT_TERMS = defineDrugTerms("combination.products", productTerms());
+
+/**
+ * @param {Object} med - Medication with brands already resolved
+ * @returns {Array|null} one medication per ingredient, in written order, each with
+ *   combination: { product, ingredient, ingredient_class, strength_split }; null if
+ *   the name is not a known combination
+ */
+function splitCombination(med) {
+  const hit = PRODUCT_TERMS.first(med.name);
+  if (!hit) return null;
+  const { product, written } = hit.value;
+  const { ingredient_class = {} } = COMBINATIONS.products[product];
+  const span = rawTermPattern(hit.term);
+
+  const name_parts = splitCombinationStrength(med.name, written.length);
+  const dose_parts = {};
+  for (const field of DOSE_FIELDS) {
+    if (typeof med[field] === "string") dose_parts[field] = splitCombinationStrength(med[field], written.length);
+  }
+  const strength_split = name_parts !== null || Object.values(dose_parts).some(parts => parts !== null);
+
+  return written.map((ingredient, i) => {
+    const component = { ...med, name: (name_parts ? name_parts[i] : med.name).replace(span, ingredient) };
+    for (const field of PRODUCT_FIELDS) delete component[field];
+    for (const [field, parts] of Object.entries(dose_parts)) {
+      if (parts) component[field] = parts[i];
+      else if (!strength_split && i > 0) delete component[field];
+    }
+    component.combination = {
+      product,
+      ingredient,
+      ingredient_class: ingredient_class[ingredient] || null,
+      strength_split
+    };
+    return component;
+  });
+}
+
+module.exports = {
+  COMBINATIONS,
+  splitCombination
+};
@@ -0,0 +1,228 @@
+/**
+ * DRUG NAME MATCHER
+ * One compiled Aho-Corasick automaton over every drug-name list the checks use
+ *
+ * - Modules register named term lists with defineDrugTerms(); all lists share one
+ *   automaton (rebuilt lazily after a registration), so a medication name is scanned
+ *   once and the hits for every list come out of the same pass
+ * - Names and terms are normalized: lowercase, and any run of characters other than
+ *   letters and digits becomes one space ("Methylene_Blue" = "methylene-blue")
+ * - Hits must sit on word boundaries: a term cannot start or end inside a run of
+ *   letters, so "iron" does not match "spironolactone" ("oxycodone10mg" still matches).
+ *   A leading "*" marks a stem that may be preceded by letters ("*triptan" matches
+ *   "sumatriptan"); a trailing "*" one that may be followed by letters
+ */
+
+// Scan results per normalized name; cleared when full or when lists change
+const SCAN_CACHE_LIMIT = 5000;
+
+function isLetter(ch) {
+  return ch >= "a" && ch <= "z";
+}
+
+/**
+ * @param {*} text
+ * @returns {string} lowercase, punctuation/underscores collapsed to single spaces
+ */
+function normalizeDrugText(text) {
+  return String(text === undefined || text === null ? "" : text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Pattern that finds a term in un-normalized text, with the matcher's word boundaries
+ * ("ms contin" finds "MS-Contin"), for rewriting a name around a hit
+ * @param {string} raw - Term as registered
+ * @returns {RegExp} case-insensitive, first occurrence
+ */
+function rawTermPattern(raw) {
+  const { pattern, open_start, open_end } = parseTerm(raw);
+  const before = !open_start && isLetter(pattern[0]) ? "(?<![a-z])" : "";
+  const after = !open_end && isLetter(pattern[pattern.length - 1]) ? "(?![a-z])" : "";
+  return new RegExp(`${before}${pattern.split(" ").join("[^a-z0-9]+")}${after}`, "i");
+}
+
+function parseTerm(raw) {
+  const term = String(raw);
+  return {
+    pattern: normalizeDrugText(term),
+    open_start: term.startsWith("*"),
+    open_end: term.endsWith("*")
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// AUTOMATON
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Aho-Corasick goto/fail/output tables over term patterns
+ * @param {Array<{ pattern: string }>} terms
+ */
+function compileAutomaton(terms) {
+  const next = [new Map()];
+  const fail = [0];
+  const out = [[]];
+
+  terms.forEach((term, id) => {
+    let state = 0;
+    for (const ch of term.pattern) {
+      let to = next[state].get(ch);
+      if (to === undefined) {
+        to = next.length;
+        next.push(new Map());
+        fail.push(0);
+        out.push([]);
+        next[state].set(ch, to);
+      }
+      state = to;
+    }
+    out[state].push(id);
+  });
+
+  // Breadth-first: fail links point at the longest proper suffix that is also a prefix
+  const queue = [...next[0].values()];
+  for (let q = 0; q < queue.length; q++) {
+    const state = queue[q];
+    for (const [ch, to] of next[state]) {
+      queue.push(to);
+      let f = fail[state];
+      while (f !== 0 && !next[f].has(ch)) f = fail[f];
+      const target = next[f].get(ch);
+      fail[to] = target !== undefined && target !== to ? target : 0;
+      if (out[fail[to]].length > 0) out[to] = out[to].concat(out[fail[to]]);
+    }
+  }
+
+  return { next, fail, out };
+}
+
+function onBoundary(text, start, end, term) {
+  if (!term.open_start && start > 0 && isLetter(text[start - 1]) && isLetter(text[start])) return false;
+  if (!term.open_end && end < text.length && isLetter(text[end]) && isLetter(text[end - 1])) return false;
+  return true;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SHARED DICTIONARY
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @returns {Object} matcher: { define, scan, size }
+ */
+function createDrugMatcher() {
+  const lists = new Map(); // list name → [{ raw, pattern, open_start, open_end, value }]
+  let terms = null;        // flattened, with list name; null = needs compiling
+  let automaton = null;
+  const cache = new Map();
+
+  function compile() {
+    terms = [];
+    for (const [list, entries] of lists) {
+      for (const entry of entries) terms.push({ ...entry, list });
+    }
+    automaton = compileAutomaton(terms);
+    cache.clear();
+  }
+
+  /**
+   * All boundary-valid hits in a name, every list, in text order
+   * (longer terms first at the same start, then registration order)
+   * @param {string} name
+   * @returns {Array<{ list, term, value, start, end }>}
+   */
+  function scan(name) {
+    if (!terms) compile();
+    const text = normalizeDrugText(name);
+    if (cache.has(text)) return cache.get(text);
+
+    const hits = [];
+    const { next, fail, out } = automaton;
+    let state = 0;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      while (state !== 0 && !next[state].has(ch)) state = fail[state];
+      state = next[state].get(ch) || 0;
+      for (const id of out[state]) {
+        const term = terms[id];
+        const start = i + 1 - term.pattern.length;
+        if (onBoundary(text, start, i + 1, term)) {
+          hits.push({ list: term.list, term: term.raw, value: term.value, start, end: i + 1, order: id });
+        }
+      }
+    }
+    hits.sort((a, b) => a.start - b.start || b.end - a.end || a.order - b.order);
+
+    if (cache.size >= SCAN_CACHE_LIMIT) cache.clear();
+    cache.set(text, hits);
+    return hits;
+  }
+
+  /**
+   * Register (or replace) a named term list
+   * @param {string} list - e.g. "opioid.benzodiazepine"
+   * @param {string[]|Object} entries - Terms, or { term: value }
+   * @returns {Object} lookup bound to the list: { has, first, all }
+   */
+  function define(list, entries) {
+    const pairs = Array.isArray(entries) ? entries.map(t => [t, undefined]) : Object.entries(entries);
+    lists.set(list, pairs
+      .map(([raw, value]) => {
+        const term = String(raw).replace(/^\*|\*$/g, "");
+        return { raw: term, value: value === undefined ? term : value, ...parseTerm(raw) };
+      })
+      .filter(t => t.pattern !== ""));
+    terms = null;
+
+    const inList = name => scan(name).filter(h => h.list === list);
+    return {
+      list,
+      /** @returns {boolean} */
+      has: name => inList(name).length > 0,
+      /** @returns {{ term, value }|null} leftmost, longest hit */
+      first: name => {
+        const hit = inList(name)[0];
+        return hit ? { term: hit.term, value: hit.value } : null;
+      },
+      /** @returns {Array<{ term, value }>} distinct terms in text order */
+      all: name => {
+        const seen = new Set();
+        return inList(name)
+          .filter(h => !seen.has(h.term) && seen.add(h.term))
+          .map(h => ({ term: h.term, value: h.value }));
+      }
+    };
+  }
+
+  return {
+    define,
+    scan,
+    get size() {
+      if (!terms) compile();
+      return terms.length;
+    }
+  };
+}
+
+// Shared by every check module
+const DRUG_MATCHER = createDrugMatcher();
+
+/**
+ * Register a term list on the shared matcher
+ * @param {string} list
+ * @param {string[]|Object} entries
+ * @returns {Object} { has(name), first(name), all(name) }
+ */
+function defineDrugTerms(list, entries) {
+  return DRUG_MATCHER.define(list, entries);
+}
+
+module.exports = {
+  DRUG_MATCHER,
+  defineDrugTerms,
+  createDrugMatcher,
+  normalizeDrugText,
+  rawTermPattern
+};
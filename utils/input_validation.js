@@ -0,0 +1,354 @@
+/**
+ * INPUT VALIDATION
+ * Schema-driven validation and coercion of patient_data before any check runs
+ *
+ * - Coerces numeric strings ("45", "45 mL/min") and unit-tagged weights ("154 lb"); the whole
+ *   value must parse ("45abc" is invalid) and a unit must be one the field accepts ("60 kg" is
+ *   not an eGFR). A reported bound (">90", "<15") reads as the bound
+ *   and is listed in `censored` so a check can treat "<15" as below 15
+ * - Normalizes booleans, sex, dates, and medication entries
+ * - Reports rules that cannot run because required inputs are missing
+ * - Strict mode throws InputValidationError on invalid (not missing) input
+ */
+
+const { ALERT_CODES } = require("../constants/alert_codes.js");
+
+const LB_PER_KG = 2.20462;
+
+// Units a numeric field accepts (lowercased, spaces removed) → factor to the field's unit
+const AGE_UNITS = { y: 1, yr: 1, yrs: 1, year: 1, years: 1, yearsold: 1 };
+const WEIGHT_UNITS = { kg: 1, kgs: 1, lb: 1 / LB_PER_KG, lbs: 1 / LB_PER_KG, pound: 1 / LB_PER_KG, pounds: 1 / LB_PER_KG };
+const EGFR_UNITS = { "ml/min": 1, "ml/min/1.73m2": 1 };
+const WEEK_UNITS = { wk: 1, wks: 1, week: 1, weeks: 1 };
+const POUND_UNITS = { lb: 1, lbs: 1, pound: 1, pounds: 1 };
+
+// ═══════════════════════════════════════════════════════════════
+// PATIENT SCHEMA
+// ═══════════════════════════════════════════════════════════════
+const PATIENT_SCHEMA = {
+  patient_age: { type: "number", units: AGE_UNITS, min: 0, max: 120, default: null },
+  patient_sex: { type: "sex", default: null },
+  weight_kg: { type: "number", units: WEIGHT_UNITS, min: 0.5, max: 400, default: null },
+  egfr: { type: "number", units: EGFR_UNITS, min: 0, max: 200, default: null },
+  liver_disease: { type: "boolean", default: false },
+  alcohol_use: { type: "boolean", default: false },
+  heart_failure: { type: "boolean", default: false },
+  atrial_fibrillation: { type: "boolean", default: false },
+  prior_gi_bleed: { type: "boolean", default: false },
+  recent_pci_date: { type: "date", default: null },
+  stent_type: { type: "string", enum: ["DES", "BMS"], default: null },
+  hb_low: { type: "boolean", default: false },
+  respiratory_disease: { type: "boolean", default: false },
+  opioid_naive: { type: "boolean", default: true },
+  active_illness: { type: "object", default: {} },
+  current_medications: { type: "medications", default: [] },
+  conditions: { type: "string_array", default: [] },
+  icd_codes: { type: "string_array", default: [] },
+  recent_maoi_use: { type: "object", default: null },
+  ppi_duration_weeks: { type: "number", units: WEEK_UNITS, min: 0, max: 5200, default: null },
+  as_of: { type: "date", default: null }   // evaluation date (see utils/clock.js)
+};
+
+// ═══════════════════════════════════════════════════════════════
+// INPUT-DEPENDENT RULES
+// Sub-rules inside a check that degrade when an input is missing
+// (whole-check requirements are declared in the check registry)
+// ═══════════════════════════════════════════════════════════════
+const INPUT_DEPENDENT_RULES = [
+  {
+    rule: "OPIOID_NALOXONE_AGE_CRITERION",
+    requires: ["patient_age"],
+    applies: meds => meds.some(m => m.class === "opioid" || m.class === "opioid_long_acting")
+  },
+  {
+    rule: "APIXABAN_DOSE_CRITERIA",
+    requires: ["patient_age", "weight_kg"],
+    applies: meds => meds.some(m => /apixaban|eliquis/.test(m.name.toLowerCase()))
+  },
+  {
+    rule: "EDOXABAN_DOSE_CRITERIA",
+    requires: ["weight_kg"],
+    applies: meds => meds.some(m => /edoxaban|savaysa/.test(m.name.toLowerCase()))
+  }
+];
+
+const MISSING_INPUT_CODES = {
+  patient_age: ALERT_CODES.VALIDATION_AGE_MISSING,
+  egfr: ALERT_CODES.VALIDATION_EGFR_MISSING,
+  weight_kg: ALERT_CODES.VALIDATION_WEIGHT_MISSING
+};
+
+class InputValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {Array} issues - [{field, issue, value, message}]
+   */
+  constructor(message, issues = []) {
+    super(message);
+    this.name = "InputValidationError";
+    this.issues = issues;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// COERCION HELPERS
+// Each returns { value } on success or { error } on failure
+// ═══════════════════════════════════════════════════════════════
+
+// The whole value: optional comparator, the number, optional unit ("45", "45 mL/min", ">90", "154 lb")
+const NUMBER_PATTERN = /^(>=?|<=?|≥|≤)?\s*(-?\d+(?:\.\d+)?)\s*(.*)$/;
+
+/**
+ * @param {*} raw
+ * @param {Object} [units] - Accepted unit → factor to the field's unit; no unit text is accepted without it
+ * @returns {{ value, comparator?, converted_from? }|{ error }}
+ */
+function coerceNumber(raw, units = {}) {
+  if (typeof raw === "number") {
+    return Number.isFinite(raw) ? { value: raw } : { error: "not a finite number" };
+  }
+  if (typeof raw !== "string") return { error: "expected a number" };
+  const match = raw.trim().match(NUMBER_PATTERN);
+  if (!match) return { error: "expected a number" };
+  const [, comparator, number, unit_text] = match;
+  const unit = unit_text.toLowerCase().replace(/\s+/g, "").replace("²", "2");
+  if (unit && units[unit] === undefined) {
+    const accepted = Object.keys(units);
+    return { error: `unit "${unit_text}" not accepted${accepted.length ? ` (${accepted.join(", ")})` : ""}` };
+  }
+  const factor = unit ? units[unit] : 1;
+  const result = { value: factor === 1 ? parseFloat(number) : Math.round(parseFloat(number) * factor * 10) / 10 };
+  if (factor !== 1) result.converted_from = unit;
+  // ">90", "<15" (lab reporting limits) read as the bound; the comparator goes with it
+  if (comparator) result.comparator = comparator;
+  return result;
+}
+
+function coerceBoolean(raw) {
+  if (typeof raw === "boolean") return { value: raw };
+  if (raw === 1 || raw === 0) return { value: raw === 1 };
+  if (typeof raw === "string") {
+    const s = raw.trim().toLowerCase();
+    if (["true", "yes", "y", "1"].includes(s)) return { value: true };
+    if (["false", "no", "n", "0", ""].includes(s)) return { value: false };
+  }
+  return { error: "expected a boolean" };
+}
+
+function coerceSex(raw) {
+  const s = String(raw).trim().toLowerCase();
+  if (["m", "male"].includes(s)) return { value: "M" };
+  if (["f", "female"].includes(s)) return { value: "F" };
+  return { error: "expected 'M' or 'F'" };
+}
+
+function coerceDate(raw) {
+  if (typeof raw !== "string" && !(raw instanceof Date)) return { error: "expected an ISO date string" };
+  const d = new Date(raw);
+  if (Number.isNaN(d.getTime())) return { error: "unparseable date" };
+  return { value: typeof raw === "string" ? raw : d.toISOString() };
+}
+
+function coerceStringArray(raw) {
+  if (typeof raw === "string") return { value: [raw] };
+  if (!Array.isArray(raw)) return { error: "expected an array of strings" };
+  if (raw.some(x => typeof x !== "string")) return { error: "array contains non-string entries" };
+  return { value: raw };
+}
+
+function coerceMedications(raw, issues) {
+  if (!Array.isArray(raw)) return { error: "expected an array of medication objects" };
+  const meds = [];
+  raw.forEach((entry, i) => {
+    if (typeof entry === "string" && entry.trim()) {
+      meds.push({ name: entry.trim() });
+    } else if (entry && typeof entry === "object" && typeof entry.name === "string" && entry.name.trim()) {
+      meds.push(entry);
+    } else {
+      issues.push({
+        field: `current_medications[${i}]`,
+        issue: "INVALID_TYPE",
+        value: entry,
+        message: "medication entry needs a non-empty name; entry dropped"
+      });
+    }
+  });
+  return { value: meds };
+}
+
+function coerceField(spec, raw, issues) {
+  switch (spec.type) {
+    case "number": return coerceNumber(raw, spec.units);
+    case "boolean": return coerceBoolean(raw);
+    case "sex": return coerceSex(raw);
+    case "date": return coerceDate(raw);
+    case "string_array": return coerceStringArray(raw);
+    case "medications": return coerceMedications(raw, issues);
+    case "object":
+      return raw && typeof raw === "object" && !Array.isArray(raw) ? { value: raw } : { error: "expected an object" };
+    case "string":
+      return typeof raw === "string" ? { value: raw.trim() } : { error: "expected a string" };
+    default:
+      return { value: raw };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MAIN FUNCTION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Validate and coerce patient_data against PATIENT_SCHEMA
+ * @param {Object} patient_data
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Throw InputValidationError on invalid input
+ * @returns {{ data: Object, valid: boolean, issues: Array, coerced: Array, censored: Object, skipped_rules: Array, alerts: Array }}
+ *   censored: field → reported comparator ("<", "≤", ">", "≥") for values given as a bound
+ */
+function validatePatientData(patient_data, options = {}) {
+  const { strict = false } = options;
+
+  if (!patient_data || typeof patient_data !== "object" || Array.isArray(patient_data)) {
+    throw new InputValidationError("patient_data must be an object", [
+      { field: "patient_data", issue: "INVALID_TYPE", value: patient_data, message: "expected an object" }
+    ]);
+  }
+
+  const data = {};
+  const issues = [];
+  const coerced = [];
+  const censored = {};
+
+  for (const [field, spec] of Object.entries(PATIENT_SCHEMA)) {
+    const raw = patient_data[field];
+    if (raw === undefined || raw === null) {
+      data[field] = spec.default;
+      continue;
+    }
+
+    const result = coerceField(spec, raw, issues);
+    if (result.error) {
+      issues.push({ field, issue: "INVALID_TYPE", value: raw, message: result.error });
+      data[field] = spec.default;
+      continue;
+    }
+
+    let value = result.value;
+    if (typeof value === "number" && ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max))) {
+      issues.push({ field, issue: "OUT_OF_RANGE", value: raw, message: `outside ${spec.min}-${spec.max}` });
+      data[field] = spec.default;
+      continue;
+    }
+    if (spec.enum) {
+      const match = spec.enum.find(e => e.toUpperCase() === String(value).toUpperCase());
+      if (!match) {
+        issues.push({ field, issue: "INVALID_VALUE", value: raw, message: `expected one of ${spec.enum.join(", ")}` });
+        data[field] = spec.default;
+        continue;
+      }
+      value = match;
+    }
+
+    if (result.converted_from || (typeof raw !== typeof value && spec.type !== "medications")) {
+      coerced.push(result.comparator ? { field, from: raw, to: value, comparator: result.comparator } : { field, from: raw, to: value });
+    }
+    if (result.comparator) censored[field] = result.comparator;
+    data[field] = value;
+  }
+
+  // Legacy weight in pounds
+  if (data.weight_kg === null && patient_data.weight_lb !== undefined && patient_data.weight_lb !== null) {
+    const lb = coerceNumber(patient_data.weight_lb, POUND_UNITS);
+    if (lb.error) {
+      issues.push({ field: "weight_lb", issue: "INVALID_TYPE", value: patient_data.weight_lb, message: lb.error });
+    } else {
+      data.weight_kg = Math.round((lb.value / LB_PER_KG) * 10) / 10;
+      const from = typeof patient_data.weight_lb === "number" ? `${patient_data.weight_lb} lb` : patient_data.weight_lb;
+      coerced.push({ field: "weight_kg", from, to: data.weight_kg });
+    }
+  }
+
+  // Pass through fields the schema doesn't know about
+  for (const [field, value] of Object.entries(patient_data)) {
+    if (!(field in PATIENT_SCHEMA)) data[field] = value;
+  }
+
+  if (strict && issues.length > 0) {
+    throw new InputValidationError(
+      `Invalid patient_data: ${issues.map(i => `${i.field} (${i.message})`).join("; ")}`,
+      issues
+    );
+  }
+
+  const skipped_rules = findSkippedRules(data);
+
+  const alerts = [];
+  if (issues.length > 0) {
+    alerts.push({
+      alert_code: ALERT_CODES.VALIDATION_INVALID_INPUT,
+      severity: "MODERATE",
+      message: `Invalid input ignored: ${issues.map(i => i.field).join(", ")}`,
+      reason: issues.map(i => `${i.field}: ${i.message}`).join("; "),
+      action: "Correct the source data; affected checks ran without these values",
+      issues
+    });
+  }
+
+  return {
+    data,
+    valid: issues.length === 0,
+    issues,
+    coerced,
+    censored,
+    skipped_rules,
+    alerts
+  };
+}
+
+/**
+ * Sub-rules that cannot be evaluated for lack of a required input
+ * (re-run by the orchestrator once medications are enriched with inferred classes)
+ * @param {Object} data - Validated patient_data
+ * @returns {Array} [{rule, missing}]
+ */
+function findSkippedRules(data) {
+  const skipped_rules = [];
+  for (const def of INPUT_DEPENDENT_RULES) {
+    const missing = def.requires.filter(f => data[f] === null);
+    if (missing.length > 0 && def.applies(data.current_medications)) {
+      skipped_rules.push({ rule: def.rule, missing });
+    }
+  }
+  return skipped_rules;
+}
+
+/**
+ * Build VALIDATION_*_MISSING alerts from skipped rules
+ * One alert per missing field, listing every rule it affected
+ * @param {Array} skipped_rules - [{rule, missing}]
+ * @returns {Array} alerts
+ */
+function buildMissingInputAlerts(skipped_rules) {
+  const alerts = [];
+  for (const [field, code] of Object.entries(MISSING_INPUT_CODES)) {
+    const rules = skipped_rules.filter(s => s.missing.includes(field)).map(s => s.rule);
+    if (rules.length === 0) continue;
+    alerts.push({
+      alert_code: code,
+      severity: "INFO",
+      message: `${field} not provided; rules skipped or incomplete: ${rules.join(", ")}`,
+      missing_field: field,
+      skipped_rules: rules
+    });
+  }
+  return alerts;
+}
+
+module.exports = {
+  PATIENT_SCHEMA,
+  INPUT_DEPENDENT_RULES,
+  InputValidationError,
+  validatePatientData,
+  findSkippedRules,
+  buildMissingInputAlerts
+};
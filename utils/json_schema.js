@@ -0,0 +1,67 @@
+/**
+ * JSON SCHEMA VALIDATION (subset)
+ * Dependency-free validator for the keywords used by the bundled FHIR schema
+ * excerpts (adapters/schemas/): $ref (local #/definitions), type, const, enum,
+ * pattern, properties, additionalProperties: false, required, items
+ */
+
+const TYPE_CHECKS = {
+  string: v => typeof v === "string",
+  number: v => typeof v === "number" && Number.isFinite(v),
+  integer: v => Number.isInteger(v),
+  boolean: v => typeof v === "boolean",
+  array: v => Array.isArray(v),
+  object: v => v !== null && typeof v === "object" && !Array.isArray(v)
+};
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#/")) throw new Error(`Unsupported $ref "${ref}" (local references only)`);
+  const target = ref.slice(2).split("/").reduce((node, key) => node && node[key], root);
+  if (!target) throw new Error(`Unresolved $ref "${ref}"`);
+  return target;
+}
+
+function validateNode(root, schema, value, path, issues) {
+  if (schema.$ref) {
+    validateNode(root, resolveRef(root, schema.$ref), value, path, issues);
+    return;
+  }
+
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    issues.push(`${path}: expected ${schema.type}`);
+    return;
+  }
+  if ("const" in schema && value !== schema.const) issues.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) issues.push(`${path}: must be one of ${schema.enum.join(", ")}`);
+  if (schema.pattern && typeof value === "string" && !new RegExp(schema.pattern).test(value)) {
+    issues.push(`${path}: does not match ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validateNode(root, schema.items, item, `${path}[${i}]`, issues));
+  }
+
+  if (TYPE_CHECKS.object(value) && (schema.properties || schema.required)) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) issues.push(`${path}.${key}: required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const property = schema.properties && schema.properties[key];
+      if (property) validateNode(root, property, child, `${path}.${key}`, issues);
+      else if (schema.additionalProperties === false) issues.push(`${path}.${key}: unknown property`);
+    }
+  }
+}
+
+/**
+ * @param {Object} schema - Root schema (its definitions resolve $ref)
+ * @param {*} value
+ * @returns {string[]} issues ("$.code.coding[0].system: does not match ..."), empty when valid
+ */
+function validateAgainstSchema(schema, value) {
+  const issues = [];
+  validateNode(schema, schema, value, "$", issues);
+  return issues;
+}
+
+module.exports = { validateAgainstSchema };
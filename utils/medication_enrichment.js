@@ -0,0 +1,180 @@
+/**
+ * MEDICATION ENRICHMENT
+ * Fills in class, ATC code and effects for every medication before dispatch, so
+ * class-based checks (triple whammy, antithrombotic) also see drugs entered by name
+ *
+ * - Source: utils/atc_lookup.js (data/drug_mappings.json, WHO ATC)
+ * - ATC classes are translated to the engine's class vocabulary: the longest matching
+ *   ATC prefix in CANONICAL_CLASS_BY_ATC, else CLASS_ALIASES, else the mapping class
+ *   (apixaban B01AF02 "DOAC" → "anticoagulant_DOAC")
+ * - med.provenance records, per enriched field, "supplied" (from the input) or "inferred"
+ * - A supplied class is kept; if it disagrees with the ATC class the medication gets
+ *   class_conflict and the conflict is returned for reporting
+ * - Brand names are resolved first (utils/brand_generic.js): name becomes the generic,
+ *   display_name keeps the entered name and provenance.brand records the brand matched
+ * - Combination products then become one medication per ingredient, each keeping the
+ *   product's display_name (utils/combination_products.js)
+ */
+
+const { lookupDrug } = require("./atc_lookup.js");
+const { resolveGenericName } = require("./brand_generic.js");
+const { splitCombination } = require("./combination_products.js");
+
+const PROVENANCE = Object.freeze({
+  SUPPLIED: "supplied",
+  INFERRED: "inferred"
+});
+
+// ATC code prefix → engine class, where the mapping class is broader or named differently
+const CANONICAL_CLASS_BY_ATC = {
+  B01AA: "anticoagulant_warfarin",      // vitamin K antagonists
+  B01AE: "anticoagulant_DOAC",          // direct thrombin inhibitors
+  B01AF: "anticoagulant_DOAC",          // direct factor Xa inhibitors
+  B01AC: "antiplatelet_other",
+  B01AC04: "antiplatelet_P2Y12",        // clopidogrel
+  B01AC05: "antiplatelet_P2Y12",        // ticlopidine
+  B01AC22: "antiplatelet_P2Y12",        // prasugrel
+  B01AC24: "antiplatelet_P2Y12",        // ticagrelor
+  B01AC25: "antiplatelet_P2Y12",        // cangrelor
+  B01AC06: "antiplatelet_aspirin",
+  B01AC08: "antiplatelet_aspirin",      // carbasalate calcium
+  B01AC15: "antiplatelet_aspirin",      // aloxiprin
+  B01AC56: "antiplatelet_aspirin",      // aspirin + PPI
+  C03AA: "thiazide",
+  N02AX: "opioid",                      // tramadol, tapentadol, ...
+  N03AX12: "gabapentinoid",             // gabapentin
+  N03AX16: "gabapentinoid",             // pregabalin
+  N05CF: "Z_drug",
+  N06AX16: "SNRI",                      // venlafaxine
+  N06AX17: "SNRI",                      // milnacipran
+  N06AX21: "SNRI",                      // duloxetine
+  N06AX23: "SNRI"                       // desvenlafaxine
+};
+
+// drug_mappings.json class names → engine class (also applied to supplied classes)
+const CLASS_ALIASES = {
+  DOAC: "anticoagulant_DOAC",
+  warfarin: "anticoagulant_warfarin",
+  thiazide_diuretic: "thiazide",
+  opioid_atypical: "opioid",
+  z_drug: "Z_drug"
+};
+
+// Supplied classes that refine, rather than contradict, an inferred class
+const COMPATIBLE_CLASSES = {
+  opioid_long_acting: ["opioid"]
+};
+
+const ATC_PREFIXES = Object.keys(CANONICAL_CLASS_BY_ATC).sort((a, b) => b.length - a.length);
+
+/**
+ * @param {string} class_name
+ * @returns {string} engine class name
+ */
+function canonicalClass(class_name) {
+  return CLASS_ALIASES[class_name] || class_name;
+}
+
+/**
+ * @param {Object} info - drug_mappings.json entry { atc, class, effects }
+ * @returns {string|null} engine class for the ATC entry
+ */
+function classFromAtc(info) {
+  const prefix = ATC_PREFIXES.find(p => (info.atc || "").startsWith(p));
+  if (prefix) return CANONICAL_CLASS_BY_ATC[prefix];
+  return info.class ? canonicalClass(info.class) : null;
+}
+
+function classesAgree(supplied, inferred) {
+  return supplied === inferred || (COMPATIBLE_CLASSES[supplied] || []).includes(inferred);
+}
+
+/**
+ * Replace a brand with its generic; display_name keeps the entered name
+ * @returns {Object} med with provenance started ({ name, brand } when a brand was resolved)
+ */
+function withGenericName(med) {
+  const resolved = resolveGenericName(med.name);
+  return {
+    ...med,
+    name: resolved.name,
+    display_name: med.display_name || med.name,
+    provenance: resolved.brand ? { name: PROVENANCE.INFERRED, brand: resolved.brand } : {}
+  };
+}
+
+/**
+ * Class / ATC / effects for a medication whose name is already generic
+ */
+function enrichResolved(med) {
+  const info = lookupDrug(med.name);
+  const enriched = { ...med };
+  const provenance = { ...med.provenance };
+  if (med.combination) provenance.name = PROVENANCE.INFERRED;
+
+  const supplied_class = typeof med.class === "string" && med.class.trim() !== "" ? canonicalClass(med.class.trim()) : null;
+  const inferred_class = (med.combination && med.combination.ingredient_class)
+    || (info ? classFromAtc(info) : null);
+  if (supplied_class) {
+    enriched.class = supplied_class;
+    provenance.class = PROVENANCE.SUPPLIED;
+    if (inferred_class && !classesAgree(supplied_class, inferred_class)) {
+      enriched.class_conflict = { supplied: supplied_class, inferred: inferred_class, atc: info.atc };
+    }
+  } else if (inferred_class) {
+    enriched.class = inferred_class;
+    provenance.class = PROVENANCE.INFERRED;
+  }
+
+  if (typeof med.atc === "string" && med.atc.trim() !== "") {
+    provenance.atc = PROVENANCE.SUPPLIED;
+  } else if (info && info.atc) {
+    enriched.atc = info.atc;
+    provenance.atc = PROVENANCE.INFERRED;
+  }
+
+  if (Array.isArray(med.effects)) {
+    provenance.effects = PROVENANCE.SUPPLIED;
+  } else if (info && Array.isArray(info.effects)) {
+    enriched.effects = info.effects.slice();
+    provenance.effects = PROVENANCE.INFERRED;
+  }
+
+  enriched.provenance = provenance;
+  return enriched;
+}
+
+/**
+ * Enrich one medication (brand resolved, not split); the input object is not modified
+ * @param {Object} med - { name, class?, atc?, effects?, ... }
+ * @returns {Object} med with generic name, class / atc / effects where known, provenance,
+ *   and class_conflict if any
+ */
+function enrichMedication(med) {
+  return enrichResolved(withGenericName(med));
+}
+
+/**
+ * @param {Array} medications - Validated current_medications
+ * @returns {{ medications: Array, conflicts: Array<{ drug, supplied, inferred, atc }> }}
+ *   medications: one entry per ingredient for combination products (utils/combination_products.js)
+ */
+function enrichMedications(medications) {
+  const enriched = medications.flatMap(med => {
+    const named = withGenericName(med);
+    return (splitCombination(named) || [named]).map(enrichResolved);
+  });
+  const conflicts = enriched
+    .filter(m => m.class_conflict)
+    .map(m => ({ drug: m.display_name, ...m.class_conflict }));
+  return { medications: enriched, conflicts };
+}
+
+module.exports = {
+  PROVENANCE,
+  CANONICAL_CLASS_BY_ATC,
+  CLASS_ALIASES,
+  enrichMedication,
+  enrichMedications,
+  canonicalClass
+};
@@ -0,0 +1,283 @@
+/**
+ * MEDICATION DOSE PARSER
+ * Turns free-text dose / sig strings into structured dosing, shared by every check
+ * that reasons about amounts (MME, DOAC dose verification, renal maximums)
+ *
+ * - Text comes from med.dose, med.sig and med.frequency ("5mg BID", "Take 2 tablets
+ *   (5 mg) by mouth every 4-6 hours as needed", "25 mcg/hr patch q72h")
+ * - Ranges resolve to the conservative end: "5-10 mg" → 10 mg, "q4-6h" → every 4 hours
+ * - A stated total ("Take 2 tablets (10 mg total)") is the dose, not multiplied by the count
+ * - An unstated frequency is taken as once daily and lowers the confidence
+ * - Every assumption made is listed in `assumptions`
+ */
+
+const PARSE_CONFIDENCE = Object.freeze({
+  HIGH: "high",      // strength with unit and an explicit frequency
+  MEDIUM: "medium",  // strength with unit; frequency assumed, range or combination strength
+  LOW: "low",        // number without a unit
+  NONE: "none"       // no strength found
+});
+
+// Spelling variants → canonical unit
+const UNIT_ALIASES = {
+  mg: "mg", milligram: "mg", milligrams: "mg",
+  mcg: "mcg", ug: "mcg", "µg": "mcg", microgram: "mcg", micrograms: "mcg",
+  g: "g", gm: "g", gram: "g", grams: "g",
+  unit: "units", units: "units", iu: "units",
+  ml: "mL", meq: "mEq",
+  "mcg/hr": "mcg/hr", "mcg/h": "mcg/hr", "mcg/hour": "mcg/hr", "ug/hr": "mcg/hr", "ug/h": "mcg/hr"
+};
+
+const MG_PER_UNIT = { mg: 1, mcg: 0.001, g: 1000 };
+
+// Fixed-schedule abbreviations → administrations per day ("daily" reads as "a day"; dotted forms allowed)
+const PER_DAY = "(?:a |per )?(?:day|daily)";
+const FREQUENCY_TERMS = [
+  [new RegExp(`\\b(?:q\\.?i\\.?d\\b|(?:four|4) times ${PER_DAY}\\b)`), 4],
+  [new RegExp(`\\b(?:t\\.?i\\.?d\\b|(?:three|3) times ${PER_DAY}\\b)`), 3],
+  [new RegExp(`\\b(?:b\\.?i\\.?d\\b|twice ${PER_DAY}\\b|(?:two|2) times ${PER_DAY}\\b)`), 2],
+  // A bare "daily" preceded by a count ("five times daily") is not once a day
+  [/\b(?:(?<!\b(?:\d+|one|two|three|four|five|six)\s*(?:x|times)\s)daily|q\.?d\b|od|once (?:a |per )?day|once daily|qam|qpm|qhs|at bedtime|nightly|every (?:morning|evening|night))\b/, 1],
+  [/\b(?:weekly|once (?:a |per )?week|every week|qweek|qwk)\b/, 1 / 7],
+  [/\b(?:hourly|every hour)\b/, 24]
+];
+
+const ROUTE_TERMS = [
+  [/\b(?:po|oral|orally|by mouth)\b/, "oral"],
+  [/\b(?:sl|sublingual)\b/, "sublingual"],
+  [/\b(?:buccal)\b/, "buccal"],
+  [/\b(?:td|transdermal|patch)\b/, "transdermal"],
+  [/\b(?:iv|intravenous|intravenously)\b/, "intravenous"],
+  [/\b(?:im|intramuscular)\b/, "intramuscular"],
+  [/\b(?:sc|sq|subq|subcut|subcutaneous)\b/, "subcutaneous"],
+  [/\b(?:pr|rectal|rectally|suppository)\b/, "rectal"],
+  [/\b(?:inh|inhaled|inhalation|nebulized|puffs?)\b/, "inhaled"],
+  [/\b(?:nasal|intranasal)\b/, "nasal"],
+  [/\b(?:topical|topically)\b/, "topical"]
+];
+
+const PRN_PATTERN = /\b(?:prn|as needed|as required|when required|if needed)\b/;
+
+const WORD_NUMBERS = { half: 0.5, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+const QUANTITY_PATTERN = /(\d+(?:\.\d+)?|\d+\/\d+|half|one|two|three|four)\s*(?:-\s*(\d+(?:\.\d+)?)\s*)?(?:tab|tabs|tablet|tablets|cap|caps|capsule|capsules|puffs?|sprays?|patch|patches|drops?|suppositor(?:y|ies))\b/;
+
+const QUANTITY_AFTER = /^\s*(?:tab|tabs|tablet|tablets|cap|caps|capsule|capsules|puffs?|sprays?|drops?)\b/i;
+
+const UNIT_PATTERN = Object.keys(UNIT_ALIASES)
+  .sort((a, b) => b.length - a.length)
+  .map(u => u.replace("/", "\\/"))
+  .join("|");
+// <amount>[/<amount>...][-<amount>] <unit>
+const STRENGTH_PATTERN = new RegExp(
+  `(\\d+(?:\\.\\d+)?)((?:\\s*\\/\\s*\\d+(?:\\.\\d+)?)*)(?:\\s*-\\s*(\\d+(?:\\.\\d+)?))?\\s*(${UNIT_PATTERN})(?![a-z])`
+);
+// <amount>/<amount>[/...] or <amount>-<amount> [unit]: one amount per ingredient of a combination product
+const COMBINATION_STRENGTH_PATTERN = new RegExp(
+  `(?<![a-z\\d.])(\\d+(?:\\.\\d+)?(?:\\s*[\\/-]\\s*\\d+(?:\\.\\d+)?)+)(\\s*(?:${UNIT_PATTERN})(?![a-z]))?`, "gi"
+);
+// q6h, every 4-6 hours; the hour unit is required ("every 3 days" is not 8 doses a day)
+const INTERVAL_PATTERN = /\b(?:q|every)\s*(\d+(?:\.\d+)?)(?:\s*(?:-|to)\s*(\d+(?:\.\d+)?))?\s*(?:h|hr|hrs|hour|hours)\b/;
+// q3d, every 2 weeks
+const DAY_INTERVAL_PATTERN = /\b(?:q|every)\s*(\d+(?:\.\d+)?)(?:\s*(?:-|to)\s*(\d+(?:\.\d+)?))?\s*(d|days?|wks?|weeks?)\b/;
+const TIMES_DAILY_PATTERN = /\b(\d+|five|six)\s*(?:x|times)\s*(?:a |per )?(?:day|daily)\b/;
+// "(10 mg total)", "total of 10 mg": the amount per administration, not per tablet
+const TOTAL_BEFORE = /\btotal(?: dose)?(?: of)?\s*$/;
+const TOTAL_AFTER = /^\s*(?:total|in total)\b/;
+
+function parseNumber(text) {
+  if (WORD_NUMBERS[text] !== undefined) return WORD_NUMBERS[text];
+  if (text.includes("/")) {
+    const [n, d] = text.split("/").map(Number);
+    return d ? n / d : null;
+  }
+  return Number(text);
+}
+
+/**
+ * @param {string} text - Lowercased
+ * @param {string[]} assumptions
+ * @returns {{ strength: number|null, unit: string|null, has_unit: boolean, stated_total: boolean }}
+ */
+function parseStrength(text, assumptions) {
+  const match = text.match(STRENGTH_PATTERN);
+  if (match) {
+    const [, amount, combination, range_end, unit] = match;
+    if (combination) assumptions.push(`combination strength ${match[0].trim()}: first component used`);
+    if (range_end) assumptions.push(`dose range ${amount}-${range_end}: upper bound used`);
+    const stated_total = TOTAL_BEFORE.test(text.slice(0, match.index)) || TOTAL_AFTER.test(text.slice(match.index + match[0].length));
+    return { strength: Number(range_end || amount), unit: UNIT_ALIASES[unit], has_unit: true, stated_total };
+  }
+
+  // Counts of tablets/puffs and schedule numbers are not strengths
+  const bare = text
+    .replace(QUANTITY_PATTERN, " ")
+    .replace(INTERVAL_PATTERN, " ")
+    .replace(DAY_INTERVAL_PATTERN, " ")
+    .replace(TIMES_DAILY_PATTERN, " ")
+    .match(/(\d+(?:\.\d+)?)/);
+  if (bare) {
+    assumptions.push(`no unit for ${bare[1]}`);
+    return { strength: Number(bare[1]), unit: null, has_unit: false, stated_total: false };
+  }
+  return { strength: null, unit: null, has_unit: false, stated_total: false };
+}
+
+/**
+ * @param {string} text - Lowercased
+ * @param {string[]} assumptions
+ * @returns {number|null} administrations per day (null if not stated)
+ */
+function parseFrequency(text, assumptions) {
+  const interval = text.match(INTERVAL_PATTERN);
+  if (interval) {
+    const hours = Number(interval[1]);
+    if (interval[2]) assumptions.push(`interval q${interval[1]}-${interval[2]}h: shortest interval used`);
+    if (hours > 0) return 24 / hours;
+  }
+  const days_interval = text.match(DAY_INTERVAL_PATTERN);
+  if (days_interval) {
+    const days = Number(days_interval[1]) * (/^w/.test(days_interval[3]) ? 7 : 1);
+    if (days_interval[2]) assumptions.push(`interval every ${days_interval[1]}-${days_interval[2]} ${days_interval[3]}: shortest interval used`);
+    if (days > 0) return 1 / days;
+  }
+  const times = text.match(TIMES_DAILY_PATTERN);
+  if (times) return parseNumber(times[1]);
+  for (const [pattern, per_day] of FREQUENCY_TERMS) {
+    if (pattern.test(text)) return per_day;
+  }
+  return null;
+}
+
+function parseQuantity(text, assumptions) {
+  const match = text.match(QUANTITY_PATTERN);
+  if (!match) return 1;
+  if (match[2]) assumptions.push(`quantity range ${match[1]}-${match[2]}: upper bound used`);
+  const quantity = parseNumber(match[2] || match[1]);
+  return quantity && quantity > 0 ? quantity : 1;
+}
+
+function parseRoute(text) {
+  const hit = ROUTE_TERMS.find(([pattern]) => pattern.test(text));
+  return hit ? hit[1] : null;
+}
+
+/**
+ * @param {number|null} amount
+ * @param {string|null} unit
+ * @returns {number|null} amount in mg (null for non-mass units)
+ */
+function toMilligrams(amount, unit) {
+  if (amount === null || amount === undefined || !MG_PER_UNIT[unit]) return null;
+  return amount * MG_PER_UNIT[unit];
+}
+
+/**
+ * Parse free-text dosing
+ * @param {string} text - e.g. "Take 1 tablet (5 mg) by mouth twice daily"
+ * @param {Object} [options]
+ * @param {string} [options.default_unit] - Unit for a bare number ("mg"); confidence stays LOW
+ * @returns {Object} {
+ *   strength, unit,        - amount per unit dose as written ("5", "mg"); unit null if absent
+ *   quantity,              - unit doses per administration (tablets, puffs; default 1)
+ *   dose_amount,           - strength × quantity, in unit
+ *   frequency_per_day,     - administrations per day (1 if not stated)
+ *   frequency_stated,      - false when frequency_per_day was assumed
+ *   daily_amount,          - dose_amount × frequency_per_day, in unit
+ *   dose_mg, daily_mg,     - dose_amount / daily_amount in mg (null for non-mass or missing units)
+ *   prn, route,            - as-needed flag; "oral", "transdermal", ... or null
+ *   confidence,            - PARSE_CONFIDENCE
+ *   assumptions            - what was assumed to reach these numbers
+ * }
+ */
+function parseDoseText(text, options = {}) {
+  const lower = String(text || "")
+    .toLowerCase()
+    .replace(/(\d),(?=\d{3}\b)/g, "$1")   // thousands separators: "1,000 mg"
+    .replace(/[,;]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  const assumptions = [];
+
+  const { has_unit, stated_total, ...parsed } = parseStrength(lower, assumptions);
+  let unit = parsed.unit;
+  if (parsed.strength !== null && !has_unit && options.default_unit) {
+    unit = UNIT_ALIASES[options.default_unit.toLowerCase()] || options.default_unit;
+    assumptions.push(`${unit} assumed`);
+  }
+  const quantity = parsed.strength === null ? 1 : parseQuantity(lower, assumptions);
+  // A stated total already counts the tablets: the strength is its share per tablet
+  const strength = stated_total ? parsed.strength / quantity : parsed.strength;
+  const stated_frequency = parseFrequency(lower, assumptions);
+  const frequency_per_day = stated_frequency === null ? 1 : stated_frequency;
+  if (strength !== null && stated_frequency === null) assumptions.push("frequency not stated: once daily assumed");
+
+  const dose_amount = strength === null ? null : strength * quantity;
+  const daily_amount = dose_amount === null ? null : dose_amount * frequency_per_day;
+
+  let confidence = PARSE_CONFIDENCE.NONE;
+  if (strength !== null) {
+    confidence = !has_unit ? PARSE_CONFIDENCE.LOW
+      : assumptions.length > 0 ? PARSE_CONFIDENCE.MEDIUM
+      : PARSE_CONFIDENCE.HIGH;
+  }
+
+  return {
+    strength,
+    unit,
+    quantity,
+    dose_amount,
+    frequency_per_day,
+    frequency_stated: stated_frequency !== null,
+    daily_amount,
+    dose_mg: toMilligrams(dose_amount, unit),
+    daily_mg: toMilligrams(daily_amount, unit),
+    prn: PRN_PATTERN.test(lower),
+    route: parseRoute(lower),
+    confidence,
+    assumptions
+  };
+}
+
+/**
+ * Split a combination product's strength into one text per ingredient, in written order
+ * ("5/325 mg 1 tab q6h", 2 → ["5 mg 1 tab q6h", "325 mg 1 tab q6h"])
+ * @param {string} text
+ * @param {number} count - Ingredients in the product
+ * @returns {string[]|null} null when no strength in the text has exactly `count` amounts
+ */
+function splitCombinationStrength(text, count) {
+  const source = String(text || "");
+  const matches = [...source.matchAll(COMBINATION_STRENGTH_PATTERN)]
+    .map(m => ({ m, amounts: m[1].split(/\s*[/-]\s*/) }))
+    .filter(({ m, amounts }) => amounts.length === count
+      && (m[2] || !QUANTITY_AFTER.test(source.slice(m.index + m[0].length))));
+  // Prefer an amount list with a unit ("1-2 tabs 5/325mg")
+  const hit = matches.find(({ m }) => m[2]) || matches[0];
+  if (!hit) return null;
+  const { m, amounts } = hit;
+  return amounts.map(amount =>
+    `${source.slice(0, m.index)}${amount}${m[2] || ""}${source.slice(m.index + m[0].length)}`);
+}
+
+/**
+ * Parse a medication's dosing fields (dose, sig, frequency, route)
+ * @param {Object} med - { dose?, sig?, frequency?, route? }
+ * @param {Object} [options] - As for parseDoseText()
+ * @returns {Object} as parseDoseText(); an explicit med.route wins over the text
+ */
+function parseMedicationDose(med, options = {}) {
+  const text = [med.dose, med.sig, med.frequency].filter(v => typeof v === "string" && v.trim() !== "").join(" ");
+  const parsed = parseDoseText(text, options);
+  if (typeof med.route === "string" && med.route.trim() !== "") {
+    parsed.route = parseRoute(med.route.toLowerCase()) || med.route.toLowerCase();
+  }
+  return parsed;
+}
+
+module.exports = {
+  PARSE_CONFIDENCE,
+  parseDoseText,
+  parseMedicationDose,
+  splitCombinationStrength,
+  toMilligrams
+};
@@ -0,0 +1,158 @@
+/**
+ * MONITORING PLAN
+ * Gathers the monitoring each fired alert asks for into one list of labs and assessments
+ *
+ * - Reads the monitoring clauses ("check creatinine within 1 week", "monitor eGFR every
+ *   3-6 months") of each alert's monitoring, action and reason text, and files each under
+ *   a MONITORING_ITEMS entry; clauses naming no known item are left out
+ * - Due interval: as stated ("within 1 week", the shorter end of "every 3-6 months"),
+ *   else DEFAULT_DUE_DAYS for the alert's severity (due_basis says which)
+ * - One entry per item: duplicates merge to the earliest due date and keep every
+ *   triggering drug and rationale
+ * - monitoringTaskList() exports the plan as tasks (JSON or a Markdown checklist)
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const MONITORING_KIND = Object.freeze({ LAB: "lab", ASSESSMENT: "assessment" });
+
+// Checked in order; a clause can name several items
+const MONITORING_ITEMS = [
+  { id: "renal_function", label: "Serum creatinine / eGFR", kind: MONITORING_KIND.LAB,
+    pattern: /\b(creatinine|egfr|kidney function|renal function)\b/i },
+  { id: "electrolytes", label: "Electrolytes (K+, Mg2+)", kind: MONITORING_KIND.LAB,
+    pattern: /\b(electrolytes?|potassium|magnesium)\b/i },
+  { id: "ecg", label: "ECG (QTc)", kind: MONITORING_KIND.LAB, pattern: /\b(ecg|ekg|qtc?)\b/i },
+  { id: "bleeding", label: "Signs of bleeding / hemoglobin", kind: MONITORING_KIND.ASSESSMENT,
+    pattern: /\b(bleed\w*|hemoglobin)\b/i },
+  { id: "sedation_respiration", label: "Sedation and respiratory status", kind: MONITORING_KIND.ASSESSMENT,
+    pattern: /\b(sedation|respiratory depression)\b/i },
+  { id: "serotonin_toxicity", label: "Serotonin toxicity signs", kind: MONITORING_KIND.ASSESSMENT,
+    pattern: /\b(hyperthermia|rigidity|tremor|hyperreflexia|serotonin syndrome)\b/i },
+  { id: "cognition", label: "Cognition and anticholinergic effects", kind: MONITORING_KIND.ASSESSMENT,
+    pattern: /\b(cognition|confusion|delirium|dry mouth|urinary retention)\b/i }
+];
+
+// Clauses that ask for monitoring (not "reassess indication", "counsel")
+const MONITORING_VERBS = /\b(monitor\w*|check|assess|watch for|measure)\b/i;
+
+// Generic clauses ("close monitoring") filed under an item by alert code
+const CODE_ITEMS = {
+  ANTITHROMB_HIGH_BLEED_RISK: "bleeding"
+};
+
+// When the text states no interval
+const DEFAULT_DUE_DAYS = { CRITICAL: 1, HIGH: 7, MODERATE: 30, LOW: 90, INFO: 90 };
+
+const UNIT_DAYS = { day: 1, week: 7, month: 30, year: 365 };
+
+// Alerts about the input, not the medications
+const NON_CLINICAL_SOURCES = ["VALIDATION", "SYSTEM"];
+
+/**
+ * Interval stated in a clause
+ * @param {string} clause
+ * @returns {{ due_in_days: number, recurrence: string|null }|null}
+ */
+function parseInterval(clause) {
+  const text = clause.toLowerCase();
+  if (/\bdaily\b/.test(text)) return { due_in_days: 1, recurrence: "daily" };
+  const match = text.match(/\b(within|every|in)\s+(\d+)(?:\s*[-–]\s*(\d+))?\s*(day|week|month|year)s?\b/);
+  if (!match) return null;
+  const [, word, low, high, unit] = match;
+  return {
+    due_in_days: Number(low) * UNIT_DAYS[unit],
+    recurrence: word === "every" ? `every ${high ? `${low}-${high}` : low} ${unit}${low === "1" && !high ? "" : "s"}` : null
+  };
+}
+
+function monitoringClauses(alert) {
+  return [alert.monitoring, alert.action, alert.reason]
+    .filter(text => typeof text === "string")
+    .flatMap(text => text.split(/[;.]\s*/))
+    .map(clause => clause.trim())
+    .filter(clause => MONITORING_VERBS.test(clause));
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * @param {Array} alerts - Final engine alerts
+ * @param {Object} [options]
+ * @param {Date} [options.as_of] - Evaluation date; due dates count from it
+ * @returns {Array<{ item, label, kind, due_in_days, due_date, due_basis, recurrence, drugs, rationale }>}
+ *   earliest due first
+ */
+function buildMonitoringPlan(alerts, options = {}) {
+  const as_of = options.as_of || new Date();
+  const items = new Map(MONITORING_ITEMS.map(item => [item.id, item]));
+  const plan = new Map(); // item id → entry
+
+  for (const alert of alerts) {
+    if (NON_CLINICAL_SOURCES.includes(alert.source)) continue;
+    const drugs = alert.drug ? [alert.drug] : alert.drugs_involved || [];
+
+    for (const clause of monitoringClauses(alert)) {
+      let ids = MONITORING_ITEMS.filter(item => item.pattern.test(clause)).map(item => item.id);
+      if (ids.length === 0 && CODE_ITEMS[alert.alert_code]) ids = [CODE_ITEMS[alert.alert_code]];
+      const stated = parseInterval(clause);
+      const due_in_days = stated ? stated.due_in_days : DEFAULT_DUE_DAYS[alert.severity] || DEFAULT_DUE_DAYS.MODERATE;
+
+      for (const id of ids) {
+        const item = items.get(id);
+        const entry = plan.get(id) || {
+          item: id, label: item.label, kind: item.kind,
+          due_in_days, due_basis: null, recurrence: null, drugs: [], rationale: []
+        };
+        if (entry.due_basis === null || due_in_days < entry.due_in_days) {
+          entry.due_in_days = due_in_days;
+          entry.due_basis = stated ? "stated" : "severity_default";
+        }
+        if (stated && stated.recurrence && !entry.recurrence) entry.recurrence = stated.recurrence;
+        for (const drug of drugs) if (!entry.drugs.includes(drug)) entry.drugs.push(drug);
+        entry.rationale.push({ alert_code: alert.alert_code, severity: alert.severity, text: clause, due_in_days });
+        plan.set(id, entry);
+      }
+    }
+  }
+
+  return [...plan.values()]
+    .map(entry => ({ ...entry, due_date: addDays(as_of, entry.due_in_days) }))
+    .sort((a, b) => a.due_in_days - b.due_in_days);
+}
+
+/**
+ * Export the plan as tasks
+ * @param {Array} plan - From buildMonitoringPlan (result.monitoring_plan)
+ * @param {Object} [options]
+ * @param {"json"|"markdown"} [options.format="json"]
+ * @returns {Array<{ title, due_date, recurrence, drugs, notes }>|string}
+ */
+function monitoringTaskList(plan, options = {}) {
+  const { format = "json" } = options;
+  const tasks = plan.map(entry => ({
+    title: entry.label,
+    due_date: entry.due_date,
+    recurrence: entry.recurrence,
+    drugs: entry.drugs,
+    notes: [...new Set(entry.rationale.map(r => `${r.alert_code}: ${r.text}`))]
+  }));
+  if (format === "json") return tasks;
+  if (format !== "markdown") throw new Error(`Unknown task list format "${format}" (json, markdown)`);
+  return tasks.map(task => {
+    const when = `due ${task.due_date}${task.recurrence ? `, then ${task.recurrence}` : ""}`;
+    const drugs = task.drugs.length > 0 ? ` (${task.drugs.join(", ")})` : "";
+    return [`- [ ] ${task.title} — ${when}${drugs}`, ...task.notes.map(note => `  - ${note}`)].join("\n");
+  }).join("\n");
+}
+
+module.exports = {
+  MONITORING_KIND,
+  MONITORING_ITEMS,
+  DEFAULT_DUE_DAYS,
+  buildMonitoringPlan,
+  monitoringTaskList,
+  parseInterval
+};
@@ -0,0 +1,161 @@
+/**
+ * ALERT OVERRIDES / ACKNOWLEDGEMENTS
+ * Clinician overrides that silence a specific alert for a specific patient
+ *
+ * An override is keyed by patient id + alert code + drug set (utils/alert_identity.js)
+ * and records the severity that was acknowledged. On later runs the matching alert
+ * is marked acknowledged, unless:
+ * - its severity escalated above the acknowledged severity, or
+ * - its drug set changed (same code, different drugs)
+ * in which case it re-fires with `override_refired` explaining why.
+ *
+ * patient_id is an opaque key chosen by the caller (e.g. a salted hash); the engine
+ * only passes it to the store and never logs it.
+ *
+ * Store interface (synchronous; a database-backed store can preload per patient):
+ *   listForPatient(patient_id) → override records
+ *   save(record)               → record (replaces any record with the same key)
+ *   remove(patient_id, key)    → boolean
+ */
+
+const { alertDrugs, alertKey, sameAlertFamily } = require("./alert_identity.js");
+const { isRegisteredAlertCode } = require("../constants/alert_codes.js");
+const { SEVERITY_ORDER, isMoreSevere } = require("../constants/severity.js");
+
+const OVERRIDE_REASON_CODES = Object.freeze({
+  BENEFIT_OUTWEIGHS_RISK: "BENEFIT_OUTWEIGHS_RISK",
+  INDICATION_DOCUMENTED: "INDICATION_DOCUMENTED",       // e.g. triple therapy after documented PCI
+  MONITORING_IN_PLACE: "MONITORING_IN_PLACE",
+  PREVIOUSLY_TOLERATED: "PREVIOUSLY_TOLERATED",
+  SPECIALIST_RECOMMENDED: "SPECIALIST_RECOMMENDED",
+  NOT_APPLICABLE: "NOT_APPLICABLE",                     // alert logic does not fit this patient
+  OTHER: "OTHER"                                        // note required
+});
+
+class OverrideError extends Error {
+  constructor(issues) {
+    super(`Invalid override: ${issues.join("; ")}`);
+    this.name = "OverrideError";
+    this.issues = issues;
+  }
+}
+
+/**
+ * Reference in-memory store
+ * @returns {{ listForPatient: Function, save: Function, remove: Function }}
+ */
+function createMemoryOverrideStore() {
+  const by_patient = new Map();
+
+  return {
+    listForPatient(patient_id) {
+      return Array.from((by_patient.get(patient_id) || new Map()).values());
+    },
+    save(record) {
+      if (!by_patient.has(record.patient_id)) by_patient.set(record.patient_id, new Map());
+      by_patient.get(record.patient_id).set(record.key, record);
+      return record;
+    },
+    remove(patient_id, key) {
+      const records = by_patient.get(patient_id);
+      return records ? records.delete(key) : false;
+    }
+  };
+}
+
+function isValidDate(v) {
+  return (typeof v === "string" || v instanceof Date) && !isNaN(new Date(v).getTime());
+}
+
+/**
+ * Record a clinician override of an alert
+ * @param {Object} store - Override store (see interface above)
+ * @param {string} patient_id - Opaque patient key
+ * @param {Object} alert - Alert as returned by MED_SAFETY_ENGINE
+ * @param {Object} details
+ * @param {string} details.reason_code - One of OVERRIDE_REASON_CODES
+ * @param {string} details.clinician - Clinician identifier
+ * @param {string} [details.note] - Free text (required for OTHER)
+ * @param {string|Date} [details.expires_at] - ISO date; omitted = no expiry
+ * @param {string|Date} [details.recorded_at] - Defaults to now
+ * @returns {Object} stored record
+ * @throws {OverrideError}
+ */
+function recordOverride(store, patient_id, alert, details = {}) {
+  const issues = [];
+  if (typeof patient_id !== "string" || !patient_id.trim()) issues.push("patient_id: required string");
+  if (!alert || !isRegisteredAlertCode(alert.alert_code)) issues.push("alert: must carry a registered alert_code");
+  if (alert && !SEVERITY_ORDER[alert.severity]) issues.push("alert: missing or unknown severity");
+  if (!OVERRIDE_REASON_CODES[details.reason_code]) {
+    issues.push(`reason_code: must be one of ${Object.keys(OVERRIDE_REASON_CODES).join(", ")}`);
+  }
+  if (details.reason_code === OVERRIDE_REASON_CODES.OTHER && !(details.note && String(details.note).trim())) {
+    issues.push("note: required when reason_code is OTHER");
+  }
+  if (typeof details.clinician !== "string" || !details.clinician.trim()) issues.push("clinician: required string");
+  if (details.expires_at !== undefined && details.expires_at !== null && !isValidDate(details.expires_at)) {
+    issues.push("expires_at: expected an ISO date string");
+  }
+  if (details.recorded_at !== undefined && !isValidDate(details.recorded_at)) {
+    issues.push("recorded_at: expected an ISO date string");
+  }
+  if (issues.length > 0) throw new OverrideError(issues);
+
+  const drugs = alertDrugs(alert);
+  return store.save({
+    key: alertKey({ alert_code: alert.alert_code, drugs_involved: drugs }),
+    patient_id,
+    alert_code: alert.alert_code,
+    drugs,
+    severity: alert.severity,
+    reason_code: details.reason_code,
+    note: details.note ? String(details.note) : null,
+    clinician: details.clinician,
+    recorded_at: new Date(details.recorded_at || Date.now()).toISOString(),
+    expires_at: details.expires_at ? new Date(details.expires_at).toISOString() : null
+  });
+}
+
+function overrideSummary(record) {
+  const { reason_code, note, clinician, recorded_at, expires_at, severity, drugs } = record;
+  return { reason_code, note, clinician, recorded_at, expires_at, severity, drugs };
+}
+
+/**
+ * Mark alerts covered by an active override
+ * @param {Array} alerts
+ * @param {Array} overrides - Records for this patient
+ * @param {Date} [now]
+ * @returns {Array} alerts, each with acknowledged: boolean (+ override | override_refired)
+ */
+function applyOverrides(alerts, overrides, now = new Date()) {
+  const active = overrides.filter(o => !o.expires_at || new Date(o.expires_at) > now);
+
+  return alerts.map(alert => {
+    const key = alertKey(alert);
+    const exact = active.find(o => o.key === key);
+
+    if (exact) {
+      if (isMoreSevere(alert.severity, exact.severity)) {
+        return { ...alert, acknowledged: false, override_refired: { reason: "severity_escalated", previous: overrideSummary(exact) } };
+      }
+      return { ...alert, acknowledged: true, override: overrideSummary(exact) };
+    }
+
+    // Same code and one drug set contains the other: the overridden alert gained or lost a drug.
+    // The same code on unrelated drugs is a different alert and stays un-annotated.
+    const changed = active.find(o => sameAlertFamily({ alert_code: o.alert_code, drugs_involved: o.drugs }, alert));
+    if (changed) {
+      return { ...alert, acknowledged: false, override_refired: { reason: "drug_set_changed", previous: overrideSummary(changed) } };
+    }
+    return { ...alert, acknowledged: false };
+  });
+}
+
+module.exports = {
+  OVERRIDE_REASON_CODES,
+  OverrideError,
+  createMemoryOverrideStore,
+  recordOverride,
+  applyOverrides
+};
@@ -0,0 +1,196 @@
+/**
+ * CONFLICTING RECOMMENDATIONS
+ * Finds alerts that pull the same drug or class in opposite directions and settles
+ * each pair by a fixed precedence policy
+ *
+ * - Alerts recommend a subject (ppi_required, suggested alternatives) or discourage one
+ *   (the drugs they flag, per DISCOURAGES or a renal AVOID/CONTRAINDICATED threshold)
+ * - A recommendation and a discouragement of the same drug or class, from different
+ *   alerts, conflict. The stance with the stronger basis (CONFLICT_PRECEDENCE) prevails;
+ *   on equal basis the discouragement prevails
+ * - Alternatives are also looked up in Beers Table 1 when the Beers check ran, since a
+ *   suggested drug the patient does not take yet raises no Beers alert of its own
+ * - Both alerts get a `conflicts` entry naming the other side, the subject and the
+ *   resolution; no alert is removed or re-graded
+ */
+
+const { ALERT_CODES } = require("../constants/alert_codes.js");
+const { alertKey } = require("./alert_identity.js");
+const { normalizeDrugText } = require("./drug_matcher.js");
+const { NULL_TRACER } = require("./rule_trace.js");
+
+const CONFLICT_BASIS = Object.freeze({
+  PATIENT_SPECIFIC: "patient_specific",   // contraindication or limit for this patient (renal, drug-disease, daily max)
+  INDICATED_THERAPY: "indicated_therapy", // therapy the regimen calls for (PPI with high-bleed-risk antithrombotics)
+  GENERAL_CAUTION: "general_caution",     // population-level advice (Beers Table 1, long-term PPI)
+  ALTERNATIVE: "alternative"              // suggested replacement, not checked against this patient
+});
+
+// Strongest first
+const CONFLICT_PRECEDENCE = [
+  CONFLICT_BASIS.PATIENT_SPECIFIC, CONFLICT_BASIS.INDICATED_THERAPY, CONFLICT_BASIS.GENERAL_CAUTION, CONFLICT_BASIS.ALTERNATIVE
+];
+
+const STANCE = Object.freeze({ RECOMMEND: "recommend", DISCOURAGE: "discourage" });
+
+// alert_code → what the alert discourages: `drugs` (the drugs it names), `classes` or `names`
+const DISCOURAGES = {
+  TRIPLE_WHAMMY_NSAID_CKD: { drugs: true, basis: CONFLICT_BASIS.PATIENT_SPECIFIC },
+  BEERS_DISEASE_INTERACTION: { drugs: true, basis: CONFLICT_BASIS.PATIENT_SPECIFIC },
+  ACETAMINOPHEN_DAILY_MAX: { names: ["acetaminophen"], basis: CONFLICT_BASIS.PATIENT_SPECIFIC },
+  BEERS_PIM_TABLE1: { drugs: true, basis: CONFLICT_BASIS.GENERAL_CAUTION },
+  BEERS_PPI_LONG_TERM: { classes: ["PPI"], basis: CONFLICT_BASIS.GENERAL_CAUTION }
+};
+
+// alert_code → alternatives named only in the action text
+const SUGGESTS = {
+  TRIPLE_WHAMMY_NSAID_CKD: ["acetaminophen"],
+  RENAL_GLYBURIDE_AVOID: ["glipizide"]
+};
+
+const RENAL_DISCOURAGING_ACTIONS = ["AVOID", "CONTRAINDICATED"];
+
+/**
+ * Subjects an alert recommends or discourages
+ * @param {Object} alert
+ * @param {Function} drugSubject - display name → { names, classes } of that medication
+ * @returns {Array<{ stance, basis, label, names: string[], classes: string[] }>}
+ */
+function alertStances(alert, drugSubject) {
+  const stances = [];
+  const drugs = alert.drug ? [alert.drug] : alert.drugs_involved || [];
+  const discourageDrugs = basis => {
+    for (const drug of drugs) stances.push({ stance: STANCE.DISCOURAGE, basis, label: drug, ...drugSubject(drug, alert) });
+  };
+
+  const rule = DISCOURAGES[alert.alert_code];
+  if (rule && rule.drugs) discourageDrugs(rule.basis);
+  for (const cls of (rule && rule.classes) || []) {
+    stances.push({ stance: STANCE.DISCOURAGE, basis: rule.basis, label: cls, names: [], classes: [cls] });
+  }
+  for (const name of (rule && rule.names) || []) {
+    stances.push({ stance: STANCE.DISCOURAGE, basis: rule.basis, label: name, names: [name], classes: [] });
+  }
+  if (!rule && RENAL_DISCOURAGING_ACTIONS.includes(alert.renal_action)) discourageDrugs(CONFLICT_BASIS.PATIENT_SPECIFIC);
+
+  const dabigatran_switch = alert.alert_code === ALERT_CODES.ANTITHROMB_DOAC_DOSE_CHECK && /^switch/i.test(alert.action || "");
+  if (dabigatran_switch) discourageDrugs(CONFLICT_BASIS.PATIENT_SPECIFIC);
+
+  if (alert.ppi_required) {
+    stances.push({ stance: STANCE.RECOMMEND, basis: CONFLICT_BASIS.INDICATED_THERAPY, label: "PPI", names: [], classes: ["PPI"] });
+  }
+  const listed = Array.isArray(alert.alternatives) ? alert.alternatives
+    : typeof alert.alternatives === "string" ? alert.alternatives.split(",") : [];
+  const alternatives = [
+    ...listed, ...(SUGGESTS[alert.alert_code] || []), ...(dabigatran_switch ? ["apixaban", "warfarin"] : [])
+  ];
+  for (const name of new Set(alternatives.map(a => a.trim()).filter(Boolean))) {
+    stances.push({ stance: STANCE.RECOMMEND, basis: CONFLICT_BASIS.ALTERNATIVE, label: name, names: [name], classes: [] });
+  }
+  return stances;
+}
+
+// Word-boundary containment on normalized names, either way round
+function namesOverlap(a, b) {
+  const contains = (text, term) => ` ${normalizeDrugText(text)} `.includes(` ${normalizeDrugText(term)} `);
+  return a.some(x => x && b.some(y => y && (contains(x, y) || contains(y, x))));
+}
+
+function sameSubject(a, b) {
+  const classes_a = a.classes.map(normalizeDrugText);
+  const classes_b = b.classes.map(normalizeDrugText);
+  return classes_a.some(c => classes_b.includes(c))
+    || namesOverlap(a.names, b.names)
+    || a.names.some(n => classes_b.includes(normalizeDrugText(n)))
+    || b.names.some(n => classes_a.includes(normalizeDrugText(n)));
+}
+
+/**
+ * Which side of a conflict prevails
+ * @returns {Object} the recommend or discourage stance
+ */
+function prevailing(recommend, discourage) {
+  const rank = s => CONFLICT_PRECEDENCE.indexOf(s.basis);
+  return rank(recommend) < rank(discourage) ? recommend : discourage;
+}
+
+/**
+ * @param {Array} alerts - Final alerts (display names restored)
+ * @param {Array} medications - Enriched current_medications ({ name, display_name, class })
+ * @param {Object} [options]
+ * @param {Function} [options.pim_lookup] - name → Beers Table 1 entry or null; omit when Beers does not apply
+ * @param {Object} [options.trace] - Rule tracer (utils/rule_trace.js)
+ * @returns {Array} alerts, those in a conflict copied with `conflicts` added
+ */
+function resolveRecommendationConflicts(alerts, medications, options = {}) {
+  const { pim_lookup = null, trace = NULL_TRACER } = options;
+
+  const drugSubject = (drug, alert) => {
+    let components = medications.filter(m => (m.display_name || m.name) === drug);
+    if (alert.ingredients) components = components.filter(m => alert.ingredients.includes(m.name));
+    if (components.length === 0) return { names: [drug], classes: [] };
+    return {
+      names: [drug, ...components.map(m => m.name)],
+      classes: components.map(m => m.class).filter(Boolean)
+    };
+  };
+
+  const stances = alerts.flatMap((alert, index) => alertStances(alert, drugSubject).map(s => ({ ...s, index })));
+  const found = alerts.map(() => []);
+  const steps = alerts.map(() => []);
+  const ref = s => s.ref || {
+    alert_code: alerts[s.index].alert_code, alert_key: alertKey(alerts[s.index]), stance: s.stance, basis: s.basis
+  };
+
+  const record = (recommend, discourage) => {
+    const winner = prevailing(recommend, discourage);
+    const loser = winner === recommend ? discourage : recommend;
+    const policy = winner.basis === loser.basis
+      ? `equal basis (${winner.basis}): discourage prevails`
+      : `${winner.basis} outranks ${loser.basis}`;
+    const subject = recommend.label;
+    const step = trace.step("recommendation_conflict", {
+      inputs: { subject, recommend: ref(recommend).alert_code, discourage: ref(discourage).alert_code || ref(discourage).source },
+      branch: `${policy} → ${winner.stance} prevails`
+    });
+    for (const [own, other] of [[recommend, discourage], [discourage, recommend]]) {
+      if (own.index === undefined) continue;
+      found[own.index].push({
+        subject,
+        stance: own.stance,
+        basis: own.basis,
+        with: ref(other),
+        resolution: own === winner ? "prevails" : "superseded",
+        policy
+      });
+      steps[own.index].push(step);
+    }
+  };
+
+  const discouraging = stances.filter(s => s.stance === STANCE.DISCOURAGE);
+  for (const recommend of stances.filter(s => s.stance === STANCE.RECOMMEND)) {
+    const opposed = discouraging.filter(d => d.index !== recommend.index && sameSubject(recommend, d));
+    for (const discourage of opposed) record(recommend, discourage);
+
+    // An alternative the patient does not take yet raises no Beers alert of its own
+    if (opposed.length > 0 || !pim_lookup || recommend.basis !== CONFLICT_BASIS.ALTERNATIVE) continue;
+    const pim = pim_lookup(recommend.label);
+    if (!pim) continue;
+    record(recommend, {
+      stance: STANCE.DISCOURAGE, basis: CONFLICT_BASIS.GENERAL_CAUTION, label: recommend.label, names: [pim.drug], classes: [],
+      ref: { source: "BEERS_TABLE1", drug: pim.drug, stance: STANCE.DISCOURAGE, basis: CONFLICT_BASIS.GENERAL_CAUTION, reason: pim.reason }
+    });
+  }
+
+  return alerts.map((alert, i) => {
+    if (found[i].length === 0) return alert;
+    return trace.link({ ...alert, conflicts: [...(alert.conflicts || []), ...found[i]] }, ...steps[i]);
+  });
+}
+
+module.exports = {
+  CONFLICT_BASIS,
+  CONFLICT_PRECEDENCE,
+  DISCOURAGES,
+  resolveRecommendationConflicts
+};
@@ -0,0 +1,67 @@
+/**
+ * RULE EVALUATION TRACE
+ * Opt-in record of how each check reached its alerts (MED_SAFETY_ENGINE options.trace)
+ *
+ * A check receives a tracer as input.trace and records steps:
+ *   const id = trace.step("apixaban_dose", { inputs, buckets, thresholds, branch });
+ *   alerts.push(trace.link({ ...alert }, id));
+ *
+ * Step details (all optional, plain JSON):
+ * - inputs:     patient/medication values the rule read
+ * - buckets:    classified medication names, e.g. { opioid: ["oxycodone"], benzo: [] }
+ * - thresholds: limits compared against
+ * - branch:     human-readable description of the branch taken
+ *
+ * link() adds trace_ids to the alert. When tracing is off, checks get NULL_TRACER:
+ * step() returns null and link() returns the alert unchanged, so instrumented
+ * checks behave identically and pay no cost.
+ */
+
+const NULL_TRACER = Object.freeze({
+  enabled: false,
+  step: () => null,
+  link: alert => alert
+});
+
+/**
+ * @returns {{ forCheck: Function, entries: Array }}
+ */
+function createRuleTrace() {
+  const entries = [];
+  const counters = new Map();
+
+  /**
+   * Tracer whose step ids are namespaced by check id ("opioid#3")
+   * @param {string} check_id
+   */
+  function forCheck(check_id) {
+    return {
+      enabled: true,
+      step(rule, details = {}) {
+        const n = (counters.get(check_id) || 0) + 1;
+        counters.set(check_id, n);
+        const id = `${check_id}#${n}`;
+        entries.push({ id, check: check_id, rule, ...details });
+        return id;
+      },
+      link(alert, ...ids) {
+        const linked = ids.filter(Boolean);
+        if (linked.length === 0) return alert;
+        return { ...alert, trace_ids: [...(alert.trace_ids || []), ...linked] };
+      }
+    };
+  }
+
+  return { forCheck, entries };
+}
+
+/**
+ * Medication names for a bucket (trace entries hold names, not med objects)
+ * @param {Array} meds
+ * @returns {string[]}
+ */
+function medNames(meds) {
+  return meds.map(m => (typeof m === "string" ? m : m && m.name)).filter(Boolean);
+}
+
+module.exports = { NULL_TRACER, createRuleTrace, medNames };
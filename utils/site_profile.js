@@ -0,0 +1,251 @@
+/**
+ * SITE CONFIGURATION PROFILES
+ * Per-site overrides for alert thresholds, per-code severities and disabled rules
+ *
+ * A profile is a plain object (or JSON file) of the shape:
+ * {
+ *   name: "nephrology_clinic",
+ *   thresholds: {
+ *     opioid:         { mme_moderate, mme_high, cns_polypharmacy_count },
+ *     beers:          { acb_score, cns_active_count },
+ *     antithrombotic: { bleed_risk_factors },
+ *     renal:          { egfr_max: { metformin: [30, 45, 60], ... } },
+ *     acetaminophen:  { max_daily_mg, max_daily_mg_hepatic_risk }
+ *   },
+ *   severities: { OPIOID_HIGH_MME: "HIGH", ... },
+ *   disabled_rules: ["ANTITHROMB_NO_INDICATION", ...],   // alert codes suppressed
+ *   disabled_checks: ["beers", ...]                      // check ids skipped
+ * }
+ *
+ * Omitted values fall back to the built-in defaults. Resolved profiles carry a
+ * SHA-256 hash of their effective contents, echoed in every engine result so an
+ * alert can be traced to the exact configuration that produced it.
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+const { isRegisteredAlertCode } = require("../constants/alert_codes.js");
+const { SEVERITY_ORDER } = require("../constants/severity.js");
+const { OPIOID_THRESHOLDS } = require("../functions/03_opioid_safety.js");
+const { ANTITHROMBOTIC_THRESHOLDS } = require("../functions/04_antithrombotic.js");
+const { BEERS_THRESHOLDS } = require("../functions/06_beers.js");
+const { RENAL_DRUG_RULES } = require("../functions/01_renal_dosing.js");
+const { ACETAMINOPHEN_THRESHOLDS } = require("../functions/09_acetaminophen.js");
+
+// The renal check only runs below this eGFR (see orchestrator.js)
+const RENAL_CHECK_EGFR_CEILING = 90;
+
+const DEFAULT_THRESHOLDS = {
+  opioid: { ...OPIOID_THRESHOLDS },
+  beers: { ...BEERS_THRESHOLDS },
+  antithrombotic: { ...ANTITHROMBOTIC_THRESHOLDS },
+  renal: {
+    egfr_max: Object.fromEntries(
+      Object.entries(RENAL_DRUG_RULES).map(([drug, rules]) => [drug, rules.thresholds.map(t => t.egfr_max)])
+    )
+  },
+  acetaminophen: { ...ACETAMINOPHEN_THRESHOLDS }
+};
+
+class SiteProfileError extends Error {
+  constructor(issues, name) {
+    super(`Invalid site profile${name ? ` "${name}"` : ""}: ${issues.join("; ")}`);
+    this.name = "SiteProfileError";
+    this.issues = issues;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════
+
+function isPositiveNumber(v) {
+  return typeof v === "number" && Number.isFinite(v) && v > 0;
+}
+
+function resolveNumericThresholds(domain, overrides, issues) {
+  const resolved = { ...DEFAULT_THRESHOLDS[domain] };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (!(key in resolved)) {
+      issues.push(`thresholds.${domain}.${key}: unknown threshold`);
+    } else if (!isPositiveNumber(value)) {
+      issues.push(`thresholds.${domain}.${key}: must be a positive number`);
+    } else {
+      resolved[key] = value;
+    }
+  }
+  return resolved;
+}
+
+function resolveRenalThresholds(overrides, issues) {
+  const egfr_max = { ...DEFAULT_THRESHOLDS.renal.egfr_max };
+  for (const key of Object.keys(overrides || {})) {
+    if (key !== "egfr_max") issues.push(`thresholds.renal.${key}: unknown threshold`);
+  }
+
+  for (const [drug, values] of Object.entries((overrides && overrides.egfr_max) || {})) {
+    const path = `thresholds.renal.egfr_max.${drug}`;
+    if (!egfr_max[drug]) {
+      issues.push(`${path}: no renal rule for this drug`);
+      continue;
+    }
+    if (!Array.isArray(values) || values.length !== egfr_max[drug].length) {
+      issues.push(`${path}: expected ${egfr_max[drug].length} value(s), one per threshold`);
+      continue;
+    }
+    if (!values.every(v => isPositiveNumber(v) && v <= RENAL_CHECK_EGFR_CEILING)) {
+      issues.push(`${path}: values must be numbers in (0, ${RENAL_CHECK_EGFR_CEILING}]`);
+      continue;
+    }
+    if (values.some((v, i) => i > 0 && v < values[i - 1])) {
+      issues.push(`${path}: values must be ascending (most restrictive threshold first)`);
+      continue;
+    }
+    egfr_max[drug] = values.slice();
+  }
+  return { egfr_max };
+}
+
+function resolveSeverities(overrides, issues) {
+  const resolved = {};
+  for (const [code, severity] of Object.entries(overrides || {})) {
+    if (!isRegisteredAlertCode(code)) {
+      issues.push(`severities.${code}: unknown alert code`);
+    } else if (!SEVERITY_ORDER[severity]) {
+      issues.push(`severities.${code}: "${severity}" is not one of ${Object.keys(SEVERITY_ORDER).join(", ")}`);
+    } else {
+      resolved[code] = severity;
+    }
+  }
+  return resolved;
+}
+
+function resolveList(field, values, isKnown, issues) {
+  if (values === undefined) return [];
+  if (!Array.isArray(values)) {
+    issues.push(`${field}: must be an array`);
+    return [];
+  }
+  for (const v of values) {
+    if (!isKnown(v)) issues.push(`${field}: unknown entry "${v}"`);
+  }
+  return [...new Set(values.filter(isKnown))].sort();
+}
+
+// ═══════════════════════════════════════════════════════════════
+// HASHING
+// ═══════════════════════════════════════════════════════════════
+
+// JSON with sorted object keys, so equal profiles hash equally regardless of key order
+function canonicalJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashProfile(content) {
+  return crypto.createHash("sha256").update(canonicalJSON(content)).digest("hex");
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════
+
+const DEFAULT_PROFILE = { name: "default" };
+
+// Resolved profiles are frozen and returned as given
+const resolved_profiles = new WeakSet();
+// Raw profiles are keyed on their content, so a caller editing its object gets a fresh resolution
+const resolved_cache = new Map(); // canonical JSON → resolved profile
+// Cleared when full (per-call profiles in a long-running service would otherwise grow it forever)
+const RESOLVED_CACHE_LIMIT = 100;
+
+/**
+ * Merge a profile with the defaults and validate it
+ * disabled_checks ids are checked against the registry by MED_SAFETY_ENGINE
+ * @param {Object} [profile] - Raw or already-resolved profile (undefined → default profile)
+ * @returns {Object} frozen resolved profile: { name, hash, thresholds, severities, disabled_rules, disabled_checks }
+ * @throws {SiteProfileError}
+ */
+function resolveSiteProfile(profile) {
+  if (profile === undefined || profile === null) profile = DEFAULT_PROFILE;
+  if (typeof profile !== "object" || Array.isArray(profile)) {
+    throw new SiteProfileError(["profile must be an object"]);
+  }
+  if (resolved_profiles.has(profile)) return profile;
+  const cache_key = canonicalJSON(profile);
+  if (resolved_cache.has(cache_key)) return resolved_cache.get(cache_key);
+
+  const issues = [];
+  const known_top = ["name", "description", "thresholds", "severities", "disabled_rules", "disabled_checks"];
+  for (const key of Object.keys(profile)) {
+    if (!known_top.includes(key)) issues.push(`${key}: unknown profile field`);
+  }
+  if (typeof profile.name !== "string" || !profile.name.trim()) issues.push("name: required string");
+
+  const thresholds_in = profile.thresholds || {};
+  for (const domain of Object.keys(thresholds_in)) {
+    if (!(domain in DEFAULT_THRESHOLDS)) issues.push(`thresholds.${domain}: unknown domain`);
+  }
+
+  const thresholds = {
+    opioid: resolveNumericThresholds("opioid", thresholds_in.opioid, issues),
+    beers: resolveNumericThresholds("beers", thresholds_in.beers, issues),
+    antithrombotic: resolveNumericThresholds("antithrombotic", thresholds_in.antithrombotic, issues),
+    renal: resolveRenalThresholds(thresholds_in.renal, issues),
+    acetaminophen: resolveNumericThresholds("acetaminophen", thresholds_in.acetaminophen, issues)
+  };
+  if (thresholds.opioid.mme_moderate > thresholds.opioid.mme_high) {
+    issues.push("thresholds.opioid: mme_moderate must not exceed mme_high");
+  }
+  if (thresholds.acetaminophen.max_daily_mg_hepatic_risk > thresholds.acetaminophen.max_daily_mg) {
+    issues.push("thresholds.acetaminophen: max_daily_mg_hepatic_risk must not exceed max_daily_mg");
+  }
+
+  const isCheckId = v => typeof v === "string" && v.trim() !== "";
+  const content = {
+    thresholds,
+    severities: resolveSeverities(profile.severities, issues),
+    disabled_rules: resolveList("disabled_rules", profile.disabled_rules, isRegisteredAlertCode, issues),
+    disabled_checks: resolveList("disabled_checks", profile.disabled_checks, isCheckId, issues)
+  };
+
+  if (issues.length > 0) throw new SiteProfileError(issues, profile.name);
+
+  const resolved = deepFreeze({ name: profile.name.trim(), hash: hashProfile(content), ...content });
+  resolved_profiles.add(resolved);
+  if (resolved_cache.size >= RESOLVED_CACHE_LIMIT) resolved_cache.clear();
+  resolved_cache.set(cache_key, resolved);
+  return resolved;
+}
+
+/**
+ * Load and resolve a profile from a JSON file
+ * @param {string} file_path
+ * @returns {Object} resolved profile
+ */
+function loadSiteProfile(file_path) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file_path, "utf8"));
+  } catch (err) {
+    throw new SiteProfileError([`${file_path}: ${err.message}`]);
+  }
+  return resolveSiteProfile(raw);
+}
+
+function deepFreeze(obj) {
+  for (const v of Object.values(obj)) {
+    if (v && typeof v === "object") deepFreeze(v);
+  }
+  return Object.freeze(obj);
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  SiteProfileError,
+  resolveSiteProfile,
+  loadSiteProfile
+};
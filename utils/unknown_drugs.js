@@ -8,12 +8,17 @@
 
 const fs = require('fs');
 const path = require('path');
+const { defineDrugTerms } = require('./drug_matcher.js');
 
 const LOG_FILE = path.join(__dirname, '../logs/unknown_drugs.json');
 
 // In-memory cache to avoid duplicate logging in same session
 const sessionLogged = new Set();
 
+// Common non-drugs (supplements, vitamins); word boundaries keep "iron" out of "spironolactone"
+const SUPPLEMENT_TERMS = defineDrugTerms('unknown_drugs.supplements', ['vitamin', 'calcium', 'magnesium', 'iron', 'zinc',
+  'fish oil', 'omega', 'probiotic', 'fiber', 'd3', 'b12', 'b6', 'folic']);
+
 /**
  * Log an unrecognized drug for future database expansion
  * @param {string} drugName - The drug name that wasn't recognized
@@ -31,9 +36,7 @@ function logUnknownDrug(drugName, context, patientContext = {}) {
   sessionLogged.add(key);
   
   // Skip common non-drugs (supplements, vitamins)
-  const skipList = ['vitamin', 'calcium', 'magnesium', 'iron', 'zinc', 'fish oil', 
-                    'omega', 'probiotic', 'fiber', 'd3', 'b12', 'b6', 'folic'];
-  if (skipList.some(s => normalizedName.includes(s))) return;
+  if (SUPPLEMENT_TERMS.has(normalizedName)) return;
   
   const entry = {
     drug: normalizedName,
@@ -0,0 +1,327 @@
+/**
+ * BATCH SCREENING
+ * Evaluates many patients in one run (population screening, nightly sweeps)
+ *
+ * 1. Input is an array of records or JSONL text (one record per line); a record is
+ *    { patient_id, patient_data } or a flat patient_data object carrying patient_id
+ * 2. Every record is evaluated in isolation: a malformed line, missing id or engine
+ *    error becomes an "error" entry for that record and the run continues
+ * 3. The summary counts alerts by alert_code, domain (ALERT_CODE_META) and severity,
+ *    and ranks the highest-risk patients by unacknowledged alert severity
+ *
+ * MED_SAFETY_ENGINE_BATCH_STREAM() reads JSONL from a Readable stream line by line,
+ * so a file of any size can be screened without holding the input in memory.
+ */
+
+const readline = require("readline");
+const { MED_SAFETY_ENGINE, resolveSiteProfile } = require("../orchestrator.js");
+const { ALERT_CODE_META } = require("../constants/alert_codes.js");
+const { SEVERITY_ORDER, severityRank } = require("../constants/severity.js");
+
+const BATCH_STATUS = Object.freeze({
+  OK: "ok",
+  ERROR: "error"
+});
+
+// Risk score weights per unacknowledged alert; one CRITICAL outranks any number of lower alerts in practice
+const RISK_WEIGHTS = Object.freeze({
+  CRITICAL: 100,
+  HIGH: 10,
+  MODERATE: 3,
+  LOW: 1,
+  INFO: 0
+});
+
+const DEFAULT_TOP_N = 10;
+
+class BatchRecordError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BatchRecordError";
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RECORDS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Split a record into id and patient_data
+ * @param {*} record
+ * @returns {{ patient_id: string, patient_data: Object }}
+ * @throws {BatchRecordError}
+ */
+function normalizeRecord(record) {
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    throw new BatchRecordError("Record must be a JSON object");
+  }
+  const id = record.patient_id;
+  if ((typeof id !== "string" || id.trim() === "") && typeof id !== "number") {
+    throw new BatchRecordError("Record is missing patient_id");
+  }
+
+  if (record.patient_data !== undefined) {
+    if (!record.patient_data || typeof record.patient_data !== "object" || Array.isArray(record.patient_data)) {
+      throw new BatchRecordError("patient_data must be an object");
+    }
+    return { patient_id: String(id), patient_data: record.patient_data };
+  }
+  const { patient_id, ...patient_data } = record;
+  return { patient_id: String(id), patient_data };
+}
+
+function errorEntry(patient_id, index, err) {
+  const error = { name: err.name || "Error", message: err.message };
+  if (err.issues) error.issues = err.issues;
+  return { patient_id, index, status: BATCH_STATUS.ERROR, error };
+}
+
+/**
+ * Parse and identify one record; never throws
+ * @param {*} record - Parsed record, or a JSONL line (string)
+ * @param {number} index - Position in the input (0-based; JSONL line number - 1)
+ * @param {Set} [seen_ids] - Ids already seen in this run (duplicates become errors)
+ * @returns {Object} { patient_id, index, patient_data } or an error entry
+ */
+function prepareBatchRecord(record, index, seen_ids = null) {
+  let patient_id = null;
+  try {
+    let parsed = record;
+    if (typeof record === "string") {
+      try {
+        parsed = JSON.parse(record);
+      } catch (err) {
+        throw new BatchRecordError(`Invalid JSON on line ${index + 1}: ${err.message}`);
+      }
+    }
+    const normalized = normalizeRecord(parsed);
+    patient_id = normalized.patient_id;
+
+    if (seen_ids) {
+      if (seen_ids.has(patient_id)) throw new BatchRecordError(`Duplicate patient_id ${patient_id}`);
+      seen_ids.add(patient_id);
+    }
+    return { patient_id, index, patient_data: normalized.patient_data };
+  } catch (err) {
+    return errorEntry(patient_id, index, err);
+  }
+}
+
+/**
+ * Run the engine on a prepared record; never throws
+ * @param {Object} prepared - From prepareBatchRecord()
+ * @param {Object} [engine_options] - Passed to MED_SAFETY_ENGINE (patient_id is set per record)
+ * @returns {Object} { patient_id, index, status, result | error }
+ */
+function evaluatePreparedRecord(prepared, engine_options = {}) {
+  const { patient_id, index, patient_data } = prepared;
+  try {
+    const result = MED_SAFETY_ENGINE(patient_data, { ...engine_options, patient_id });
+    return { patient_id, index, status: BATCH_STATUS.OK, result };
+  } catch (err) {
+    return errorEntry(patient_id, index, err);
+  }
+}
+
+/**
+ * Evaluate one record; never throws
+ * @param {*} record - Parsed record, or a JSONL line (string)
+ * @param {number} index - Position in the input (0-based; JSONL line number - 1)
+ * @param {Object} [engine_options] - Passed to MED_SAFETY_ENGINE (patient_id is set per record)
+ * @param {Set} [seen_ids] - Ids already evaluated in this run (duplicates become errors)
+ * @returns {Object} { patient_id, index, status, result | error }
+ */
+function evaluateBatchRecord(record, index, engine_options = {}, seen_ids = null) {
+  const prepared = prepareBatchRecord(record, index, seen_ids);
+  return prepared.status === BATCH_STATUS.ERROR ? prepared : evaluatePreparedRecord(prepared, engine_options);
+}
+
+/**
+ * @param {string} text - JSONL; blank lines are skipped
+ * @returns {Array<{ line: string, index: number }>}
+ */
+function splitJsonl(text) {
+  return String(text)
+    .split(/\r?\n/)
+    .map((line, index) => ({ line, index }))
+    .filter(l => l.line.trim() !== "");
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * @param {Object} result - MED_SAFETY_ENGINE result
+ * @returns {number} weighted sum of unacknowledged alert severities
+ */
+function riskScore(result) {
+  return result.alerts
+    .filter(a => !a.acknowledged)
+    .reduce((sum, a) => sum + (RISK_WEIGHTS[a.severity] || 0), 0);
+}
+
+function compareRisk(a, b) {
+  return b.risk_score - a.risk_score ||
+    b.critical_count - a.critical_count ||
+    b.high_count - a.high_count ||
+    a.index - b.index;
+}
+
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+function sortedKeys(counts) {
+  return Object.fromEntries(Object.keys(counts).sort().map(k => [k, counts[k]]));
+}
+
+/**
+ * Incremental aggregate over batch entries (shared by the array, stream and
+ * parallel runners so all three report identical summaries whatever the order
+ * entries are added in)
+ * @param {Object} [options]
+ * @param {number} [options.top_n=10] - Size of the highest_risk list
+ * @returns {{ add: Function, finish: Function }}
+ */
+function createBatchSummary(options = {}) {
+  const top_n = options.top_n === undefined ? DEFAULT_TOP_N : options.top_n;
+  const summary = {
+    patient_count: 0,
+    evaluated_count: 0,
+    error_count: 0,
+    alert_count: 0,
+    patients_with_alerts: 0,
+    patients_with_blocking_alerts: 0,
+    by_alert_code: {},
+    by_domain: {},
+    by_severity: Object.fromEntries(Object.keys(SEVERITY_ORDER).map(s => [s, 0]))
+  };
+  let ranked = [];
+
+  function add(entry) {
+    summary.patient_count++;
+    if (entry.status !== BATCH_STATUS.OK) {
+      summary.error_count++;
+      return;
+    }
+
+    const { result } = entry;
+    summary.evaluated_count++;
+    summary.alert_count += result.alert_count;
+    if (result.alert_count > 0) summary.patients_with_alerts++;
+    if (result.has_blocking_alerts) summary.patients_with_blocking_alerts++;
+
+    for (const alert of result.alerts) {
+      increment(summary.by_alert_code, alert.alert_code);
+      const meta = ALERT_CODE_META[alert.alert_code];
+      increment(summary.by_domain, meta ? meta.domain : "UNREGISTERED");
+      increment(summary.by_severity, alert.severity);
+    }
+
+    const risk_score = riskScore(result);
+    if (risk_score === 0 || top_n <= 0) return;
+    ranked.push({
+      patient_id: entry.patient_id,
+      index: entry.index,
+      risk_score,
+      critical_count: result.alerts.filter(a => a.severity === "CRITICAL" && !a.acknowledged).length,
+      high_count: result.alerts.filter(a => a.severity === "HIGH" && !a.acknowledged).length,
+      alert_codes: [...new Set(result.alerts
+        .filter(a => !a.acknowledged && severityRank(a.severity) <= severityRank("HIGH"))
+        .map(a => a.alert_code))]
+    });
+    // Keep the list bounded for large runs
+    if (ranked.length > top_n * 2) ranked = ranked.sort(compareRisk).slice(0, top_n);
+  }
+
+  function finish() {
+    return {
+      ...summary,
+      by_alert_code: sortedKeys(summary.by_alert_code),
+      by_domain: sortedKeys(summary.by_domain),
+      highest_risk: ranked.sort(compareRisk).slice(0, top_n)
+    };
+  }
+
+  return { add, finish };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// RUNNERS
+// ═══════════════════════════════════════════════════════════════
+
+function splitOptions(options) {
+  const { top_n, include_results, on_result, ...engine_options } = options;
+  // Resolve once so a bad profile fails the run up front instead of every record
+  if (engine_options.profile) engine_options.profile = resolveSiteProfile(engine_options.profile);
+  return { top_n, include_results: include_results !== false, on_result, engine_options };
+}
+
+/**
+ * @param {Array|string} input - Array of records, or JSONL text
+ * @param {Object} [options] - MED_SAFETY_ENGINE options (profile, clock, override_store, ...) plus:
+ * @param {number} [options.top_n=10] - Size of summary.highest_risk
+ * @param {boolean} [options.include_results=true] - false keeps only the summary and error entries
+ * @param {Function} [options.on_result] - (entry) => void, called per record in input order
+ * @returns {{ results: Array, summary: Object }}
+ */
+function MED_SAFETY_ENGINE_BATCH(input, options = {}) {
+  let items;
+  if (Array.isArray(input)) items = input.map((record, index) => ({ record, index }));
+  else if (typeof input === "string") items = splitJsonl(input).map(l => ({ record: l.line, index: l.index }));
+  else throw new Error("Batch input must be an array of records or JSONL text");
+
+  const { top_n, include_results, on_result, engine_options } = splitOptions(options);
+  const summary = createBatchSummary({ top_n });
+  const seen_ids = new Set();
+  const results = [];
+
+  for (const { record, index } of items) {
+    const entry = evaluateBatchRecord(record, index, engine_options, seen_ids);
+    summary.add(entry);
+    if (on_result) on_result(entry);
+    if (include_results || entry.status === BATCH_STATUS.ERROR) results.push(entry);
+  }
+
+  return { results, summary: summary.finish() };
+}
+
+/**
+ * @param {import("stream").Readable} stream - JSONL
+ * @param {Object} [options] - As for MED_SAFETY_ENGINE_BATCH
+ * @returns {Promise<{ results: Array, summary: Object }>}
+ */
+async function MED_SAFETY_ENGINE_BATCH_STREAM(stream, options = {}) {
+  const { top_n, include_results, on_result, engine_options } = splitOptions(options);
+  const summary = createBatchSummary({ top_n });
+  const seen_ids = new Set();
+  const results = [];
+
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let index = 0;
+  for await (const line of lines) {
+    const line_index = index++;
+    if (line.trim() === "") continue;
+    const entry = evaluateBatchRecord(line, line_index, engine_options, seen_ids);
+    summary.add(entry);
+    if (on_result) on_result(entry);
+    if (include_results || entry.status === BATCH_STATUS.ERROR) results.push(entry);
+  }
+
+  return { results, summary: summary.finish() };
+}
+
+module.exports = {
+  MED_SAFETY_ENGINE_BATCH,
+  MED_SAFETY_ENGINE_BATCH_STREAM,
+  BATCH_STATUS,
+  RISK_WEIGHTS,
+  BatchRecordError,
+  evaluateBatchRecord,
+  prepareBatchRecord,
+  evaluatePreparedRecord,
+  splitJsonl,
+  createBatchSummary,
+  riskScore
+};
@@ -0,0 +1,241 @@
+/**
+ * PARALLEL BATCH SCREENING
+ * Spreads MED_SAFETY_ENGINE_BATCH over a pool of worker_threads (workflows/batch_worker.js)
+ *
+ * 1. Records are parsed, identified and de-duplicated on the main thread, in input
+ *    order, exactly as the serial runner does (workflows/batch.js prepareBatchRecord)
+ * 2. Prepared records go to the workers in chunks; each worker evaluates them with
+ *    evaluatePreparedRecord, so every entry is the one serial evaluation would produce
+ * 3. Entries are emitted in input order (ordered: true, buffered) or as they complete
+ *    (ordered: false); the returned results are always in input order
+ *
+ * Engine options must survive structured cloning: custom registries and override
+ * stores are rejected (use MED_SAFETY_ENGINE_BATCH), and options.clock is read once
+ * when the run starts. A crashed worker fails only the records in its chunk and is
+ * replaced.
+ */
+
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const { Worker } = require("worker_threads");
+const { resolveSiteProfile } = require("../orchestrator.js");
+const {
+  BATCH_STATUS,
+  prepareBatchRecord,
+  createBatchSummary,
+  splitJsonl
+} = require("./batch.js");
+
+const WORKER_SCRIPT = path.join(__dirname, "batch_worker.js");
+const DEFAULT_CHUNK_SIZE = 16;
+
+// Engine options that cannot cross a thread boundary
+const UNTRANSFERABLE_OPTIONS = ["registry", "override_store"];
+
+function defaultConcurrency() {
+  const cores = typeof os.availableParallelism === "function" ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1, cores - 1);
+}
+
+/**
+ * @param {Array|string|import("stream").Readable} input
+ * @returns {{ items: AsyncIterable<{ record, index }>, total: number|null }}
+ */
+function inputItems(input) {
+  if (Array.isArray(input)) {
+    return { items: input.map((record, index) => ({ record, index })), total: input.length };
+  }
+  if (typeof input === "string") {
+    const lines = splitJsonl(input);
+    return { items: lines.map(l => ({ record: l.line, index: l.index })), total: lines.length };
+  }
+  if (input && typeof input.pipe === "function") {
+    // The interface is created on first pull so no line is emitted before it is consumed
+    async function* fromStream() {
+      let index = 0;
+      for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+        const line_index = index++;
+        if (line.trim() !== "") yield { record: line, index: line_index };
+      }
+    }
+    return { items: fromStream(), total: null };
+  }
+  throw new Error("Batch input must be an array of records, JSONL text or a Readable stream");
+}
+
+function workerFailure(record, err) {
+  return {
+    patient_id: record.patient_id,
+    index: record.index,
+    status: BATCH_STATUS.ERROR,
+    error: { name: "BatchWorkerError", message: `Worker failed: ${err.message}` }
+  };
+}
+
+/**
+ * One worker thread evaluating one chunk at a time
+ */
+function createWorkerSlot(worker_data) {
+  let worker = null;
+  let next_id = 0;
+
+  function spawn() {
+    worker = new Worker(WORKER_SCRIPT, { workerData: worker_data });
+    return worker;
+  }
+
+  function evaluate(records) {
+    const current = worker || spawn();
+    const id = next_id++;
+    return new Promise(resolve => {
+      const done = entries => {
+        current.off("message", onMessage);
+        current.off("error", onError);
+        current.off("exit", onExit);
+        resolve(entries);
+      };
+      const fail = err => {
+        worker = null;
+        current.terminate();
+        done(records.map(r => workerFailure(r, err)));
+      };
+      const onMessage = msg => { if (msg.id === id) done(msg.entries); };
+      const onError = err => fail(err);
+      const onExit = code => fail(new Error(`exited with code ${code}`));
+      current.on("message", onMessage);
+      current.on("error", onError);
+      current.on("exit", onExit);
+      current.postMessage({ id, records });
+    });
+  }
+
+  function close() {
+    const current = worker;
+    worker = null;
+    return current ? current.terminate() : Promise.resolve();
+  }
+
+  return { evaluate, close };
+}
+
+/**
+ * @param {Array|string|import("stream").Readable} input - Array of records, JSONL text or a JSONL stream
+ * @param {Object} [options] - MED_SAFETY_ENGINE options (profile, clock, strict, ...) plus:
+ * @param {number} [options.concurrency] - Worker threads (default: available cores - 1, at least 1)
+ * @param {boolean} [options.ordered=true] - on_result in input order; false emits as entries complete
+ * @param {number} [options.chunk_size=16] - Records per worker message
+ * @param {Function} [options.on_result] - (entry) => void
+ * @param {Function} [options.on_progress] - ({ completed, total, error_count }) => void, per completed chunk;
+ *   total is null for streams
+ * @param {number} [options.top_n=10] - Size of summary.highest_risk
+ * @param {boolean} [options.include_results=true] - false keeps only the summary and error entries
+ * @returns {Promise<{ results: Array, summary: Object }>} same shape (and entries) as MED_SAFETY_ENGINE_BATCH
+ */
+async function MED_SAFETY_ENGINE_BATCH_PARALLEL(input, options = {}) {
+  const {
+    concurrency = defaultConcurrency(),
+    ordered = true,
+    chunk_size = DEFAULT_CHUNK_SIZE,
+    on_result,
+    on_progress,
+    top_n,
+    include_results,
+    clock,
+    profile,
+    ...engine_options
+  } = options;
+
+  for (const key of UNTRANSFERABLE_OPTIONS) {
+    if (engine_options[key]) throw new Error(`options.${key} cannot be used with worker threads; use MED_SAFETY_ENGINE_BATCH`);
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error("options.concurrency must be a positive integer");
+  if (!Number.isInteger(chunk_size) || chunk_size < 1) throw new Error("options.chunk_size must be a positive integer");
+  if (clock !== undefined && typeof clock !== "function") throw new Error("options.clock must be a function returning a Date");
+
+  const { items, total } = inputItems(input);
+  const worker_data = {
+    engine_options,
+    profile: profile ? { ...resolveSiteProfile(profile) } : undefined,
+    evaluation_time: clock ? new Date(clock()).toISOString() : undefined
+  };
+
+  const summary = createBatchSummary({ top_n });
+  const keep_all = include_results !== false;
+  const kept = [];
+  let completed = 0;
+  let error_count = 0;
+
+  // ORDERED EMISSION (entries buffered by sequence number until their turn)
+  const pending = new Map();
+  let next_emit = 0;
+  const emit = entry => {
+    summary.add(entry);
+    if (on_result) on_result(entry);
+    if (keep_all || entry.status === BATCH_STATUS.ERROR) kept.push(entry);
+  };
+  const complete = (seq, entry) => {
+    completed++;
+    if (entry.status === BATCH_STATUS.ERROR) error_count++;
+    if (!ordered) return emit(entry);
+    pending.set(seq, entry);
+    while (pending.has(next_emit)) {
+      emit(pending.get(next_emit));
+      pending.delete(next_emit++);
+    }
+  };
+
+  // SOURCE (pulls are serialized so preparation stays in input order)
+  const iterator = (items[Symbol.asyncIterator] || items[Symbol.iterator]).call(items);
+  const seen_ids = new Set();
+  let next_seq = 0;
+  let exhausted = false;
+  let pulling = Promise.resolve();
+  const readChunk = async () => {
+    const chunk = [];
+    while (!exhausted && chunk.length < chunk_size) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        exhausted = true;
+        break;
+      }
+      const seq = next_seq++;
+      const prepared = prepareBatchRecord(value.record, value.index, seen_ids);
+      if (prepared.status === BATCH_STATUS.ERROR) complete(seq, prepared);
+      else chunk.push({ seq, prepared });
+    }
+    return chunk;
+  };
+  const nextChunk = () => {
+    const p = pulling.then(readChunk);
+    pulling = p.catch(() => {});
+    return p;
+  };
+
+  const slots = Array.from({ length: concurrency }, () => createWorkerSlot(worker_data));
+  let reported = 0;
+  const runSlot = async slot => {
+    while (!exhausted) {
+      const chunk = await nextChunk();
+      if (chunk.length > 0) {
+        const entries = await slot.evaluate(chunk.map(c => c.prepared));
+        entries.forEach((entry, i) => complete(chunk[i].seq, entry));
+      }
+      if (on_progress && completed > reported) {
+        reported = completed;
+        on_progress({ completed, total, error_count });
+      }
+    }
+  };
+
+  try {
+    await Promise.all(slots.map(runSlot));
+  } finally {
+    await Promise.all(slots.map(s => s.close()));
+  }
+
+  kept.sort((a, b) => a.index - b.index);
+  return { results: kept, summary: summary.finish() };
+}
+
+module.exports = { MED_SAFETY_ENGINE_BATCH_PARALLEL };
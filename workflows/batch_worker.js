@@ -0,0 +1,31 @@
+/**
+ * BATCH WORKER
+ * worker_threads entry point for workflows/batch_parallel.js
+ *
+ * workerData: { engine_options, profile, evaluation_time? }
+ * message in:  { id, records: [{ patient_id, index, patient_data }] }
+ * message out: { id, entries: [{ patient_id, index, status, result | error }] }
+ */
+
+const { parentPort, workerData } = require("worker_threads");
+const { resolveSiteProfile } = require("../orchestrator.js");
+const { evaluatePreparedRecord } = require("./batch.js");
+
+/**
+ * Rebuild the resolved profile sent by the parent (structured clone drops the
+ * resolved-profile cache) and make sure it resolves to the same content hash
+ */
+function reviveProfile(profile) {
+  if (!profile) return undefined;
+  const { hash, ...content } = profile;
+  const resolved = resolveSiteProfile(content);
+  if (resolved.hash !== hash) throw new Error(`Site profile ${profile.name} did not round-trip to the worker`);
+  return resolved;
+}
+
+const engine_options = { ...workerData.engine_options, profile: reviveProfile(workerData.profile) };
+if (workerData.evaluation_time) engine_options.clock = () => new Date(workerData.evaluation_time);
+
+parentPort.on("message", ({ id, records }) => {
+  parentPort.postMessage({ id, entries: records.map(r => evaluatePreparedRecord(r, engine_options)) });
+});
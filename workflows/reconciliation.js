@@ -0,0 +1,214 @@
+/**
+ * MEDICATION RECONCILIATION DIFF
+ * Compares two encounter medication lists (e.g. admission vs discharge)
+ *
+ * 1. Matches entries by normalized drug identity (ATC code via utils/atc_lookup.js,
+ *    falling back to the dose-stripped name)
+ * 2. Classifies each entry: started | stopped | dose_changed | unchanged
+ * 3. Runs MED_SAFETY_ENGINE on both lists and attributes each new, escalated or
+ *    resolved alert to the change(s) that caused it, by counterfactual re-evaluation:
+ *    a change is a cause if undoing it alone (new/escalated alerts) or applying it
+ *    alone (resolved alerts) makes the alert disappear or de-escalate
+ */
+
+const { MED_SAFETY_ENGINE } = require("../orchestrator.js");
+const { lookupDrug } = require("../utils/atc_lookup.js");
+const { parseDoseText } = require("../utils/medication_parser.js");
+const { alertDrugs, findMatchingAlert, diffAlerts } = require("../utils/alert_identity.js");
+const { isMoreSevere } = require("../constants/severity.js");
+
+const CHANGE_STATUS = Object.freeze({
+  STARTED: "started",
+  STOPPED: "stopped",
+  DOSE_CHANGED: "dose_changed",
+  UNCHANGED: "unchanged"
+});
+
+// Fields compared to decide dose_changed
+const REGIMEN_FIELDS = ["dose", "frequency", "route", "sig"];
+
+/**
+ * Strip strength, units and release markers from a medication name
+ * "Metoprolol Succinate ER 50 mg" → "metoprolol succinate"
+ */
+function normalizeName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/\d+(\.\d+)?\s*(mg|mcg|g|ml|units?|%)?/g, " ")
+    .replace(/\b(er|xr|sr|cr|xl|ir|dr|tab(let)?s?|cap(sule)?s?)\b/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Normalized drug identity for matching across lists
+ * @param {Object|string} med
+ * @returns {{ identity: string, atc: string|null }}
+ */
+function drugIdentity(med) {
+  const name = typeof med === "string" ? med : (med && med.name) || "";
+  const supplied_atc = med && typeof med === "object" && med.atc ? String(med.atc).toUpperCase() : null;
+  const info = supplied_atc ? null : lookupDrug(normalizeName(name));
+  const atc = supplied_atc || (info ? info.atc : null);
+  return { identity: atc ? `atc:${atc}` : `name:${normalizeName(name)}`, atc };
+}
+
+function normalizeRegimenValue(v) {
+  return v === undefined || v === null ? "" : String(v).toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Strength and frequency as written anywhere in the entry ("metformin 500mg BID")
+ * @param {Object|string} med
+ */
+function parsedRegimen(med) {
+  const text = typeof med === "string" ? med : [med.name, med.dose, med.sig, med.frequency].filter(Boolean).join(" ");
+  return parseDoseText(text);
+}
+
+function regimenChanged(before, after) {
+  // Plain strings: normalizeName drops the strength, so compare what the parser reads;
+  // a value counts only when both entries state it
+  if (typeof before === "string" || typeof after === "string") {
+    const a = parsedRegimen(before);
+    const b = parsedRegimen(after);
+    const strength_changed = a.dose_amount !== null && b.dose_amount !== null
+      && (a.dose_amount !== b.dose_amount || a.unit !== b.unit);
+    const frequency_changed = a.frequency_stated && b.frequency_stated && a.frequency_per_day !== b.frequency_per_day;
+    return strength_changed || frequency_changed;
+  }
+  if (normalizeName(before.name) !== normalizeName(after.name)) return true; // formulation/salt change
+  return REGIMEN_FIELDS.some(f => normalizeRegimenValue(before[f]) !== normalizeRegimenValue(after[f]));
+}
+
+/**
+ * Match two medication lists and classify every entry
+ * @param {Array} admission_meds
+ * @param {Array} discharge_meds
+ * @returns {Array} changes - [{status, name, identity, atc, admission, discharge}]
+ */
+function diffMedicationLists(admission_meds, discharge_meds) {
+  const remaining = discharge_meds.map(med => ({ med, ...drugIdentity(med) }));
+  const changes = [];
+
+  for (const med of admission_meds) {
+    const id = drugIdentity(med);
+    const idx = remaining.findIndex(r => r.identity === id.identity);
+    const display = typeof med === "string" ? med : med.name;
+
+    if (idx < 0) {
+      changes.push({ status: CHANGE_STATUS.STOPPED, name: display, ...id, admission: med, discharge: null });
+      continue;
+    }
+
+    const match = remaining.splice(idx, 1)[0];
+    changes.push({
+      status: regimenChanged(med, match.med) ? CHANGE_STATUS.DOSE_CHANGED : CHANGE_STATUS.UNCHANGED,
+      name: typeof match.med === "string" ? match.med : match.med.name,
+      ...id,
+      admission: med,
+      discharge: match.med
+    });
+  }
+
+  for (const r of remaining) {
+    changes.push({
+      status: CHANGE_STATUS.STARTED,
+      name: typeof r.med === "string" ? r.med : r.med.name,
+      identity: r.identity,
+      atc: r.atc,
+      admission: null,
+      discharge: r.med
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Build a medication list from admission state with only `change` applied,
+ * or from discharge state with only `change` undone
+ */
+function listWithChange(changes, target, change) {
+  const meds = [];
+  for (const c of changes) {
+    const apply = target === "admission" ? c === change : c !== change;
+    const med = apply ? c.discharge : c.admission;
+    if (med) meds.push(med);
+  }
+  return meds;
+}
+
+/**
+ * Attribute an alert to the medication changes that caused it
+ * @param {Object} alert
+ * @param {"new"|"escalated"|"resolved"} kind
+ */
+function attributeAlert(alert, kind, changes, patient_data, options) {
+  const candidates = changes.filter(c => c.status !== CHANGE_STATUS.UNCHANGED);
+  const causes = [];
+
+  for (const change of candidates) {
+    const meds = kind === "resolved"
+      ? listWithChange(changes, "admission", change)   // apply this change only
+      : listWithChange(changes, "discharge", change);  // undo this change only
+    const result = MED_SAFETY_ENGINE({ ...patient_data, current_medications: meds }, options);
+    const match = findMatchingAlert(result.alerts, alert);
+    const explained = !match || (kind === "escalated" && isMoreSevere(alert.severity, match.severity));
+    if (explained) causes.push(change);
+  }
+
+  if (causes.length > 0) {
+    return { attribution: "counterfactual", caused_by: causes.map(c => ({ name: c.name, status: c.status })) };
+  }
+
+  // No single change explains it: several changes acted together
+  const drugs = alertDrugs(alert);
+  const named = candidates.filter(c => drugs.includes(String(c.name).toLowerCase().trim()));
+  const combined = named.length > 0 ? named : candidates;
+  return { attribution: "combined", caused_by: combined.map(c => ({ name: c.name, status: c.status })) };
+}
+
+/**
+ * @param {Object} patient_data - Shared patient context (current_medications ignored)
+ * @param {Array} admission_medications - Medication list at admission (or prior encounter)
+ * @param {Array} discharge_medications - Medication list at discharge (or current encounter)
+ * @param {Object} [options] - Passed through to MED_SAFETY_ENGINE
+ * @returns {Object} reconciliation result
+ */
+function MED_SAFETY_ENGINE_RECONCILE(patient_data, admission_medications, discharge_medications, options = {}) {
+  if (!Array.isArray(admission_medications) || !Array.isArray(discharge_medications)) {
+    throw new Error("admission_medications and discharge_medications must be arrays");
+  }
+
+  const changes = diffMedicationLists(admission_medications, discharge_medications);
+
+  const admission = MED_SAFETY_ENGINE({ ...patient_data, current_medications: admission_medications }, options);
+  const discharge = MED_SAFETY_ENGINE({ ...patient_data, current_medications: discharge_medications }, options);
+  const diff = diffAlerts(admission.alerts, discharge.alerts);
+
+  const attribute = kind => alert => ({ ...alert, ...attributeAlert(alert, kind, changes, patient_data, options) });
+
+  const summary = {};
+  for (const status of Object.values(CHANGE_STATUS)) {
+    summary[status] = changes.filter(c => c.status === status).length;
+  }
+
+  return {
+    changes,
+    summary,
+    new_alerts: diff.new_alerts.map(attribute("new")),
+    escalated_alerts: diff.escalated_alerts.map(attribute("escalated")),
+    resolved_alerts: diff.resolved_alerts.map(attribute("resolved")),
+    unchanged_count: diff.unchanged_alerts.length,
+    admission_result: admission,
+    discharge_result: discharge
+  };
+}
+
+module.exports = {
+  MED_SAFETY_ENGINE_RECONCILE,
+  CHANGE_STATUS,
+  diffMedicationLists,
+  drugIdentity
+};
@@ -0,0 +1,86 @@
+/**
+ * ORDER-ENTRY WHAT-IF EVALUATION
+ * Runs MED_SAFETY_ENGINE on the baseline medication list and on the list with
+ * the proposed order(s) applied, then reports only what the order changes.
+ *
+ * - new_alerts:       fire only with the proposed order
+ * - escalated_alerts: already present, but severity increases
+ * - resolved_alerts:  present at baseline, gone with the order (e.g. a dose change
+ *                     entered with `replaces`)
+ */
+
+const { MED_SAFETY_ENGINE } = require("../orchestrator.js");
+const { diffAlerts, alertDrugs } = require("../utils/alert_identity.js");
+
+/**
+ * Apply proposed orders to a baseline medication list
+ * A proposed med with `replaces: "<name>"` removes baseline meds whose name contains it
+ * @param {Array} baseline_meds
+ * @param {Array} proposed_medications
+ * @returns {Array}
+ */
+function applyProposedOrders(baseline_meds, proposed_medications) {
+  const replaced = proposed_medications
+    .filter(p => p && p.replaces)
+    .map(p => String(p.replaces).toLowerCase().trim());
+
+  const kept = baseline_meds.filter(m => {
+    const name = (typeof m === "string" ? m : (m && m.name) || "").toLowerCase();
+    return !replaced.some(r => name.includes(r));
+  });
+
+  const added = proposed_medications.map(p => {
+    if (!p || typeof p !== "object") return p;
+    const { replaces, ...med } = p;
+    return med;
+  });
+
+  return [...kept, ...added];
+}
+
+/**
+ * @param {Object} baseline_patient_data - patient_data as passed to MED_SAFETY_ENGINE
+ * @param {Array} proposed_medications - [{name, dose, class, replaces?}]
+ * @param {Object} [options] - Passed through to MED_SAFETY_ENGINE
+ * @returns {Object} what-if result
+ */
+function MED_SAFETY_ENGINE_WHAT_IF(baseline_patient_data, proposed_medications, options = {}) {
+  if (!Array.isArray(proposed_medications) || proposed_medications.length === 0) {
+    throw new Error("proposed_medications must be a non-empty array");
+  }
+
+  const baseline_meds = (baseline_patient_data && baseline_patient_data.current_medications) || [];
+  const proposed_patient_data = {
+    ...baseline_patient_data,
+    current_medications: applyProposedOrders(baseline_meds, proposed_medications)
+  };
+
+  const baseline = MED_SAFETY_ENGINE(baseline_patient_data, options);
+  const proposed = MED_SAFETY_ENGINE(proposed_patient_data, options);
+  const diff = diffAlerts(baseline.alerts, proposed.alerts);
+
+  // Flag alerts that name one of the proposed drugs
+  const proposed_names = proposed_medications
+    .map(p => (typeof p === "string" ? p : (p && p.name) || "").toLowerCase().trim())
+    .filter(Boolean);
+  const markProposed = alert => ({
+    ...alert,
+    involves_proposed: alertDrugs(alert).some(d => proposed_names.includes(d))
+  });
+
+  const new_alerts = diff.new_alerts.map(markProposed);
+  const escalated_alerts = diff.escalated_alerts.map(markProposed);
+
+  return {
+    proposed_medications: proposed_names,
+    new_alerts,
+    escalated_alerts,
+    resolved_alerts: diff.resolved_alerts,
+    unchanged_count: diff.unchanged_alerts.length,
+    has_blocking_alerts: [...new_alerts, ...escalated_alerts].some(a => a.severity === "CRITICAL"),
+    baseline_result: baseline,
+    proposed_result: proposed
+  };
+}
+
+module.exports = { MED_SAFETY_ENGINE_WHAT_IF, applyProposedOrders };